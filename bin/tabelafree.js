@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+// Ferramenta de linha de comando para administrar a tabela (importação, exportação, usuários,
+// busca e versões) sem abrir o painel. Usa os mesmos módulos do servidor.
+// Uso: tabelafree <comando> [opções]   (ou npm run tabelafree -- <comando> [opções])
+// Os códigos de saída (EXIT_CODES) permitem usar os comandos em tarefas agendadas (cron)
+// quiet: a saída padrão do export não pode receber mensagens do dotenv
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const CSVParser = require('../utils/csvParser');
+const ImportValidator = require('../utils/importValidator');
+const ImportMappingManager = require('../utils/importMappingManager');
+const VipRuleManager = require('../utils/vipRuleManager');
+const PeliculaImporter = require('../utils/peliculaImporter');
+const PeliculaExporter = require('../utils/peliculaExporter');
+const SnapshotManager = require('../utils/snapshotManager');
+const UserManager = require('../utils/userManager');
+const SearchIndex = require('../utils/searchIndex');
+const Migrator = require('../utils/migrator');
+const BrandDictionary = require('../utils/brandDictionary');
+const AuditTrail = require('../utils/auditTrail');
+const { DEFAULT_TIPO, normalizeTipo, tipoLabel } = require('../utils/peliculaTipos');
+const { ROLES } = require('../utils/auth');
+
+// Preencher a marca das películas criadas sem marca e registrar as alterações na auditoria,
+// como no servidor
+BrandDictionary.register();
+AuditTrail.register();
+
+// Códigos de saída
+const EXIT_CODES = {
+    ok: 0,
+    error: 1,        // erro inesperado (conexão com o banco, falha na gravação...)
+    usage: 2,        // comando ou opção inválida
+    invalid: 3,      // dados recusados (arquivo sem modelos, linhas com problema no --strict, senha fraca...)
+    notFound: 4,     // busca sem resultados, usuário ou versão inexistente
+    schema: 5        // banco com migrações pendentes
+};
+
+const USAGE = `Uso: tabelafree <comando> [opções]
+
+Comandos:
+  import <arquivo> [--mode replace|merge|append|delete] [--tipo <tipo>] [--dry-run] [--strict]
+  export [--format csv|json|xlsx] [--output <arquivo>]
+  search <termo> [--tipo <tipo>] [--limit <n>] [--json]
+  user list
+  user add <usuario> [--role viewer|editor|admin]
+  user disable <usuario>
+  user enable <usuario>
+  user passwd <usuario>
+  snapshot list [--limit <n>]
+  snapshot restore <versao>
+
+Opções gerais:
+  --user <usuario>   usuário registrado na auditoria e nas versões (padrão: "cli")
+  --help             mostra esta ajuda
+
+Senhas (user add e user passwd) são lidas de TABELAFREE_PASSWORD, da entrada padrão
+com --password-stdin ou pedidas no terminal.
+
+Códigos de saída: 0 ok, 1 erro, 2 uso incorreto, 3 dados recusados, 4 não encontrado,
+5 banco com migrações pendentes.`;
+
+// Opções aceitas pelos comandos (util.parseArgs)
+const OPTIONS = {
+    mode: { type: 'string' },
+    tipo: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    strict: { type: 'boolean' },
+    format: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    limit: { type: 'string' },
+    json: { type: 'boolean' },
+    role: { type: 'string' },
+    'password-stdin': { type: 'boolean' },
+    user: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Erro com código de saída, tratado no fim da execução
+ */
+class CliError extends Error {
+    constructor(message, exitCode = EXIT_CODES.error) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Lê um número inteiro positivo de uma opção
+ * @param {string|undefined} value - Valor informado
+ * @param {number} fallback - Valor padrão
+ * @param {string} name - Nome da opção (para a mensagem de erro)
+ * @returns {number} Número
+ */
+function parseLimit(value, fallback, name = '--limit') {
+    if (value === undefined) {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new CliError(`${name} deve ser um número inteiro positivo`, EXIT_CODES.usage);
+    }
+    return number;
+}
+
+/**
+ * Lê o tipo de película de --tipo
+ * @param {string|undefined} value - Valor informado
+ * @returns {string|null} Tipo normalizado ou null se não informado
+ */
+function parseTipo(value) {
+    if (value === undefined) {
+        return null;
+    }
+    const tipo = normalizeTipo(value);
+    if (!tipo) {
+        throw new CliError(`Tipo de película inválido: ${value}`, EXIT_CODES.usage);
+    }
+    return tipo;
+}
+
+/**
+ * Lê a senha de TABELAFREE_PASSWORD, da entrada padrão ou do terminal
+ * @param {Object} values - Opções
+ * @param {string} username - Usuário (exibido no pedido de senha)
+ * @returns {Promise<string>} Senha
+ */
+async function readPassword(values, username) {
+    if (process.env.TABELAFREE_PASSWORD) {
+        return process.env.TABELAFREE_PASSWORD;
+    }
+
+    if (values['password-stdin']) {
+        const chunks = [];
+        for await (const chunk of process.stdin) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+    }
+
+    if (!process.stdin.isTTY) {
+        throw new CliError('Informe a senha em TABELAFREE_PASSWORD ou use --password-stdin', EXIT_CODES.usage);
+    }
+
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl.question(`Senha para ${username}: `, answer => {
+            rl.close();
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * Usuário registrado na auditoria, nas versões e nos mapeamentos salvos
+ * @param {string|undefined} username - Valor de --user
+ * @returns {Promise<Object>} { id, username }
+ */
+async function resolveActor(username) {
+    if (!username) {
+        return { id: null, username: 'cli' };
+    }
+
+    const user = await User.findOne({ where: { username } });
+    if (!user || !user.isActive) {
+        throw new CliError(`Usuário não encontrado ou desativado: ${username}`, EXIT_CODES.notFound);
+    }
+    return { id: user.id, username: user.username };
+}
+
+/**
+ * Busca um usuário pelo nome
+ * @param {string|undefined} username - Nome informado
+ * @returns {Promise<Object>} Usuário
+ */
+async function findUser(username) {
+    if (!username) {
+        throw new CliError('Informe o usuário', EXIT_CODES.usage);
+    }
+
+    const user = await User.findOne({ where: { username } });
+    if (!user) {
+        throw new CliError(`Usuário não encontrado: ${username}`, EXIT_CODES.notFound);
+    }
+    return user;
+}
+
+// import <arquivo>: importa a planilha com o mapeamento salvo ou detectado pelo cabeçalho
+async function importCommand(args, values, actor) {
+    const [file] = args;
+    if (!file) {
+        throw new CliError('Informe o arquivo a importar', EXIT_CODES.usage);
+    }
+    if (!fs.existsSync(file)) {
+        throw new CliError(`Arquivo não encontrado: ${file}`, EXIT_CODES.notFound);
+    }
+
+    const mode = values.mode || 'replace';
+    if (!PeliculaImporter.IMPORT_MODES.includes(mode)) {
+        throw new CliError(`Modo de importação inválido. Use: ${PeliculaImporter.IMPORT_MODES.join(', ')}`, EXIT_CODES.usage);
+    }
+    const tipo = parseTipo(values.tipo) || DEFAULT_TIPO;
+
+    const csvParser = new CSVParser();
+    const parsed = await csvParser.parseWorkbook(file, {
+        filename: path.basename(file),
+        savedMappings: await new ImportMappingManager().loadAll(),
+        vipRules: await new VipRuleManager().loadRules()
+    });
+    csvParser.checkRequiredColumns(parsed.layouts);
+    const report = new ImportValidator().validate(parsed.rows, { tipo });
+    const { summary } = report;
+
+    console.log(`Arquivo: ${file} (${parsed.format}) — ${summary.total} linhas: ` +
+        `${summary.ok} ok, ${summary.warning} com aviso, ${summary.duplicate} duplicadas, ${summary.skipped} ignoradas`);
+    report.rows
+        .filter(entry => entry.status !== 'ok')
+        .forEach(entry => {
+            const where = entry.sheet ? `${entry.sheet}:${entry.line}` : entry.line;
+            console.log(`  [${ImportValidator.ROW_STATUSES[entry.status]}] linha ${where}` +
+                `${entry.modelo ? ` (${entry.modelo})` : ''}: ${entry.reasons.join('; ')}`);
+        });
+
+    if (parsed.records.length === 0) {
+        throw new CliError('Arquivo inválido ou vazio: nenhum modelo com compatibilidade encontrado', EXIT_CODES.invalid);
+    }
+    if (values.strict && summary.skipped + summary.duplicate > 0) {
+        throw new CliError('Importação cancelada (--strict): há linhas ignoradas ou duplicadas', EXIT_CODES.invalid);
+    }
+
+    const importer = new PeliculaImporter();
+
+    if (values['dry-run']) {
+        const diff = await importer.previewData(parsed.records, { mode, tipo });
+        const counts = diff.summary;
+        console.log(`Simulação (${mode}): ${counts.inserted} novos, ${counts.updated} alterados, ` +
+            `${counts.unchanged} sem alteração, ${counts.removed} removidos, ` +
+            `${counts.toVip} passam a VIP, ${counts.toFree} passam a free. Nada foi gravado.`);
+        return EXIT_CODES.ok;
+    }
+
+    const result = await importer.importData(parsed.records, {
+        mode,
+        tipo,
+        filename: path.basename(file),
+        user: actor
+    });
+    console.log(`✅ Importação (${mode}) concluída: ${result.inserted} novos, ${result.updated} alterados, ` +
+        `${result.unchanged} sem alteração, ${result.removed} removidos. Versão ${result.snapshotId}.`);
+    return EXIT_CODES.ok;
+}
+
+// export: grava a tabela no arquivo informado ou na saída padrão
+async function exportCommand(args, values) {
+    const format = values.format || 'csv';
+    if (!PeliculaExporter.EXPORT_FORMATS.includes(format)) {
+        throw new CliError(`Formato inválido. Use: ${PeliculaExporter.EXPORT_FORMATS.join(', ')}`, EXIT_CODES.usage);
+    }
+
+    const file = await new PeliculaExporter().exportTable(format);
+
+    if (!values.output) {
+        process.stdout.write(file.content);
+        return EXIT_CODES.ok;
+    }
+
+    fs.writeFileSync(values.output, file.content);
+    console.log(`✅ ${file.total} películas exportadas em ${values.output}`);
+    return EXIT_CODES.ok;
+}
+
+// search <termo>: mesma busca da página pública
+async function searchCommand(args, values) {
+    const term = args.join(' ').trim();
+    if (!term) {
+        throw new CliError('Informe o termo da busca', EXIT_CODES.usage);
+    }
+    const tipo = parseTipo(values.tipo);
+    const limit = parseLimit(values.limit, 5);
+
+    const index = await new SearchIndex().get();
+    const results = index.search.search(term, limit, {
+        filter: tipo ? p => p.tipo === tipo : null
+    });
+
+    if (values.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else if (results.length === 0) {
+        console.log(`Nenhum modelo encontrado para "${term}"`);
+    } else {
+        results.forEach(p => {
+            const compat = p.vip ? 'tabela VIP' : p.compatibilidade.join(' / ');
+            console.log(`${p.modelo} [${tipoLabel(p.tipo)}${p.vip ? ', VIP' : ''}]: ${compat}`);
+        });
+    }
+
+    return results.length > 0 ? EXIT_CODES.ok : EXIT_CODES.notFound;
+}
+
+// user list|add|disable|enable|passwd
+async function userCommand(args, values, actor) {
+    const [action, username] = args;
+    const userManager = new UserManager();
+
+    if (action === 'list') {
+        const users = await userManager.listUsers();
+        users.forEach(user => {
+            console.log(`${user.username}\t${user.role}\t${user.isActive ? 'ativo' : 'desativado'}`);
+        });
+        return EXIT_CODES.ok;
+    }
+
+    if (action === 'add') {
+        if (!username) {
+            throw new CliError('Informe o usuário', EXIT_CODES.usage);
+        }
+        const role = values.role || 'viewer';
+        if (!ROLES.includes(role)) {
+            throw new CliError(`Papel inválido. Use: ${ROLES.join(', ')}`, EXIT_CODES.usage);
+        }
+        const password = await readPassword(values, username);
+        const user = await userManager.createUser({ username, password, role });
+        console.log(`✅ Usuário ${user.username} criado (${user.role})`);
+        return EXIT_CODES.ok;
+    }
+
+    if (action === 'disable' || action === 'enable') {
+        const user = await findUser(username);
+        await userManager.updateUser(user.id, { isActive: action === 'enable' }, actor);
+        console.log(`✅ Usuário ${user.username} ${action === 'enable' ? 'reativado' : 'desativado'}`);
+        return EXIT_CODES.ok;
+    }
+
+    if (action === 'passwd') {
+        const user = await findUser(username);
+        const password = await readPassword(values, username);
+        await userManager.updateUser(user.id, { password }, actor);
+        console.log(`✅ Senha de ${user.username} alterada`);
+        return EXIT_CODES.ok;
+    }
+
+    throw new CliError('Use: user list | add | disable | enable | passwd', EXIT_CODES.usage);
+}
+
+// snapshot list|restore
+async function snapshotCommand(args, values, actor) {
+    const [action, id] = args;
+    const snapshotManager = new SnapshotManager();
+
+    if (action === 'list') {
+        const snapshots = await snapshotManager.listSnapshots({ limit: parseLimit(values.limit, 20) });
+        snapshots.forEach(snapshot => {
+            const origin = [snapshot.source, snapshot.mode, snapshot.filename].filter(Boolean).join(' ');
+            console.log(`${snapshot.id}\t${new Date(snapshot.created_at).toISOString()}\t` +
+                `${snapshot.total_models} modelos (${snapshot.vip_models} VIP)\t${origin}\t${snapshot.username || ''}`);
+        });
+        return EXIT_CODES.ok;
+    }
+
+    if (action === 'restore') {
+        const version = parseLimit(id, undefined, 'A versão');
+        if (version === undefined) {
+            throw new CliError('Informe a versão a restaurar', EXIT_CODES.usage);
+        }
+
+        const result = await snapshotManager.restoreSnapshot(version, { user: actor });
+        if (!result) {
+            throw new CliError(`Versão não encontrada: ${version}`, EXIT_CODES.notFound);
+        }
+        console.log(`✅ Versão ${version} restaurada: ${result.inserted} inseridos, ${result.updated} alterados, ` +
+            `${result.removed} removidos. Nova versão ${result.snapshot.id}.`);
+        return EXIT_CODES.ok;
+    }
+
+    throw new CliError('Use: snapshot list | restore <versao>', EXIT_CODES.usage);
+}
+
+const COMMANDS = {
+    import: importCommand,
+    export: exportCommand,
+    search: searchCommand,
+    user: userCommand,
+    snapshot: snapshotCommand
+};
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new CliError(`${error.message}\n\n${USAGE}`, EXIT_CODES.usage);
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...args] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+    if (!COMMANDS[command]) {
+        throw new CliError(`Comando desconhecido: ${command}\n\n${USAGE}`, EXIT_CODES.usage);
+    }
+
+    await sequelize.authenticate();
+    await new Migrator(sequelize).ensureUpToDate();
+
+    const actor = await resolveActor(values.user);
+    return COMMANDS[command](args, values, actor);
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error(`❌ ${error.message}`);
+        if (error instanceof CliError) {
+            process.exitCode = error.exitCode;
+        } else if (error instanceof Migrator.MigrationError) {
+            process.exitCode = EXIT_CODES.schema;
+        } else if (error instanceof UserManager.UserManagerError) {
+            process.exitCode = error.status === 404 ? EXIT_CODES.notFound : EXIT_CODES.invalid;
+        } else if (error instanceof CSVParser.ImportMappingError) {
+            process.exitCode = EXIT_CODES.invalid;
+        } else {
+            process.exitCode = EXIT_CODES.error;
+        }
+    })
+    .finally(() => sequelize.close());
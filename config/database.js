@@ -1,42 +1,145 @@
 const { Sequelize } = require('sequelize');
 
-// Configuração do banco de dados
-let sequelize;
-
-// Verificar se MySQL está disponível, senão usar SQLite
-try {
-    sequelize = new Sequelize({
-        dialect: 'mysql',
-        host: process.env.DB_HOST || 'localhost',
-        port: process.env.DB_PORT || 3306,
-        database: process.env.DB_NAME || 'ofcell_peliculas',
-        username: process.env.DB_USER || 'root',
-        password: process.env.DB_PASSWORD || '',
-        logging: process.env.NODE_ENV === 'development' ? console.log : false,
-        pool: {
-            max: 5,
-            min: 0,
-            acquire: 30000,
-            idle: 10000
+// Bancos suportados em DB_DIALECT
+const DIALECTS = ['mysql', 'postgres', 'sqlite'];
+// Pacote do driver de cada banco (pg e sqlite3 são dependências opcionais)
+const DRIVERS = { mysql: 'mysql2', postgres: 'pg', sqlite: 'sqlite3' };
+const DEFAULT_PORTS = { mysql: 3306, postgres: 5432 };
+const DEFAULT_STORAGE = './database.sqlite';
+// Valor de DB_STORAGE para um banco SQLite apenas em memória (vazio a cada início)
+const MEMORY_STORAGE = ':memory:';
+
+/**
+ * Escolhe o banco pelas variáveis de ambiente
+ * - DB_DIALECT=mysql|postgres|sqlite escolhe o banco explicitamente
+ * - DATABASE_URL (mysql://... ou postgres://...) substitui host, porta, nome, usuário e senha
+ * - Sem nenhum dos dois, usa MySQL (DB_HOST, DB_PORT, DB_NAME, DB_USER, DB_PASSWORD)
+ * - No SQLite, DB_STORAGE é o caminho do arquivo ou ":memory:"
+ * - DB_SSL=true ativa SSL na conexão com MySQL ou Postgres
+ * @param {Object} env - Variáveis de ambiente
+ * @returns {Object} { url, options } para o construtor do Sequelize
+ */
+function buildConfig(env = process.env) {
+    const url = env.DATABASE_URL || null;
+    let dialect = env.DB_DIALECT ? env.DB_DIALECT.toLowerCase() : null;
+
+    if (!dialect && url) {
+        dialect = url.split(':')[0].toLowerCase().replace(/^postgresql$/, 'postgres');
+    }
+    if (!dialect) {
+        dialect = 'mysql';
+    }
+
+    if (!DIALECTS.includes(dialect)) {
+        throw new Error(`DB_DIALECT inválido: "${dialect}". Use: ${DIALECTS.join(', ')}`);
+    }
+
+    const options = {
+        dialect,
+        logging: env.NODE_ENV === 'development' ? console.log : false
+    };
+
+    if (dialect === 'sqlite') {
+        options.storage = env.DB_STORAGE || DEFAULT_STORAGE;
+        return { url: null, options };
+    }
+
+    options.pool = {
+        max: 5,
+        min: 0,
+        acquire: 30000,
+        idle: 10000
+    };
+
+    if (env.DB_SSL === 'true') {
+        options.dialectOptions = { ssl: { require: true, rejectUnauthorized: false } };
+    }
+
+    if (url) {
+        return { url, options };
+    }
+
+    return {
+        url: null,
+        options: {
+            ...options,
+            host: env.DB_HOST || 'localhost',
+            port: env.DB_PORT || DEFAULT_PORTS[dialect],
+            database: env.DB_NAME || 'ofcell_peliculas',
+            username: env.DB_USER || 'root',
+            password: env.DB_PASSWORD || ''
         }
-    });
-} catch (error) {
-    console.log('⚠️  MySQL não disponível, usando SQLite para desenvolvimento');
-    sequelize = new Sequelize({
-        dialect: 'sqlite',
-        storage: './database.sqlite',
-        logging: process.env.NODE_ENV === 'development' ? console.log : false
-    });
+    };
+}
+
+/**
+ * Confere se o driver do banco escolhido está instalado, antes que o Sequelize
+ * falhe com uma mensagem genérica
+ * @param {string} dialect - Banco escolhido
+ */
+function checkDriver(dialect) {
+    const driver = DRIVERS[dialect];
+
+    try {
+        require.resolve(driver);
+    } catch (error) {
+        throw new Error(`Driver do banco ${dialect} não instalado: rode "npm install ${driver}"`);
+    }
+}
+
+const config = buildConfig();
+checkDriver(config.options.dialect);
+
+// Configuração do banco de dados
+const sequelize = config.url
+    ? new Sequelize(config.url, config.options)
+    : new Sequelize(config.options);
+
+// Banco SQLite em memória: o esquema precisa ser criado a cada início
+const isInMemory = sequelize.getDialect() === 'sqlite' && config.options.storage === MEMORY_STORAGE;
+
+/**
+ * Descreve o banco em uso para os logs, sem a senha
+ * @returns {string} Ex.: "MySQL em localhost:3306/ofcell_peliculas"
+ */
+function describeDatabase() {
+    const dialect = sequelize.getDialect();
+    if (dialect === 'sqlite') {
+        return isInMemory ? 'SQLite em memória' : `SQLite em ${config.options.storage}`;
+    }
+
+    const { host, port, database } = sequelize.config;
+    return `${dialect === 'mysql' ? 'MySQL' : 'Postgres'} em ${host}:${port}/${database}`;
 }
 
 // Testar conexão
 async function testConnection() {
     try {
         await sequelize.authenticate();
-        console.log('✅ Conexão com MySQL estabelecida com sucesso');
+        console.log(`✅ Conexão com ${describeDatabase()} estabelecida com sucesso`);
     } catch (error) {
-        console.error('❌ Erro ao conectar com MySQL:', error);
+        console.error(`❌ Erro ao conectar com ${describeDatabase()}:`, error.message);
+        throw error;
     }
 }
 
-module.exports = { sequelize, testConnection };
+/**
+ * Acerta a sequência de ids do Postgres depois de inserir linhas com id explícito
+ * (restauração de versões), para que os próximos inserts não repitam ids.
+ * MySQL e SQLite ajustam o contador sozinhos
+ * @param {Object} model - Modelo do Sequelize com id autoincremento
+ * @param {Object} options - { transaction }
+ */
+async function syncIdSequence(model, options = {}) {
+    if (sequelize.getDialect() !== 'postgres') {
+        return;
+    }
+
+    const table = model.getTableName();
+    await sequelize.query(
+        `SELECT setval(pg_get_serial_sequence('"${table}"', 'id'), COALESCE((SELECT MAX(id) FROM "${table}"), 0) + 1, false)`,
+        { transaction: options.transaction }
+    );
+}
+
+module.exports = { sequelize, testConnection, describeDatabase, isInMemory, syncIdSequence };
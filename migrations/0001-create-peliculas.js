@@ -0,0 +1,55 @@
+const { hasTable } = require('../utils/migrator');
+
+// Tabela de películas no formato original (modelo único, antes da marca e do tipo)
+// Bancos criados pelo sync das versões anteriores já têm a tabela e são apenas adotados
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasTable(queryInterface, 'peliculas')) {
+            return;
+        }
+
+        await queryInterface.createTable('peliculas', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            modelo: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                unique: true
+            },
+            compatibilidade: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            html_content: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            vip: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: false
+            },
+            compativel: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('peliculas', ['modelo']);
+        await queryInterface.addIndex('peliculas', ['vip']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('peliculas');
+    }
+};
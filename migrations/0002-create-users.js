@@ -0,0 +1,43 @@
+const { hasTable } = require('../utils/migrator');
+
+// Usuários do painel, no formato anterior aos papéis
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasTable(queryInterface, 'users')) {
+            return;
+        }
+
+        await queryInterface.createTable('users', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            username: {
+                type: Sequelize.STRING(50),
+                allowNull: false,
+                unique: true
+            },
+            password: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            isActive: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: true
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('users');
+    }
+};
@@ -0,0 +1,71 @@
+const { hasTable } = require('../utils/migrator');
+
+// Versões da tabela gravadas a cada importação e restauração
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasTable(queryInterface, 'pelicula_snapshots')) {
+            return;
+        }
+
+        await queryInterface.createTable('pelicula_snapshots', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            source: {
+                type: Sequelize.STRING(30),
+                allowNull: false,
+                defaultValue: 'csv-import'
+            },
+            mode: {
+                type: Sequelize.STRING(20),
+                allowNull: true
+            },
+            filename: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            username: {
+                type: Sequelize.STRING(50),
+                allowNull: true
+            },
+            restored_from: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            total_models: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            vip_models: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            counts: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            data: {
+                type: Sequelize.TEXT('long'),
+                allowNull: false
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('pelicula_snapshots', ['created_at']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('pelicula_snapshots');
+    }
+};
@@ -0,0 +1,27 @@
+const { hasColumn } = require('../utils/migrator');
+
+// Papéis dos usuários; quem já existia fica como visualizador, exceto o administrador
+// configurado em ADMIN_USERNAME (os demais são promovidos pela área administrativa
+// ou por "npm run create-admin -- <usuario>")
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasColumn(queryInterface, 'users', 'role')) {
+            return;
+        }
+
+        await queryInterface.addColumn('users', 'role', {
+            type: Sequelize.STRING(20),
+            allowNull: false,
+            defaultValue: 'viewer'
+        });
+
+        const { ADMIN_USERNAME } = process.env;
+        if (ADMIN_USERNAME) {
+            await queryInterface.bulkUpdate('users', { role: 'admin' }, { username: ADMIN_USERNAME });
+        }
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn('users', 'role');
+    }
+};
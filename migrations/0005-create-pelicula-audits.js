@@ -0,0 +1,68 @@
+const { hasTable } = require('../utils/migrator');
+
+// Histórico de alterações de cada película
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasTable(queryInterface, 'pelicula_audits')) {
+            return;
+        }
+
+        await queryInterface.createTable('pelicula_audits', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            pelicula_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            modelo: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            action: {
+                type: Sequelize.STRING(10),
+                allowNull: false
+            },
+            source: {
+                type: Sequelize.STRING(30),
+                allowNull: false,
+                defaultValue: 'system'
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            username: {
+                type: Sequelize.STRING(50),
+                allowNull: true
+            },
+            changed_fields: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            before: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            after: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('pelicula_audits', ['pelicula_id']);
+        await queryInterface.addIndex('pelicula_audits', ['modelo']);
+        await queryInterface.addIndex('pelicula_audits', ['username']);
+        await queryInterface.addIndex('pelicula_audits', ['created_at']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('pelicula_audits');
+    }
+};
@@ -0,0 +1,47 @@
+const { hasTable } = require('../utils/migrator');
+
+// Apelidos da busca
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasTable(queryInterface, 'search_aliases')) {
+            return;
+        }
+
+        await queryInterface.createTable('search_aliases', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            alias: {
+                type: Sequelize.STRING(100),
+                allowNull: false
+            },
+            alias_key: {
+                type: Sequelize.STRING(100),
+                allowNull: false,
+                unique: true
+            },
+            target: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            created_by: {
+                type: Sequelize.STRING(50),
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('search_aliases');
+    }
+};
@@ -0,0 +1,112 @@
+const { hasColumn, ensureIndexes } = require('../utils/migrator');
+
+// Dicionário de marcas de quando esta migração foi criada, congelado aqui: mudanças
+// posteriores no dicionário do app não alteram o resultado de uma migração reaplicada
+// Primeira palavra do modelo (já com as abreviações expandidas) → marca
+const BRAND_BY_FIRST_WORD = Object.freeze({
+    samsung: 'Samsung',
+    galaxy: 'Samsung',
+    sam: 'Samsung',
+    sansung: 'Samsung',
+    samsumg: 'Samsung',
+    sangsung: 'Samsung',
+    motorola: 'Motorola',
+    moto: 'Motorola',
+    motorolla: 'Motorola',
+    xiaomi: 'Xiaomi',
+    xiomi: 'Xiaomi',
+    xaomi: 'Xiaomi',
+    xiami: 'Xiaomi',
+    redmi: 'Xiaomi',
+    poco: 'Xiaomi',
+    mi: 'Xiaomi',
+    apple: 'Apple',
+    iphone: 'Apple',
+    ipad: 'Apple',
+    ip: 'Apple',
+    iph: 'Apple',
+    ifone: 'Apple',
+    lg: 'LG',
+    asus: 'Asus',
+    zenfone: 'Asus',
+    realme: 'Realme',
+    oppo: 'Oppo',
+    vivo: 'Vivo',
+    tcl: 'TCL',
+    nokia: 'Nokia',
+    huawei: 'Huawei',
+    oneplus: 'OnePlus',
+    nord: 'OnePlus',
+    google: 'Google',
+    pixel: 'Google',
+    infinix: 'Infinix',
+    positivo: 'Positivo',
+    multilaser: 'Multilaser',
+    sony: 'Sony',
+    xperia: 'Sony',
+    lenovo: 'Lenovo',
+    zte: 'ZTE'
+});
+
+// Códigos curtos da Samsung escritos sem a marca ("A10", "S22", "M14")
+const SAMSUNG_CODES = Object.freeze(['a', 'j', 'm', 's']);
+
+/**
+ * Marca de um modelo pelo início do nome
+ * @param {string} modelo - Nome do modelo
+ * @returns {string|null} Marca ou null se não reconhecida
+ */
+function detectMarca(modelo) {
+    const [first, second] = String(modelo || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/([a-z])(?=\d)|(\d)(?=[a-z])/g, '$1$2 ')
+        .split(' ')
+        .filter(Boolean);
+
+    if (!first) {
+        return null;
+    }
+
+    return BRAND_BY_FIRST_WORD[first] ||
+        (SAMSUNG_CODES.includes(first) && /^\d+$/.test(second || '') ? 'Samsung' : null);
+}
+
+// Marca dos modelos, preenchida pelo dicionário nas películas já cadastradas
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasColumn(queryInterface, 'peliculas', 'marca')) {
+            return;
+        }
+
+        await queryInterface.addColumn('peliculas', 'marca', {
+            type: Sequelize.STRING(50),
+            allowNull: true
+        });
+        await queryInterface.addIndex('peliculas', ['marca']);
+
+        // Preencher pelo dicionário, agrupando os modelos da mesma marca
+        const peliculas = await queryInterface.sequelize.query('SELECT id, modelo FROM peliculas', {
+            type: Sequelize.QueryTypes.SELECT
+        });
+        const idsByMarca = new Map();
+        peliculas.forEach(pelicula => {
+            const marca = detectMarca(pelicula.modelo);
+            if (marca) {
+                idsByMarca.set(marca, [...(idsByMarca.get(marca) || []), pelicula.id]);
+            }
+        });
+
+        for (const [marca, ids] of idsByMarca) {
+            await queryInterface.bulkUpdate('peliculas', { marca }, { id: ids });
+        }
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeIndex('peliculas', ['marca']);
+        await queryInterface.removeColumn('peliculas', 'marca');
+        await ensureIndexes(queryInterface, 'peliculas', [['modelo'], ['vip']]);
+    }
+};
@@ -0,0 +1,57 @@
+const { hasColumn, ensureIndexes } = require('../utils/migrator');
+
+// Índices simples da tabela de películas, recriados quando o SQLite reconstrói a tabela
+const INDEXES = [['modelo'], ['vip'], ['marca']];
+
+// Tipo de película: o modelo deixa de ser único sozinho e passa a ser único por tipo
+// Películas existentes ficam como 3D
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasColumn(queryInterface, 'peliculas', 'tipo')) {
+            return;
+        }
+
+        await queryInterface.addColumn('peliculas', 'tipo', {
+            type: Sequelize.STRING(30),
+            allowNull: false,
+            defaultValue: '3d'
+        });
+
+        const indexes = await queryInterface.showIndex('peliculas');
+        const modeloUnique = indexes.filter(index =>
+            index.unique && !index.primary &&
+            index.fields.length === 1 && index.fields[0].attribute === 'modelo'
+        );
+
+        for (const index of modeloUnique) {
+            if (queryInterface.sequelize.getDialect() === 'sqlite' && index.name.startsWith('sqlite_autoindex_')) {
+                // No SQLite a restrição UNIQUE da coluna só sai recriando a tabela (que perde os índices)
+                await queryInterface.changeColumn('peliculas', 'modelo', {
+                    type: Sequelize.STRING(255),
+                    allowNull: false,
+                    unique: false
+                });
+                await ensureIndexes(queryInterface, 'peliculas', INDEXES);
+            } else {
+                await queryInterface.removeIndex('peliculas', index.name);
+            }
+        }
+
+        await queryInterface.addIndex('peliculas', ['modelo', 'tipo'], { unique: true });
+    },
+
+    async down(queryInterface, Sequelize) {
+        const [{ total }] = await queryInterface.sequelize.query(
+            "SELECT COUNT(*) AS total FROM peliculas WHERE tipo <> '3d'",
+            { type: Sequelize.QueryTypes.SELECT }
+        );
+        if (Number(total) > 0) {
+            throw new Error(`Há ${total} películas de tipos diferentes de 3D; exclua-as antes de desfazer esta migração`);
+        }
+
+        await queryInterface.removeIndex('peliculas', ['modelo', 'tipo']);
+        await queryInterface.removeColumn('peliculas', 'tipo');
+        await ensureIndexes(queryInterface, 'peliculas', INDEXES);
+        await queryInterface.addIndex('peliculas', ['modelo'], { unique: true, name: 'peliculas_modelo_unique' });
+    }
+};
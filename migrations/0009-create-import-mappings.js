@@ -0,0 +1,43 @@
+const { hasTable } = require('../utils/migrator');
+
+// Mapeamentos de colunas lembrados por layout de arquivo
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasTable(queryInterface, 'import_mappings')) {
+            return;
+        }
+
+        await queryInterface.createTable('import_mappings', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            signature: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                unique: true
+            },
+            mapping: {
+                type: Sequelize.TEXT,
+                allowNull: false
+            },
+            updated_by: {
+                type: Sequelize.STRING(50),
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('import_mappings');
+    }
+};
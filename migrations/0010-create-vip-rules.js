@@ -0,0 +1,59 @@
+const { hasTable } = require('../utils/migrator');
+
+// Regras de classificação VIP/free da importação, com as regras de fábrica:
+// a frase da planilha marca VIP e o restante é free
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasTable(queryInterface, 'vip_rules')) {
+            return;
+        }
+
+        await queryInterface.createTable('vip_rules', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            kind: {
+                type: Sequelize.STRING(10),
+                allowNull: false
+            },
+            pattern: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            vip: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: true
+            },
+            position: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            created_by: {
+                type: Sequelize.STRING(50),
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        const now = new Date();
+        await queryInterface.bulkInsert('vip_rules', [
+            { kind: 'frase', pattern: 'Este Modelo já está disponível na tabela VIP', vip: true, position: 0, created_at: now, updated_at: now },
+            { kind: 'padrao', pattern: null, vip: false, position: 1, created_at: now, updated_at: now }
+        ]);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('vip_rules');
+    }
+};
@@ -0,0 +1,75 @@
+const { hasTable } = require('../utils/migrator');
+
+// Estatísticas anônimas das buscas, agregadas por dia e termo
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasTable(queryInterface, 'search_stats')) {
+            return;
+        }
+
+        await queryInterface.createTable('search_stats', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            day: {
+                type: Sequelize.DATEONLY,
+                allowNull: false
+            },
+            query: {
+                type: Sequelize.STRING(100),
+                allowNull: false
+            },
+            tipo: {
+                type: Sequelize.STRING(20),
+                allowNull: false,
+                defaultValue: 'todos'
+            },
+            searches: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            zero_results: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            vip_only: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            results_total: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            clicks: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            top_result: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            clicked_result: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('search_stats', ['day', 'query', 'tipo'], { unique: true });
+        await queryInterface.addIndex('search_stats', ['query']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('search_stats');
+    }
+};
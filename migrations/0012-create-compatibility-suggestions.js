@@ -0,0 +1,70 @@
+const { hasTable } = require('../utils/migrator');
+
+// Sugestões de compatibilidade e de modelos enviadas pela página pública, com a fila de moderação
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasTable(queryInterface, 'compatibility_suggestions')) {
+            return;
+        }
+
+        await queryInterface.createTable('compatibility_suggestions', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            kind: {
+                type: Sequelize.STRING(20),
+                allowNull: false
+            },
+            pelicula_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            pelicula_modelo: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            modelo: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            comment: {
+                type: Sequelize.STRING(500),
+                allowNull: true
+            },
+            status: {
+                type: Sequelize.STRING(20),
+                allowNull: false,
+                defaultValue: 'pendente'
+            },
+            reviewed_by: {
+                type: Sequelize.STRING(50),
+                allowNull: true
+            },
+            reviewed_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            review_note: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        await queryInterface.addIndex('compatibility_suggestions', ['status']);
+        await queryInterface.addIndex('compatibility_suggestions', ['pelicula_id']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('compatibility_suggestions');
+    }
+};
@@ -0,0 +1,44 @@
+const { hasColumn, ensureIndexes } = require('../utils/migrator');
+
+// Índices simples da auditoria, recriados quando o SQLite reconstrói a tabela
+const INDEXES = [['pelicula_id'], ['modelo'], ['username'], ['created_at']];
+
+// Tipo da película em cada registro da auditoria, para que o histórico de um modelo
+// não misture as linhas de outros tipos. Registros existentes usam o tipo gravado nos valores
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        if (await hasColumn(queryInterface, 'pelicula_audits', 'tipo')) {
+            return;
+        }
+
+        await queryInterface.addColumn('pelicula_audits', 'tipo', {
+            type: Sequelize.STRING(30),
+            allowNull: false,
+            defaultValue: '3d'
+        });
+        await queryInterface.addIndex('pelicula_audits', ['modelo', 'tipo']);
+
+        // Registros anteriores aos tipos não têm o campo nos valores e ficam como 3D
+        // select() cita os nomes das colunas (BEFORE é palavra reservada no MySQL)
+        const entries = await queryInterface.select(null, 'pelicula_audits', {
+            attributes: ['id', 'before', 'after']
+        });
+        const idsByTipo = new Map();
+        entries.forEach(entry => {
+            const values = JSON.parse(entry.after || entry.before || '{}');
+            if (values.tipo && values.tipo !== '3d') {
+                idsByTipo.set(values.tipo, [...(idsByTipo.get(values.tipo) || []), entry.id]);
+            }
+        });
+
+        for (const [tipo, ids] of idsByTipo) {
+            await queryInterface.bulkUpdate('pelicula_audits', { tipo }, { id: ids });
+        }
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeIndex('pelicula_audits', ['modelo', 'tipo']);
+        await queryInterface.removeColumn('pelicula_audits', 'tipo');
+        await ensureIndexes(queryInterface, 'pelicula_audits', INDEXES);
+    }
+};
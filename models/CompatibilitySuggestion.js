@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const CompatibilitySuggestion = sequelize.define('CompatibilitySuggestion', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    kind: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'compatibilidade (outro aparelho usa a película) ou modelo (modelo que falta na tabela)'
+    },
+    pelicula_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Película indicada pelo visitante; a aprovação pode escolher outra'
+    },
+    pelicula_modelo: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Modelo da película no envio, exibido mesmo se a película for excluída'
+    },
+    modelo: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Aparelho sugerido'
+    },
+    comment: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Observação do visitante'
+    },
+    status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'pendente',
+        comment: 'pendente, aprovada ou rejeitada'
+    },
+    reviewed_by: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Usuário que aprovou ou rejeitou'
+    },
+    reviewed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    review_note: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Motivo da rejeição ou observação da aprovação'
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'compatibility_suggestions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['status']
+        },
+        {
+            fields: ['pelicula_id']
+        }
+    ]
+});
+
+module.exports = CompatibilitySuggestion;
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ImportMapping = sequelize.define('ImportMapping', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    signature: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        unique: true,
+        comment: 'Layout do arquivo: nomes das colunas do cabeçalho ou quantidade de colunas'
+    },
+    mapping: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        get() {
+            const value = this.getDataValue('mapping');
+            return value ? JSON.parse(value) : {};
+        },
+        set(value) {
+            this.setDataValue('mapping', JSON.stringify(value || {}));
+        },
+        comment: 'Índice da coluna de cada campo da película'
+    },
+    updated_by: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Usuário que fez a última importação com este mapeamento'
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'import_mappings',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+module.exports = ImportMapping;
@@ -9,8 +9,18 @@ const Pelicula = sequelize.define('Pelicula', {
     },
     modelo: {
         type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    tipo: {
+        type: DataTypes.STRING(30),
         allowNull: false,
-        unique: true
+        defaultValue: '3d',
+        comment: 'Tipo de película (3d, privacidade, ceramica, camera); um modelo tem uma linha por tipo'
+    },
+    marca: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Fabricante do aparelho (preenchido pelo dicionário de marcas)'
     },
     compatibilidade: {
         type: DataTypes.TEXT,
@@ -54,8 +64,15 @@ const Pelicula = sequelize.define('Pelicula', {
         {
             fields: ['modelo']
         },
+        {
+            unique: true,
+            fields: ['modelo', 'tipo']
+        },
         {
             fields: ['vip']
+        },
+        {
+            fields: ['marca']
         }
     ]
 });
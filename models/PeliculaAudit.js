@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PeliculaAudit = sequelize.define('PeliculaAudit', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    pelicula_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Id da película alterada'
+    },
+    modelo: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Modelo no momento da alteração'
+    },
+    tipo: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: '3d',
+        comment: 'Tipo da película no momento da alteração'
+    },
+    action: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        comment: 'Tipo de alteração (create, update, delete)'
+    },
+    source: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: 'system',
+        comment: 'Origem da alteração (csv-import, editor, html, restore, system)'
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    username: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Usuário que fez a alteração'
+    },
+    changed_fields: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        get() {
+            const value = this.getDataValue('changed_fields');
+            return value ? JSON.parse(value) : [];
+        },
+        set(value) {
+            this.setDataValue('changed_fields', JSON.stringify(value || []));
+        }
+    },
+    before: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Valores antes da alteração',
+        get() {
+            const value = this.getDataValue('before');
+            return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+            this.setDataValue('before', value ? JSON.stringify(value) : null);
+        }
+    },
+    after: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Valores depois da alteração',
+        get() {
+            const value = this.getDataValue('after');
+            return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+            this.setDataValue('after', value ? JSON.stringify(value) : null);
+        }
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'pelicula_audits',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        {
+            fields: ['pelicula_id']
+        },
+        {
+            fields: ['modelo']
+        },
+        {
+            fields: ['modelo', 'tipo']
+        },
+        {
+            fields: ['username']
+        },
+        {
+            fields: ['created_at']
+        }
+    ]
+});
+
+module.exports = PeliculaAudit;
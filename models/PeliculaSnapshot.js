@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PeliculaSnapshot = sequelize.define('PeliculaSnapshot', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        comment: 'Número da versão da tabela'
+    },
+    source: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: 'csv-import',
+        comment: 'Origem da versão (initial, csv-import, restore)'
+    },
+    mode: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Modo de importação utilizado'
+    },
+    filename: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Nome original do arquivo enviado'
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    username: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Usuário que gerou a versão'
+    },
+    restored_from: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Versão restaurada (quando source = restore)'
+    },
+    total_models: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    vip_models: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    counts: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Resumo da importação (inseridos, atualizados, removidos...)',
+        get() {
+            const value = this.getDataValue('counts');
+            return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+            this.setDataValue('counts', value ? JSON.stringify(value) : null);
+        }
+    },
+    data: {
+        type: DataTypes.TEXT('long'),
+        allowNull: false,
+        comment: 'Cópia completa da tabela peliculas nesta versão',
+        get() {
+            const value = this.getDataValue('data');
+            return value ? JSON.parse(value) : [];
+        },
+        set(value) {
+            this.setDataValue('data', JSON.stringify(value));
+        }
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'pelicula_snapshots',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        {
+            fields: ['created_at']
+        }
+    ]
+});
+
+module.exports = PeliculaSnapshot;
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const SearchAlias = sequelize.define('SearchAlias', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    alias: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Termo digitado pelos clientes (ex.: "zap")'
+    },
+    alias_key: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'Apelido normalizado, usado para evitar duplicidades'
+    },
+    target: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Termo ou modelo que substitui o apelido na busca'
+    },
+    created_by: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Usuário que cadastrou o apelido'
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'search_aliases',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+module.exports = SearchAlias;
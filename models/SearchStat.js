@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Buscas da página pública agregadas por dia e termo, sem IP, sessão ou usuário
+const SearchStat = sequelize.define('SearchStat', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    day: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        comment: 'Dia das buscas (AAAA-MM-DD)'
+    },
+    query: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Termo simplificado (minúsculo, sem acentos e espaços repetidos)'
+    },
+    tipo: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'todos',
+        comment: 'Tipo de película filtrado na busca ou "todos"'
+    },
+    searches: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    zero_results: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Buscas sem nenhum resultado'
+    },
+    vip_only: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Buscas em que todos os resultados eram da tabela VIP'
+    },
+    results_total: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Soma da quantidade de resultados (para a média)'
+    },
+    clicks: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    top_result: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Primeiro resultado da busca mais recente'
+    },
+    clicked_result: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Último resultado clicado'
+    },
+    updated_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'search_stats',
+    timestamps: true,
+    createdAt: false,
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['day', 'query', 'tipo']
+        },
+        {
+            fields: ['query']
+        }
+    ]
+});
+
+module.exports = SearchStat;
@@ -22,6 +22,15 @@ const User = sequelize.define('User', {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
         comment: 'Status do usuário (ativo/inativo)'
+    },
+    role: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'viewer',
+        comment: 'Papel do usuário (admin, editor, viewer)',
+        validate: {
+            isIn: [['admin', 'editor', 'viewer']]
+        }
     }
 }, {
     tableName: 'users',
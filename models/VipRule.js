@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const VipRule = sequelize.define('VipRule', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    kind: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        comment: 'frase (texto exato), regex (expressão regular) ou padrao (sem regra aplicável)'
+    },
+    pattern: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Frase ou expressão comparada com a compatibilidade (vazio na regra padrão)'
+    },
+    vip: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Classificação das linhas que casam com a regra'
+    },
+    position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Ordem de aplicação (a primeira regra que casar decide)'
+    },
+    created_by: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Usuário que cadastrou a regra'
+    },
+    created_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'vip_rules',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+module.exports = VipRule;
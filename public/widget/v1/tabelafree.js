@@ -0,0 +1,1402 @@
+/**
+ * Widget da tabela de compatibilidade de películas
+ *
+ * Uso em qualquer site (o endereço da API vem do próprio script):
+ *   <script src="https://ofcell123-tabelafree.katrocloud.com/widget/v1/tabelafree.js" async></script>
+ *   <tabelafree-peliculas tipo="3d" limit="8"></tabelafree-peliculas>
+ *
+ * Ou só com a tag do script, criando o widget dentro do elemento de data-target:
+ *   <div id="tabela"></div>
+ *   <script src=".../widget/v1/tabelafree.js" data-target="#tabela" data-tipo="privacidade"></script>
+ *
+ * Atributos (ou data-* na tag do script):
+ * - api-base: endereço da API (padrão: /api no servidor que entregou o script)
+ * - tipo: tipo de película exibido ao abrir (padrão 3d)
+ * - marca: filtro de marca aplicado ao abrir
+ * - limit: resultados por busca (padrão 8)
+ * - theme: claro (padrão) ou escuro; as cores também aceitam as variáveis --tabelafree-*
+ * - vip-url: link dos modelos VIP (vazio exibe o aviso sem link)
+ *
+ * O widget usa Shadow DOM: o CSS do site não altera a tabela e o da tabela não vaza para o site.
+ * A versão maior está no endereço (v1); mudanças compatíveis são publicadas no mesmo endereço
+ */
+(function () {
+  "use strict";
+
+  const WIDGET_VERSION = "1.0.0";
+  const ELEMENT_NAME = "tabelafree-peliculas";
+
+  // Script em execução (null quando carregado como módulo ou injetado depois)
+  const SCRIPT = document.currentScript;
+  const DEFAULT_API_BASE = SCRIPT && SCRIPT.src ? new URL("/api", SCRIPT.src).href : "/api";
+  const DEFAULT_VIP_URL = "https://vip.ofcell123.com.br/page/planos";
+  const DEFAULT_TIPO = "3d";
+  const DEFAULT_LIMIT = 8;
+  const MAX_LIMIT = 50;
+
+  // Modelos carregados por página no catálogo completo
+  const PAGE_SIZE = 30;
+  // Espera entre as teclas antes de buscar e antes de pedir as sugestões
+  const SEARCH_DELAY = 300;
+  const SUGGEST_DELAY = 120;
+  const SUGGEST_LIMIT = 8;
+
+  // Atributos aceitos; mudar qualquer um deles recarrega o widget (exceto theme, que é só CSS)
+  const ATTRIBUTES = ["api-base", "tipo", "marca", "limit", "theme", "vip-url"];
+
+  const STYLES = `
+    :host {
+      all: initial;
+      display: block;
+      --tabelafree-primary: #2c3e50;
+      --tabelafree-primary-hover: #34495e;
+      --tabelafree-background: #f5f7fa;
+      --tabelafree-surface: #ffffff;
+      --tabelafree-surface-alt: #f8f9fa;
+      --tabelafree-text: #2c3e50;
+      --tabelafree-muted: #6c757d;
+      --tabelafree-border: #4a5568;
+      --tabelafree-table-border: #1a237e;
+      --tabelafree-header: #d9edf7;
+      --tabelafree-accent: #1976d2;
+      --tabelafree-accent-background: #e3f2fd;
+      --tabelafree-highlight: #fff3cd;
+      --tabelafree-vip: #25b33d;
+      --tabelafree-vip-background: #dedede;
+      --tabelafree-font: "Segoe UI", Tahoma, Geneva, Verdana, sans-serif;
+    }
+
+    :host([theme="escuro"]) {
+      --tabelafree-primary: #90a4ae;
+      --tabelafree-primary-hover: #b0bec5;
+      --tabelafree-background: #121212;
+      --tabelafree-surface: #1e1e1e;
+      --tabelafree-surface-alt: #262626;
+      --tabelafree-text: #eceff1;
+      --tabelafree-muted: #9e9e9e;
+      --tabelafree-border: #607d8b;
+      --tabelafree-table-border: #455a64;
+      --tabelafree-header: #263238;
+      --tabelafree-accent: #64b5f6;
+      --tabelafree-accent-background: #1a2a3a;
+      --tabelafree-highlight: #4e442a;
+      --tabelafree-vip: #66bb6a;
+      --tabelafree-vip-background: #333333;
+    }
+
+    :host([hidden]) {
+      display: none;
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    .container {
+      font-family: var(--tabelafree-font);
+      background: var(--tabelafree-background);
+      color: var(--tabelafree-text);
+    }
+
+    .wrapper {
+      max-width: 1200px;
+      margin: 0 auto;
+      background: var(--tabelafree-surface);
+      box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+      overflow: hidden;
+    }
+
+    .search-container {
+      padding: 12px;
+      background: var(--tabelafree-surface-alt);
+      border-bottom: 1px solid var(--tabelafree-surface-alt);
+    }
+
+    .search-box {
+      width: 100%;
+      max-width: 600px;
+      margin: 0 auto;
+      position: relative;
+    }
+
+    .search-input {
+      width: 100%;
+      padding: 15px 50px 15px 20px;
+      border: 2px solid var(--tabelafree-border);
+      border-radius: 25px;
+      font-size: 1rem;
+      font-family: inherit;
+      background: var(--tabelafree-surface);
+      color: var(--tabelafree-text);
+      transition: all 0.3s ease;
+    }
+
+    .search-input:focus {
+      outline: none;
+      border-color: var(--tabelafree-primary);
+      box-shadow: 0 0 0 3px rgba(45, 55, 72, 0.2);
+    }
+
+    .search-icon {
+      position: absolute;
+      right: 20px;
+      top: 50%;
+      transform: translateY(-50%);
+      color: var(--tabelafree-muted);
+      font-size: 1.2rem;
+    }
+
+    .suggestions {
+      position: absolute;
+      top: 100%;
+      left: 0;
+      right: 0;
+      z-index: 10;
+      margin-top: 4px;
+      list-style: none;
+      background: var(--tabelafree-surface);
+      border: 1px solid var(--tabelafree-border);
+      border-radius: 12px;
+      box-shadow: 0 10px 20px rgba(0, 0, 0, 0.1);
+      max-height: 320px;
+      overflow-y: auto;
+    }
+
+    .suggestion {
+      display: flex;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 8px 20px;
+      cursor: pointer;
+      color: var(--tabelafree-text);
+    }
+
+    .suggestion mark {
+      background: none;
+      color: inherit;
+      font-weight: 700;
+    }
+
+    .suggestion-active {
+      background: var(--tabelafree-surface-alt);
+    }
+
+    .suggestion-note {
+      font-size: 0.8rem;
+      color: var(--tabelafree-muted);
+      white-space: nowrap;
+    }
+
+    .brand-chips {
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: center;
+      gap: 6px;
+      max-width: 800px;
+      margin: 10px auto 0;
+    }
+
+    .brand-chip,
+    .tipo-tab {
+      background: var(--tabelafree-surface);
+      color: var(--tabelafree-text);
+      border: 1px solid var(--tabelafree-border);
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .brand-chip {
+      border-radius: 15px;
+      padding: 4px 12px;
+      font-size: 0.8rem;
+    }
+
+    .brand-chip span {
+      opacity: 0.6;
+      margin-left: 4px;
+    }
+
+    .tipo-tabs {
+      display: flex;
+      justify-content: center;
+      gap: 6px;
+      margin: 10px auto 0;
+    }
+
+    .tipo-tab {
+      border-radius: 5px;
+      padding: 6px 14px;
+      font-size: 0.9rem;
+    }
+
+    .brand-chip-active,
+    .tipo-tab-active {
+      background: var(--tabelafree-primary);
+      color: var(--tabelafree-surface);
+    }
+
+    .table-container {
+      background-color: var(--tabelafree-surface);
+      overflow-x: auto;
+      max-width: 800px;
+      margin: 0 auto;
+    }
+
+    table {
+      width: 100%;
+      border-collapse: separate;
+      border-spacing: 0;
+      background: var(--tabelafree-surface);
+      overflow: hidden;
+      box-shadow: 0 5px 15px rgba(0, 0, 0, 0.08);
+      border: 1px solid var(--tabelafree-table-border);
+    }
+
+    th {
+      background: var(--tabelafree-header);
+      color: var(--tabelafree-text);
+      padding: 10px 15px;
+      text-align: left;
+      font-weight: 600;
+      font-size: 20px;
+      border-right: 1px solid var(--tabelafree-table-border);
+      border-bottom: 1px solid var(--tabelafree-table-border);
+    }
+
+    th img {
+      width: 120px;
+      height: 100%;
+    }
+
+    th:last-child,
+    td:last-child {
+      border-right: none;
+    }
+
+    td {
+      padding: 10px 15px;
+      border-bottom: 1px solid var(--tabelafree-table-border);
+      border-right: 1px solid var(--tabelafree-table-border);
+      vertical-align: top;
+      font-size: 0.9rem;
+    }
+
+    tr:last-child td {
+      border-bottom: none;
+    }
+
+    tbody tr:hover {
+      background-color: var(--tabelafree-surface-alt);
+    }
+
+    .device-model {
+      font-weight: 600;
+      font-size: 0.8rem;
+    }
+
+    .compatible-devices {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+    }
+
+    .device-tag-match {
+      background: var(--tabelafree-highlight);
+      font-weight: 600;
+    }
+
+    .also-fits {
+      display: inline-block;
+      margin-top: 4px;
+      padding: 2px 6px;
+      border-radius: 4px;
+      background: var(--tabelafree-accent-background);
+      color: var(--tabelafree-accent);
+      font-size: 0.75rem;
+      font-weight: 500;
+    }
+
+    .vip-indicator {
+      background: var(--tabelafree-vip-background);
+      color: var(--tabelafree-vip);
+      padding: 4px;
+      font-size: 0.85rem;
+      font-weight: 600;
+      display: inline-block;
+      margin-bottom: 10px;
+      text-decoration: none;
+    }
+
+    .html-content button {
+      background: var(--tabelafree-muted);
+      color: white;
+      border: none;
+      padding: 8px 16px;
+      border-radius: 20px;
+      cursor: pointer;
+      text-decoration: none;
+      display: inline-block;
+      margin: 2px;
+      font-size: 0.9rem;
+      transition: all 0.3s ease;
+    }
+
+    .html-content button:hover {
+      transform: translateY(-1px);
+    }
+
+    .html-content a {
+      color: var(--tabelafree-muted);
+      text-decoration: none;
+      font-weight: 500;
+    }
+
+    .html-content button a {
+      color: white;
+    }
+
+    .html-content a:hover {
+      text-decoration: underline;
+    }
+
+    .html-content .highlight {
+      background: var(--tabelafree-highlight);
+      padding: 4px 8px;
+      border-radius: 4px;
+      border-left: 3px solid #ffc107;
+    }
+
+    .more {
+      text-align: center;
+      padding: 15px;
+    }
+
+    .more-button {
+      background: var(--tabelafree-primary);
+      color: var(--tabelafree-surface);
+      border: none;
+      padding: 10px 24px;
+      border-radius: 20px;
+      cursor: pointer;
+      font-size: 0.9rem;
+      font-family: inherit;
+    }
+
+    .more-button:hover {
+      background: var(--tabelafree-primary-hover);
+    }
+
+    .more-button:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+
+    .suggest-link {
+      display: block;
+      margin-top: 6px;
+      border: none;
+      background: none;
+      color: var(--tabelafree-accent);
+      font-size: 0.8rem;
+      font-family: inherit;
+      cursor: pointer;
+      text-decoration: underline;
+    }
+
+    .no-results .suggest-link {
+      margin: 12px auto 0;
+    }
+
+    .suggest-form {
+      margin: 15px;
+      padding: 15px;
+      border: 1px solid var(--tabelafree-surface-alt);
+      border-radius: 10px;
+      background: var(--tabelafree-surface-alt);
+    }
+
+    .suggest-form input,
+    .suggest-form textarea {
+      display: block;
+      width: 100%;
+      margin: 6px 0 10px;
+      padding: 8px 10px;
+      border: 1px solid var(--tabelafree-border);
+      border-radius: 6px;
+      font-size: 0.95rem;
+      font-family: inherit;
+      background: var(--tabelafree-surface);
+      color: var(--tabelafree-text);
+    }
+
+    .suggest-trap {
+      position: absolute;
+      left: -10000px;
+      width: 1px;
+      height: 1px;
+      overflow: hidden;
+    }
+
+    .suggest-actions {
+      display: flex;
+      gap: 10px;
+      align-items: center;
+      flex-wrap: wrap;
+    }
+
+    .suggest-cancel {
+      border: none;
+      background: none;
+      color: var(--tabelafree-muted);
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .suggest-status {
+      font-size: 0.9rem;
+    }
+
+    .suggest-status-success {
+      color: #28a745;
+    }
+
+    .suggest-status-error {
+      color: #dc3545;
+    }
+
+    .loading,
+    .no-results {
+      text-align: center;
+      color: var(--tabelafree-muted);
+    }
+
+    .loading {
+      padding: 20px;
+    }
+
+    .no-results {
+      padding: 40px;
+    }
+
+    .did-you-mean {
+      margin-top: 12px;
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: center;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .did-you-mean button {
+      padding: 6px 14px;
+      border: 1px solid var(--tabelafree-border);
+      border-radius: 20px;
+      background: var(--tabelafree-surface);
+      color: var(--tabelafree-text);
+      font-size: 0.9rem;
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .did-you-mean button:hover {
+      background: var(--tabelafree-surface-alt);
+    }
+
+    .error {
+      text-align: center;
+      padding: 20px;
+      color: #dc3545;
+      background: #f8d7da;
+      border: 1px solid #f5c6cb;
+      border-radius: 5px;
+      margin: 20px;
+    }
+
+    [hidden] {
+      display: none !important;
+    }
+
+    @media (max-width: 768px) {
+      .table-container {
+        max-width: 100%;
+      }
+    }
+  `;
+
+  const TEMPLATE = `
+    <div class="container" part="container">
+      <div class="wrapper">
+        <div class="search-container">
+          <div class="search-box">
+            <input
+              type="text"
+              id="searchInput"
+              class="search-input"
+              placeholder="Pesquisar por modelo de celular..."
+              autocomplete="off"
+              role="combobox"
+              aria-label="Pesquisar por modelo de celular"
+              aria-autocomplete="list"
+              aria-controls="suggestions"
+              aria-expanded="false"
+            />
+            <span class="search-icon">🔍</span>
+            <ul id="suggestions" class="suggestions" role="listbox" hidden></ul>
+          </div>
+          <div id="tipoTabs" class="tipo-tabs" hidden></div>
+          <div id="brandChips" class="brand-chips"></div>
+        </div>
+
+        <div class="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th><img src="https://ofcell123.com.br/wp-content/uploads/2022/07/WhatsApp-Image-2022-07-04-at-19.02.44-1024x682.jpeg" alt="Películas 3D"></th>
+                <th id="tableTitle">Películas 3D Compatíveis</th>
+              </tr>
+            </thead>
+            <tbody id="tableBody"></tbody>
+          </table>
+
+          <div id="more" class="more" hidden>
+            <button type="button" id="moreButton" class="more-button">Ver todos os modelos</button>
+          </div>
+
+          <div id="loading" class="loading" hidden>🔄 Carregando...</div>
+
+          <div id="noResults" class="no-results" hidden>
+            😔 Nenhum resultado encontrado
+            <div id="didYouMean" class="did-you-mean" hidden></div>
+            <button type="button" class="suggest-link" data-suggest-missing>
+              Avise-nos do modelo que falta na tabela
+            </button>
+          </div>
+
+          <form id="suggestForm" class="suggest-form" hidden>
+            <strong id="suggestTitle"></strong>
+            <label>
+              Modelo do aparelho
+              <input type="text" name="modelo" maxlength="255" required />
+            </label>
+            <label>
+              Observação (opcional)
+              <textarea name="comment" rows="2" maxlength="500"></textarea>
+            </label>
+            <!-- Campo para robôs: fica fora da tela e deve continuar vazio -->
+            <label class="suggest-trap" aria-hidden="true">
+              Site
+              <input type="text" name="website" tabindex="-1" autocomplete="off" />
+            </label>
+            <div class="suggest-actions">
+              <button type="submit" class="more-button">Enviar sugestão</button>
+              <button type="button" class="suggest-cancel" data-suggest-cancel>Cancelar</button>
+              <span id="suggestStatus" class="suggest-status" role="status"></span>
+            </div>
+          </form>
+
+          <div id="error" class="error" hidden>❌ Erro ao carregar dados</div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  // Escapar texto antes de inserir no HTML (o HTML personalizado já vem sanitizado do servidor)
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // Nome com os trechos encontrados em negrito
+  function highlight(label, ranges) {
+    let html = "";
+    let position = 0;
+
+    ranges.forEach(([start, end]) => {
+      html += escapeHtml(label.slice(position, start));
+      html += `<mark>${escapeHtml(label.slice(start, end))}</mark>`;
+      position = end;
+    });
+
+    return html + escapeHtml(label.slice(position));
+  }
+
+  // Lista de compatibilidade (array ou texto JSON de versões antigas da API)
+  function compatibilityList(value) {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    if (typeof value !== "string" || value === "") {
+      return [];
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.split(",").map((item) => item.trim());
+    }
+  }
+
+  class TabelafreePeliculas extends HTMLElement {
+    static get observedAttributes() {
+      return ATTRIBUTES;
+    }
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: "open" });
+      this.shadowRoot.innerHTML = `<style>${STYLES}</style>${TEMPLATE}`;
+
+      const byId = (id) => this.shadowRoot.getElementById(id);
+      this.els = {
+        searchInput: byId("searchInput"),
+        suggestions: byId("suggestions"),
+        tipoTabs: byId("tipoTabs"),
+        brandChips: byId("brandChips"),
+        tableTitle: byId("tableTitle"),
+        tableBody: byId("tableBody"),
+        more: byId("more"),
+        moreButton: byId("moreButton"),
+        loading: byId("loading"),
+        noResults: byId("noResults"),
+        didYouMean: byId("didYouMean"),
+        suggestForm: byId("suggestForm"),
+        suggestTitle: byId("suggestTitle"),
+        suggestStatus: byId("suggestStatus"),
+        error: byId("error")
+      };
+
+      this.started = false;
+      this.searchTimeout = null;
+      this.suggestTimeout = null;
+      this.bindEvents();
+    }
+
+    connectedCallback() {
+      if (!this.started) {
+        this.started = true;
+        this.reset();
+      }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (this.started && name !== "theme" && oldValue !== newValue) {
+        this.reset();
+      }
+    }
+
+    get apiBase() {
+      return (this.getAttribute("api-base") || DEFAULT_API_BASE).replace(/\/+$/, "");
+    }
+
+    get limit() {
+      const limit = parseInt(this.getAttribute("limit"), 10);
+      return limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT;
+    }
+
+    get vipUrl() {
+      return this.hasAttribute("vip-url") ? this.getAttribute("vip-url") : DEFAULT_VIP_URL;
+    }
+
+    // Versão publicada do widget
+    get version() {
+      return WIDGET_VERSION;
+    }
+
+    // Voltar ao estado inicial com os atributos atuais: tipo e marca padrão, vitrine
+    reset() {
+      this.tipo = this.getAttribute("tipo") || DEFAULT_TIPO;
+      this.marca = this.getAttribute("marca") || null;
+      // Catálogo completo: null enquanto a vitrine ou a busca são exibidas
+      this.catalog = null;
+      // Termo dos resultados exibidos (null na vitrine e no catálogo) e modelos já clicados nele
+      this.lastQuery = null;
+      this.clicked = new Set();
+      // Sugestões da caixa de busca e a destacada pelo teclado (-1 = nenhuma)
+      this.suggestionItems = [];
+      this.activeSuggestion = -1;
+
+      clearTimeout(this.searchTimeout);
+      clearTimeout(this.suggestTimeout);
+      this.els.searchInput.value = "";
+      this.els.suggestForm.hidden = true;
+      this.hideSuggestions();
+      this.loadTipos();
+      this.showBrowse();
+    }
+
+    // Requisição à API, devolvendo o JSON da resposta
+    async api(path, options) {
+      const response = await fetch(`${this.apiBase}${path}`, options);
+      return response.json();
+    }
+
+    // Filtros de tipo e marca no formato da query string
+    filterParams(withMarca = true) {
+      return `tipo=${encodeURIComponent(this.tipo)}${
+        withMarca && this.marca ? `&marca=${encodeURIComponent(this.marca)}` : ""
+      }`;
+    }
+
+    bindEvents() {
+      const els = this.els;
+
+      // Busca com debounce
+      els.searchInput.addEventListener("input", () => {
+        const searchTerm = els.searchInput.value.trim();
+
+        clearTimeout(this.searchTimeout);
+        this.scheduleSuggestions(searchTerm);
+
+        if (searchTerm === "") {
+          this.showBrowse();
+          return;
+        }
+
+        this.searchTimeout = setTimeout(() => {
+          this.performSearch(searchTerm);
+        }, SEARCH_DELAY);
+      });
+
+      // Navegação pelas sugestões com o teclado
+      els.searchInput.addEventListener("keydown", (event) => {
+        const open = !els.suggestions.hidden;
+        const total = this.suggestionItems.length;
+
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+          if (total === 0) {
+            return;
+          }
+          event.preventDefault();
+          const step = event.key === "ArrowDown" ? 1 : -1;
+          const next = open
+            ? (this.activeSuggestion + step + total) % total
+            : step === 1 ? 0 : total - 1;
+          this.renderSuggestions(next);
+        } else if (event.key === "Enter") {
+          if (open && this.activeSuggestion >= 0) {
+            event.preventDefault();
+            this.selectSuggestion(this.activeSuggestion);
+          } else {
+            this.hideSuggestions();
+          }
+        } else if (event.key === "Escape" || event.key === "Tab") {
+          this.hideSuggestions();
+        }
+      });
+
+      els.searchInput.addEventListener("blur", () => this.hideSuggestions());
+
+      // mousedown em vez de click: escolhe a sugestão antes de a caixa perder o foco
+      els.suggestions.addEventListener("mousedown", (event) => {
+        const item = event.target.closest("[data-index]");
+        event.preventDefault();
+        if (item) {
+          this.selectSuggestion(Number(item.dataset.index));
+        }
+      });
+
+      // Clique em "você quis dizer": busca o modelo sugerido
+      els.didYouMean.addEventListener("click", (event) => {
+        const button = event.target.closest("button[data-modelo]");
+        if (!button) {
+          return;
+        }
+
+        els.searchInput.value = button.dataset.modelo;
+        clearTimeout(this.searchTimeout);
+        this.performSearch(button.dataset.modelo);
+      });
+
+      // Linhas da tabela: sugestão de compatibilidade ou clique em um resultado da busca
+      els.tableBody.addEventListener("click", (event) => {
+        const suggest = event.target.closest("[data-suggest-id]");
+        if (suggest) {
+          this.openSuggestForm({
+            kind: "compatibilidade",
+            peliculaId: suggest.dataset.suggestId,
+            title: `Outro aparelho usa a película do ${suggest.dataset.suggestModelo}?`,
+            modelo: ""
+          });
+          return;
+        }
+
+        const row = event.target.closest("tr[data-modelo]");
+        if (row) {
+          this.recordClick(row.dataset.modelo);
+        }
+      });
+
+      els.noResults.addEventListener("click", (event) => {
+        if (event.target.closest("[data-suggest-missing]")) {
+          this.openSuggestForm({
+            kind: "modelo",
+            peliculaId: null,
+            title: "Qual modelo falta na tabela?",
+            modelo: els.searchInput.value.trim()
+          });
+        }
+      });
+
+      els.suggestForm.addEventListener("submit", (event) => this.submitSuggestion(event));
+      els.suggestForm.querySelector("[data-suggest-cancel]").addEventListener("click", () => {
+        els.suggestForm.hidden = true;
+      });
+
+      // "Ver todos os modelos" abre o catálogo; depois, cada clique carrega a próxima página
+      els.moreButton.addEventListener("click", () => {
+        if (this.catalog) {
+          this.loadCatalogPage();
+        } else {
+          this.openCatalog();
+        }
+      });
+
+      // Filtro por marca: vale para a busca e para o catálogo
+      els.brandChips.addEventListener("click", (event) => {
+        const chip = event.target.closest("[data-marca]");
+        if (!chip) {
+          return;
+        }
+
+        this.marca = chip.dataset.marca || null;
+        this.refresh();
+      });
+
+      // Troca de tipo: a marca escolhida pode não existir no outro tipo, então volta para todas
+      els.tipoTabs.addEventListener("click", (event) => {
+        const tab = event.target.closest("[data-tipo]");
+        if (!tab || tab.dataset.tipo === this.tipo) {
+          return;
+        }
+
+        this.tipo = tab.dataset.tipo;
+        this.marca = null;
+        this.renderTipoTabs();
+        this.refresh();
+      });
+
+      // Rolagem infinita: carregar a próxima página quando o botão aparecer na tela
+      if ("IntersectionObserver" in window) {
+        const observer = new IntersectionObserver((entries) => {
+          if (entries[0].isIntersecting && this.catalog && this.catalog.hasMore) {
+            this.loadCatalogPage();
+          }
+        });
+        observer.observe(els.more);
+      }
+    }
+
+    // Refazer a busca digitada ou voltar à navegação sem busca
+    refresh() {
+      const searchTerm = this.els.searchInput.value.trim();
+      if (searchTerm !== "") {
+        this.performSearch(searchTerm);
+      } else {
+        this.showBrowse();
+      }
+    }
+
+    // Sem busca: catálogo da marca escolhida ou a vitrine
+    showBrowse() {
+      if (this.marca) {
+        this.openCatalog();
+      } else {
+        this.loadInitialData();
+      }
+    }
+
+    // Carregar os tipos de película; as abas só aparecem se houver mais de um tipo cadastrado
+    async loadTipos() {
+      try {
+        const result = await this.api("/tipos");
+        if (!result.success) {
+          return;
+        }
+
+        this.tipos = result.data.filter((item) => item.total > 0 || item.value === this.tipo);
+        this.renderTipoTabs();
+      } catch (error) {
+        console.error("Erro ao carregar tipos:", error);
+      }
+    }
+
+    renderTipoTabs() {
+      const tipos = this.tipos || [];
+      const current = tipos.find((item) => item.value === this.tipo);
+      if (current) {
+        this.els.tableTitle.textContent = `Películas ${current.label} Compatíveis`;
+      }
+
+      this.els.tipoTabs.hidden = tipos.length < 2;
+      this.els.tipoTabs.innerHTML = tipos
+        .map(
+          (item) =>
+            `<button type="button" class="tipo-tab${
+              item.value === this.tipo ? " tipo-tab-active" : ""
+            }" data-tipo="${escapeHtml(item.value)}">${escapeHtml(item.label)}</button>`
+        )
+        .join("");
+    }
+
+    // Carregar as marcas com a quantidade de modelos de cada uma
+    async loadBrands() {
+      try {
+        const result = await this.api(`/marcas?${this.filterParams(false)}`);
+        if (result.success) {
+          this.renderBrandChips(result.data);
+        }
+      } catch (error) {
+        console.error("Erro ao carregar marcas:", error);
+      }
+    }
+
+    // Exibir os filtros de marca com as contagens recebidas da API
+    renderBrandChips(marcas) {
+      const chips = marcas.slice();
+      if (this.marca && !chips.some((item) => item.value === this.marca)) {
+        chips.push({ value: this.marca, total: 0 });
+      }
+
+      const chip = (value, label, total) =>
+        `<button type="button" class="brand-chip${
+          (value || null) === this.marca ? " brand-chip-active" : ""
+        }" data-marca="${escapeHtml(value)}">${escapeHtml(label)}${
+          total !== null ? `<span>${total}</span>` : ""
+        }</button>`;
+
+      this.els.brandChips.innerHTML =
+        chip("", "Todas", null) + chips.map((item) => chip(item.value, item.value, item.total)).join("");
+    }
+
+    // Carregar a vitrine
+    async loadInitialData() {
+      try {
+        this.showLoading();
+        this.catalog = null;
+        this.lastQuery = null;
+        this.loadBrands();
+
+        const result = await this.api(`/peliculas?mode=vitrine&${this.filterParams(false)}`);
+        if (result.success) {
+          this.displayData(result.data);
+          this.updateMoreButton();
+        } else {
+          this.showError("Erro ao carregar dados");
+        }
+      } catch (error) {
+        console.error("Erro ao carregar dados:", error);
+        this.showError("Erro de conexão com o servidor");
+      }
+    }
+
+    // Trocar a vitrine pelo catálogo completo, em ordem alfabética
+    openCatalog() {
+      this.catalog = { offset: 0, total: 0, hasMore: true, loading: false };
+      this.lastQuery = null;
+      this.els.tableBody.innerHTML = "";
+      this.loadCatalogPage();
+    }
+
+    // Carregar a próxima página do catálogo e adicionar ao fim da tabela
+    async loadCatalogPage() {
+      const catalog = this.catalog;
+      if (!catalog || catalog.loading || !catalog.hasMore) {
+        return;
+      }
+
+      catalog.loading = true;
+      this.updateMoreButton();
+
+      try {
+        const result = await this.api(
+          `/peliculas?sort=modelo&limit=${PAGE_SIZE}&offset=${catalog.offset}&${this.filterParams()}`
+        );
+
+        // A busca ou a vitrine podem ter substituído o catálogo durante a requisição
+        if (catalog !== this.catalog) {
+          return;
+        }
+
+        if (!result.success) {
+          this.showError("Erro ao carregar dados");
+          return;
+        }
+
+        if (catalog.offset === 0) {
+          this.renderBrandChips(result.facets.marca);
+        }
+        this.hideAllMessages();
+        if (catalog.offset === 0 && result.data.length === 0) {
+          this.showNoResults();
+        }
+        result.data.forEach((pelicula) => {
+          this.els.tableBody.appendChild(this.createRow(pelicula));
+        });
+        catalog.offset += result.data.length;
+        catalog.total = result.total;
+        catalog.hasMore = result.hasMore;
+      } catch (error) {
+        console.error("Erro ao carregar catálogo:", error);
+        this.showError("Erro de conexão com o servidor");
+      } finally {
+        catalog.loading = false;
+        if (catalog === this.catalog) {
+          this.updateMoreButton();
+        }
+      }
+    }
+
+    // Atualizar o botão abaixo da tabela conforme a vitrine ou o catálogo
+    updateMoreButton() {
+      const { more, moreButton } = this.els;
+
+      if (!this.catalog) {
+        moreButton.textContent = "Ver todos os modelos";
+        moreButton.disabled = false;
+        more.hidden = false;
+        return;
+      }
+
+      more.hidden = !this.catalog.hasMore;
+      moreButton.disabled = this.catalog.loading;
+      moreButton.textContent = this.catalog.loading
+        ? "Carregando..."
+        : `Ver mais (${this.catalog.offset} de ${this.catalog.total})`;
+    }
+
+    // Realizar busca
+    async performSearch(searchTerm) {
+      try {
+        this.catalog = null;
+        this.els.more.hidden = true;
+        this.showLoading();
+
+        const result = await this.api(
+          `/search?q=${encodeURIComponent(searchTerm)}&limit=${this.limit}&mode=todos&${this.filterParams()}`
+        );
+
+        if (result.success) {
+          this.renderBrandChips(result.facets.marca);
+          this.displayData(result.data, result.also_fits || [], result.did_you_mean || []);
+          this.lastQuery = searchTerm;
+          this.clicked = new Set();
+        } else {
+          this.showError("Erro na busca");
+        }
+      } catch (error) {
+        console.error("Erro na busca:", error);
+        this.showError("Erro de conexão");
+      }
+    }
+
+    // Clique em um resultado da busca: conta nas estatísticas de busca (uma vez por modelo)
+    recordClick(modelo) {
+      if (!this.lastQuery || this.clicked.has(modelo)) {
+        return;
+      }
+
+      this.clicked.add(modelo);
+      fetch(`${this.apiBase}/search/click`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ q: this.lastQuery, tipo: this.tipo, modelo }),
+        keepalive: true
+      }).catch(() => {});
+    }
+
+    // Pedir as sugestões depois de uma pausa na digitação
+    scheduleSuggestions(searchTerm) {
+      clearTimeout(this.suggestTimeout);
+
+      if (searchTerm === "") {
+        this.suggestionItems = [];
+        this.hideSuggestions();
+        return;
+      }
+
+      this.suggestTimeout = setTimeout(() => {
+        this.loadSuggestions(searchTerm);
+      }, SUGGEST_DELAY);
+    }
+
+    async loadSuggestions(searchTerm) {
+      try {
+        const result = await this.api(
+          `/search/suggest?q=${encodeURIComponent(searchTerm)}&limit=${SUGGEST_LIMIT}&${this.filterParams(false)}`
+        );
+
+        // Ignorar respostas de um texto que o cliente já alterou
+        if (!result.success || this.els.searchInput.value.trim() !== searchTerm) {
+          return;
+        }
+
+        this.suggestionItems = result.data;
+        if (this.shadowRoot.activeElement === this.els.searchInput) {
+          this.renderSuggestions(-1);
+        }
+      } catch (error) {
+        console.error("Erro nas sugestões:", error);
+      }
+    }
+
+    // Exibir a lista de sugestões com a sugestão ativa destacada
+    renderSuggestions(active) {
+      const { suggestions, searchInput } = this.els;
+
+      if (this.suggestionItems.length === 0) {
+        this.hideSuggestions();
+        return;
+      }
+
+      this.activeSuggestion = active;
+      suggestions.innerHTML = this.suggestionItems
+        .map((suggestion, index) => {
+          const note =
+            suggestion.kind === "apelido"
+              ? `busca por ${escapeHtml(suggestion.target)}`
+              : suggestion.vip
+              ? "VIP"
+              : "";
+          return `<li id="suggestion-${index}" role="option" data-index="${index}"
+                    class="suggestion${index === active ? " suggestion-active" : ""}"
+                    aria-selected="${index === active}">
+                    <span>${highlight(suggestion.label, suggestion.ranges)}</span>
+                    ${note ? `<span class="suggestion-note">${note}</span>` : ""}
+                  </li>`;
+        })
+        .join("");
+
+      suggestions.hidden = false;
+      searchInput.setAttribute("aria-expanded", "true");
+      if (active >= 0) {
+        searchInput.setAttribute("aria-activedescendant", `suggestion-${active}`);
+        this.shadowRoot.getElementById(`suggestion-${active}`).scrollIntoView({ block: "nearest" });
+      } else {
+        searchInput.removeAttribute("aria-activedescendant");
+      }
+    }
+
+    hideSuggestions() {
+      this.activeSuggestion = -1;
+      this.els.suggestions.hidden = true;
+      this.els.searchInput.setAttribute("aria-expanded", "false");
+      this.els.searchInput.removeAttribute("aria-activedescendant");
+    }
+
+    // Escolher uma sugestão: preenche a caixa e busca na hora
+    selectSuggestion(index) {
+      const suggestion = this.suggestionItems[index];
+      if (!suggestion) {
+        return;
+      }
+
+      this.els.searchInput.value = suggestion.label;
+      this.hideSuggestions();
+      clearTimeout(this.suggestTimeout);
+      clearTimeout(this.searchTimeout);
+      this.performSearch(suggestion.label);
+    }
+
+    // Abrir o formulário de sugestão de compatibilidade
+    openSuggestForm({ kind, peliculaId, title, modelo }) {
+      const { suggestForm, suggestTitle, suggestStatus } = this.els;
+
+      suggestForm.reset();
+      suggestForm.dataset.kind = kind;
+      suggestForm.dataset.peliculaId = peliculaId || "";
+      suggestForm.elements.modelo.value = modelo;
+      suggestTitle.textContent = title;
+      suggestStatus.textContent = "";
+      suggestForm.hidden = false;
+      suggestForm.scrollIntoView({ behavior: "smooth", block: "nearest" });
+      suggestForm.elements.modelo.focus();
+    }
+
+    // Enviar a sugestão para a fila de moderação
+    async submitSuggestion(event) {
+      event.preventDefault();
+      const form = this.els.suggestForm;
+      const status = this.els.suggestStatus;
+      const button = form.querySelector('button[type="submit"]');
+
+      button.disabled = true;
+      status.className = "suggest-status";
+      status.textContent = "Enviando...";
+
+      try {
+        const result = await this.api("/suggestions", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            kind: form.dataset.kind,
+            pelicula_id: form.dataset.peliculaId || null,
+            modelo: form.elements.modelo.value,
+            comment: form.elements.comment.value,
+            website: form.elements.website.value
+          })
+        });
+
+        status.className = `suggest-status suggest-status-${result.success ? "success" : "error"}`;
+        status.textContent = result.message;
+        if (result.success) {
+          form.elements.modelo.value = "";
+          form.elements.comment.value = "";
+        }
+      } catch (error) {
+        console.error("Erro ao enviar sugestão:", error);
+        status.className = "suggest-status suggest-status-error";
+        status.textContent = "Erro de conexão. Tente novamente.";
+      } finally {
+        button.disabled = false;
+      }
+    }
+
+    // Exibir dados na tabela
+    // alsoFits: películas de outros modelos que servem no aparelho buscado ("também serve")
+    // didYouMean: modelos parecidos, exibidos quando a busca não encontra nada
+    displayData(data, alsoFits = [], didYouMean = []) {
+      this.hideAllMessages();
+      const rows = data.concat(alsoFits);
+
+      if (rows.length === 0) {
+        this.showNoResults(didYouMean);
+        return;
+      }
+
+      this.els.tableBody.innerHTML = "";
+      rows.forEach((pelicula) => {
+        this.els.tableBody.appendChild(this.createRow(pelicula));
+      });
+    }
+
+    // Coluna de compatibilidade: HTML personalizado, aviso VIP ou a lista de aparelhos
+    renderCompatibility(pelicula, matchedDevice) {
+      const isVip = pelicula.vip === true || pelicula.vip === "true" || pelicula.vip === 1;
+
+      if (pelicula.html_content && pelicula.html_content.trim().length > 0) {
+        return `<div class="html-content">${pelicula.html_content}</div>`;
+      }
+
+      if (isVip) {
+        const vipUrl = this.vipUrl;
+        return vipUrl
+          ? `<a class="vip-indicator" href="${escapeHtml(vipUrl)}" target="_blank" rel="noopener noreferrer">Disponível apenas na tabela VIP</a>`
+          : '<span class="vip-indicator">Disponível apenas na tabela VIP</span>';
+      }
+
+      const devices = compatibilityList(pelicula.compatibilidade);
+      return `<div class="compatible-devices">
+                ${
+                  devices.length > 0
+                    ? devices
+                        .map(
+                          (device) =>
+                            `<span class="device-tag${
+                              device === matchedDevice ? " device-tag-match" : ""
+                            }">${escapeHtml(device)}/</span>`
+                        )
+                        .join("")
+                    : '<span class="device-tag">Sem compatibilidade</span>'
+                }
+              </div>
+              <button type="button" class="suggest-link" data-suggest-id="${escapeHtml(
+                pelicula.id
+              )}" data-suggest-modelo="${escapeHtml(pelicula.modelo || "")}">
+                Serve em outro aparelho? Avise-nos
+              </button>`;
+    }
+
+    // Montar a linha da tabela de uma película
+    createRow(pelicula) {
+      const row = document.createElement("tr");
+      row.dataset.modelo = pelicula.modelo || "";
+
+      // Nome compatível encontrado pela busca reversa
+      const matchedDevice = pelicula.matched_compatibilidade || null;
+
+      row.innerHTML = `
+        <td>
+          <div class="device-model">${escapeHtml(pelicula.modelo || "N/A")}</div>
+          ${matchedDevice ? `<div class="also-fits">também serve: ${escapeHtml(matchedDevice)}</div>` : ""}
+        </td>
+        <td>${this.renderCompatibility(pelicula, matchedDevice)}</td>
+      `;
+
+      return row;
+    }
+
+    showLoading() {
+      this.hideAllMessages();
+      this.els.loading.hidden = false;
+      this.els.tableBody.hidden = true;
+    }
+
+    showError(message) {
+      this.hideAllMessages();
+      this.els.error.textContent = message;
+      this.els.error.hidden = false;
+    }
+
+    // Mostrar sem resultados, com as sugestões "você quis dizer" se houver
+    showNoResults(didYouMean = []) {
+      const { didYouMean: target, noResults } = this.els;
+
+      this.hideAllMessages();
+      target.innerHTML = didYouMean.length
+        ? "<span>Você quis dizer:</span>" +
+          didYouMean
+            .map(
+              (suggestion) =>
+                `<button type="button" data-modelo="${escapeHtml(suggestion.modelo)}">${escapeHtml(
+                  suggestion.modelo
+                )}</button>`
+            )
+            .join("")
+        : "";
+      target.hidden = didYouMean.length === 0;
+      noResults.hidden = false;
+    }
+
+    hideAllMessages() {
+      this.els.loading.hidden = true;
+      this.els.noResults.hidden = true;
+      this.els.error.hidden = true;
+      this.els.tableBody.hidden = false;
+    }
+  }
+
+  if (!customElements.get(ELEMENT_NAME)) {
+    customElements.define(ELEMENT_NAME, TabelafreePeliculas);
+  }
+
+  // Só a tag do script: data-target indica onde criar o widget, com os atributos em data-*
+  function mountFromScript(script) {
+    const target = document.querySelector(script.dataset.target);
+    if (!target) {
+      console.error(`Tabela de películas: elemento "${script.dataset.target}" não encontrado`);
+      return;
+    }
+
+    const widget = document.createElement(ELEMENT_NAME);
+    ATTRIBUTES.forEach((name) => {
+      const value = script.dataset[name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())];
+      if (value !== undefined) {
+        widget.setAttribute(name, value);
+      }
+    });
+    target.appendChild(widget);
+  }
+
+  if (SCRIPT && SCRIPT.dataset.target) {
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => mountFromScript(SCRIPT));
+    } else {
+      mountFromScript(SCRIPT);
+    }
+  }
+})();
@@ -0,0 +1,92 @@
+// Mede a latência da busca e das sugestões (autocompletar) em memória com uma tabela sintética
+// Uso: npm run benchmark:search -- [quantidade de modelos] (padrão 5000)
+// Falha (código 1) se o p95 passar da meta definida em SearchIndex.TARGET_P95_MS
+const PeliculaSearch = require('../utils/peliculaSearch');
+const PeliculaSuggest = require('../utils/peliculaSuggest');
+const SearchNormalizer = require('../utils/searchNormalizer');
+const SearchIndex = require('../utils/searchIndex');
+
+const BRANDS = ['SAMSUNG GALAXY', 'MOTOROLA MOTO', 'XIAOMI REDMI', 'XIAOMI REDMI NOTE', 'REALME', 'OPPO', 'IPHONE', 'LG K'];
+const SUFFIXES = ['', ' PLUS', ' PRO', ' 5G', ' PRO MAX', ' LITE'];
+const QUERIES = [
+    'g64', 'moto g 64', 'redmi note13', 'sam a54', 'iphone 11 pro max', 'realme c61',
+    'redmi nte 13', 'galaxy s 22 ultra', 'a10', 'oppo a40', 'lg k 51', 'xyz 999'
+];
+// Primeiros caracteres digitados, como chegam às sugestões
+const SUGGEST_QUERIES = ['s', 'a', 'g6', 'moto g', 'iphone 1', 'redmi note 1', 'x', 'k5'];
+const ITERATIONS = 50;
+
+function createPeliculas(total) {
+    const peliculas = [];
+    let id = 1;
+
+    for (let number = 1; peliculas.length < total; number++) {
+        for (const brand of BRANDS) {
+            for (const suffix of SUFFIXES) {
+                if (peliculas.length >= total) break;
+                const letter = String.fromCharCode(65 + (number % 26));
+                peliculas.push({
+                    id: id++,
+                    modelo: `${brand} ${letter}${number}${suffix}`,
+                    vip: number % 7 === 0,
+                    compatibilidade: number % 7 === 0 ? [] : [`${letter}${number + 1}`, `${letter}${number}${suffix} 4G`]
+                });
+            }
+        }
+    }
+
+    return peliculas;
+}
+
+function percentile(sorted, value) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * value))];
+}
+
+// Tempo de cada execução de run para todas as consultas, em milissegundos (ordenados)
+function measure(queries, run) {
+    const timings = [];
+    for (let i = 0; i < ITERATIONS; i++) {
+        for (const query of queries) {
+            const start = process.hrtime.bigint();
+            run(query);
+            timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+        }
+    }
+    return timings.sort((a, b) => a - b);
+}
+
+// Mostra os tempos e indica se o p95 ficou dentro da meta
+function report(label, timings, target) {
+    const p50 = percentile(timings, 0.5);
+    const p95 = percentile(timings, 0.95);
+
+    console.log(`   ${timings.length} ${label} · p50 ${p50.toFixed(2)}ms · p95 ${p95.toFixed(2)}ms · máx ${timings[timings.length - 1].toFixed(2)}ms`);
+    return p95 <= target;
+}
+
+function main() {
+    const total = parseInt(process.argv[2], 10) || 5000;
+    const peliculas = createPeliculas(total);
+
+    const buildStart = process.hrtime.bigint();
+    const index = new PeliculaSearch(peliculas, { normalizer: new SearchNormalizer() });
+    const suggest = new PeliculaSuggest(peliculas);
+    const buildMs = Number(process.hrtime.bigint() - buildStart) / 1e6;
+    const target = SearchIndex.TARGET_P95_MS;
+
+    console.log(`📊 ${total} modelos · índices montados em ${buildMs.toFixed(1)}ms`);
+    const searchOk = report('buscas', measure(QUERIES, query => {
+        index.search(query, 8);
+        index.searchCompatible(query, 8);
+    }), target);
+    const suggestOk = report('sugestões', measure(SUGGEST_QUERIES, query => suggest.suggest(query)), target);
+
+    if (!searchOk || !suggestOk) {
+        console.error(`❌ p95 acima da meta de ${target}ms`);
+        process.exit(1);
+    }
+
+    console.log(`✅ p95 dentro da meta de ${target}ms`);
+}
+
+main();
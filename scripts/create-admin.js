@@ -0,0 +1,51 @@
+// Cria (ou redefine) um usuário administrador
+// Uso: npm run create-admin -- <usuario>
+// A senha é lida de ADMIN_PASSWORD ou solicitada no terminal
+require('dotenv').config();
+const readline = require('readline');
+const { sequelize, testConnection } = require('../config/database');
+const User = require('../models/User');
+const UserManager = require('../utils/userManager');
+const Migrator = require('../utils/migrator');
+
+function askPassword(question) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer);
+        });
+    });
+}
+
+async function main() {
+    const username = process.argv[2];
+
+    if (!username) {
+        console.error('Uso: npm run create-admin -- <usuario>');
+        process.exit(1);
+    }
+
+    const password = process.env.ADMIN_PASSWORD || await askPassword(`Senha para ${username}: `);
+
+    await testConnection();
+    await new Migrator(sequelize).ensureUpToDate();
+
+    const userManager = new UserManager();
+    const existing = await User.findOne({ where: { username } });
+
+    if (existing) {
+        await userManager.updateUser(existing.id, { role: 'admin', isActive: true, password });
+        console.log(`✅ Usuário ${username} atualizado como administrador`);
+    } else {
+        await userManager.createUser({ username, password, role: 'admin' });
+        console.log(`✅ Administrador ${username} criado`);
+    }
+
+    await sequelize.close();
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
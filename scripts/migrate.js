@@ -0,0 +1,44 @@
+// Aplica ou desfaz as migrações do banco
+// Uso: npm run migrate                    aplica as pendentes
+//      npm run migrate -- status          lista as migrações e se já foram aplicadas
+//      npm run migrate -- up [nome]       aplica as pendentes (até a migração informada)
+//      npm run migrate -- down [nome]     desfaz a última (ou até a migração informada)
+require('dotenv').config();
+const { sequelize, testConnection, describeDatabase } = require('../config/database');
+const Migrator = require('../utils/migrator');
+
+async function main() {
+    const [command = 'up', target] = process.argv.slice(2);
+    const migrator = new Migrator(sequelize);
+
+    await testConnection();
+
+    if (command === 'status') {
+        const status = await migrator.status();
+        console.log(`Banco: ${describeDatabase()}`);
+        status.forEach(item => {
+            const mark = item.missing ? '?' : (item.executed ? '✔' : ' ');
+            console.log(`[${mark}] ${item.name}${item.missing ? ' (arquivo não encontrado)' : ''}`);
+        });
+    } else if (command === 'up') {
+        const applied = await migrator.up({ to: target });
+        console.log(applied.length > 0
+            ? `✅ Migrações aplicadas: ${applied.join(', ')}`
+            : '✅ Nenhuma migração pendente');
+    } else if (command === 'down') {
+        const reverted = await migrator.down({ to: target });
+        console.log(reverted.length > 0
+            ? `✅ Migrações desfeitas: ${reverted.join(', ')}`
+            : '✅ Nenhuma migração aplicada');
+    } else {
+        console.error('Uso: npm run migrate -- [status | up [nome] | down [nome]]');
+        process.exitCode = 1;
+    }
+
+    await sequelize.close();
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
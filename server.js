@@ -4,33 +4,108 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
-const Fuse = require('fuse.js');
 const multer = require('multer');
 const session = require('express-session');
 const bcrypt = require('bcrypt');
-const { sequelize, testConnection } = require('./config/database');
-const { QueryTypes } = require('sequelize');
+const { sequelize, testConnection, isInMemory } = require('./config/database');
 const Pelicula = require('./models/Pelicula');
 const User = require('./models/User');
 const CSVParser = require('./utils/csvParser');
+const SpreadsheetReader = require('./utils/spreadsheetReader');
+const ImportMappingManager = require('./utils/importMappingManager');
+const Migrator = require('./utils/migrator');
+const ImportValidator = require('./utils/importValidator');
+const VipRuleManager = require('./utils/vipRuleManager');
+const PeliculaImporter = require('./utils/peliculaImporter');
+const SnapshotManager = require('./utils/snapshotManager');
+const PeliculaExporter = require('./utils/peliculaExporter');
+const PeliculaValidator = require('./utils/peliculaValidator');
+const HtmlSanitizer = require('./utils/htmlSanitizer');
+const UserManager = require('./utils/userManager');
+const AuditTrail = require('./utils/auditTrail');
+const CompatibilityGraph = require('./utils/compatibilityGraph');
+const SearchIndex = require('./utils/searchIndex');
+const SearchAliasManager = require('./utils/searchAliasManager');
+const SearchAnalytics = require('./utils/searchAnalytics');
+const SuggestionManager = require('./utils/suggestionManager');
+const PeliculaListing = require('./utils/peliculaListing');
+const BrandDictionary = require('./utils/brandDictionary');
+const { DEFAULT_TIPO, normalizeTipo, tipoLabel, listTipos } = require('./utils/peliculaTipos');
+const { requireAuth, requireRole, hasRole } = require('./utils/auth');
 
 
 const app = express();
 const PORT = process.env.PORT || 3005;
+const snapshotManager = new SnapshotManager();
+const htmlSanitizer = new HtmlSanitizer();
+const userManager = new UserManager();
+const auditTrail = new AuditTrail();
+const searchAliasManager = new SearchAliasManager();
+const searchIndex = new SearchIndex();
+const searchAnalytics = new SearchAnalytics();
+const peliculaListing = new PeliculaListing();
+const importMappingManager = new ImportMappingManager();
+const importValidator = new ImportValidator();
+const vipRuleManager = new VipRuleManager();
+const suggestionManager = new SuggestionManager();
+const brandDictionary = new BrandDictionary();
+
+// Manter o índice de busca atualizado a cada alteração de películas ou apelidos
+searchIndex.watch();
+
+// Preencher a marca das películas criadas sem marca e registrar as alterações na auditoria
+BrandDictionary.register();
+AuditTrail.register();
+
+// Papel mínimo exigido por modo de importação
+const IMPORT_MODE_ROLES = {
+    replace: 'admin',
+    delete: 'admin',
+    merge: 'editor',
+    append: 'editor'
+};
+
+// Sites autorizados a usar a API (o widget incorporado em sites parceiros precisa do domínio aqui)
+const CORS_ORIGINS = [
+    'https://ofcell123-tabelafree.katrocloud.com',
+    'https://ofcell123.com.br',
+    'https://tabelafree.onrender.com',
+    ...(process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+];
+
+/**
+ * Valor da opção "trust proxy" do Express a partir de TRUST_PROXY
+ * Atrás de um proxy reverso, sem ela req.ip é o IP do proxy para todos os visitantes
+ * @param {string|undefined} value - true, false, número de proxies à frente do app ou IPs/sub-redes separados por vírgula
+ * @returns {boolean|number|Array<string>} Valor para app.set('trust proxy')
+ */
+function trustProxySetting(value) {
+    const text = String(value || '').trim();
+    if (text === '' || text === 'false') {
+        return false;
+    }
+    if (text === 'true') {
+        return true;
+    }
+    if (/^\d+$/.test(text)) {
+        return parseInt(text, 10);
+    }
+    return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
 
 // Middleware
 app.use(cors({
-    origin: [
-        'https://ofcell123-tabelafree.katrocloud.com',
-        'https://ofcell123.com.br',
-        'https://tabelafree.onrender.com'
-    ],
+    origin: CORS_ORIGINS,
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// Widget incorporável: versões em /widget/v1, /widget/v2...; o cache curto entrega correções sem trocar o endereço
+app.use('/widget', express.static(path.join(__dirname, 'public/widget'), { maxAge: '1h' }));
 app.use(express.static('public'));
 
 // Configurar sessões
@@ -55,17 +130,18 @@ const storage = multer.diskStorage({
     },
     filename: function (req, file, cb) {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'peliculas-' + uniqueSuffix + '.csv');
+        cb(null, 'peliculas-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
     }
 });
 
+const spreadsheetReader = new SpreadsheetReader();
 const upload = multer({ 
     storage: storage,
     fileFilter: function (req, file, cb) {
-        if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+        if (spreadsheetReader.isSupported(file.originalname)) {
             cb(null, true);
         } else {
-            cb(new Error('Apenas arquivos CSV são permitidos'), false);
+            cb(new Error(`Formato não suportado. Envie um arquivo ${SpreadsheetReader.EXTENSIONS.join(', ')}`), false);
         }
     },
     limits: {
@@ -75,39 +151,37 @@ const upload = multer({
 
 // Remover configuração do Handlebars - não será mais usado
 
-// Função para criar usuário padrão
-async function createDefaultUser() {
-    try {
-        const existingUser = await User.findOne({ where: { username: 'juliocesaradm' } });
-        
-        if (!existingUser) {
-            const hashedPassword = await bcrypt.hash('#_PeliculasAtt', 10);
-            
-            await User.create({
-                username: 'juliocesaradm',
-                password: hashedPassword,
-                isActive: true
-            });
-            
-            console.log('✅ Usuário padrão criado: juliocesaradm');
-        } else {
-            console.log('ℹ️  Usuário padrão já existe');
+// Preparar o esquema do banco pelas migrações
+// O servidor não inicia com migrações pendentes, exceto no SQLite em memória (que começa
+// vazio a cada início) ou com DB_MIGRATE_ON_START=true, casos em que elas são aplicadas aqui
+async function prepareSchema() {
+    const migrator = new Migrator(sequelize);
+
+    if (isInMemory || process.env.DB_MIGRATE_ON_START === 'true') {
+        const applied = await migrator.up();
+        if (applied.length > 0) {
+            console.log(`✅ Migrações aplicadas: ${applied.join(', ')}`);
         }
-    } catch (error) {
-        console.error('❌ Erro ao criar usuário padrão:', error);
+        return;
+    }
+
+    await migrator.ensureUpToDate();
+}
+
+// Preparar usuários: administrador inicial
+async function setupUsers() {
+    const admin = await userManager.ensureBootstrapAdmin();
+    if (admin) {
+        console.log(`✅ Administrador inicial criado: ${admin.username}`);
     }
 }
 
 // Inicializar banco de dados
 async function initializeDatabase() {
-    try {
-        await testConnection();
-        await sequelize.sync({ force: false }); // Não recriar tabela para preservar dados
-        await createDefaultUser();
-        console.log('✅ Banco de dados inicializado com sucesso');
-    } catch (error) {
-        console.error('❌ Erro ao inicializar banco de dados:', error);
-    }
+    await testConnection();
+    await prepareSchema();
+    await setupUsers();
+    console.log('✅ Banco de dados inicializado com sucesso');
 }
 
 // Carregar dados das películas do banco
@@ -123,56 +197,35 @@ async function loadPeliculasData() {
     }
 }
 
-// Configurar Fuse.js para busca fuzzy
-function setupFuseSearch(peliculas) {
-    const options = {
-        keys: [
-            {
-                name: 'modelo',
-                weight: 1.0
-            }
-        ],
-        threshold: 0.2, // 0.0 = busca exata, 1.0 = aceita qualquer coisa (reduzido para maior precisão)
-        includeScore: true,
-        includeMatches: true,
-        minMatchCharLength: 3, // Aumentado para exigir pelo menos 3 caracteres
-        ignoreLocation: false, // Mudado para false para considerar a posição das palavras
-        findAllMatches: true,
-        shouldSort: true, // Ordenar resultados por relevância
-        getFn: (obj, path) => {
-            // Função personalizada para busca case-insensitive
-            const value = obj[path];
-            return typeof value === 'string' ? value.toLowerCase() : value;
-        }
+// Preparar resultado da busca reversa, indicando o nome compatível encontrado
+function toCompatibleResult({ pelicula, matched }) {
+    return {
+        ...toPublicPelicula(pelicula),
+        matched_compatibilidade: matched
     };
-    
-    return new Fuse(peliculas, options);
 }
 
-// Função de busca com Fuse.js
-function searchPeliculas(peliculas, searchTerm, limit = 5) {
-    if (!searchTerm || searchTerm.trim() === '') {
-        return peliculas.slice(0, limit);
-    }
-
-    // Normalizar o termo de busca (remover espaços extras e converter para minúsculas)
-    const normalizedSearchTerm = searchTerm.trim().toLowerCase();
-    
-    // Se o termo de busca for muito curto, não fazer busca
-    if (normalizedSearchTerm.length < 3) {
-        return [];
-    }
-
-    // Configurar Fuse.js
-    const fuse = setupFuseSearch(peliculas);
-    
-    // Realizar busca fuzzy apenas no campo modelo
-    const results = fuse.search(normalizedSearchTerm);
-    
-    // Extrair apenas os dados originais e aplicar limite
-    const filteredResults = results.map(result => result.item).slice(0, limit);
-    
-    return filteredResults;
+// Dados do visitante (IP e navegador) que juntam as buscas de uma mesma digitação nas estatísticas
+function requestClient(req) {
+    return `${req.ip}|${req.get('user-agent') || ''}`;
+}
+
+// Registrar a busca nas estatísticas anônimas
+// Buscas de usuários logados (testes no painel) não entram nas estatísticas
+function recordSearch(req, search) {
+    if (req.session && req.session.userId) {
+        return;
+    }
+    searchAnalytics.record({ ...search, client: requestClient(req) });
+}
+
+// Preparar película para as rotas públicas, sanitizando o HTML personalizado
+function toPublicPelicula(pelicula) {
+    const plain = typeof pelicula.get === 'function' ? pelicula.get({ plain: true }) : { ...pelicula };
+    if (plain.html_content) {
+        plain.html_content = htmlSanitizer.sanitize(plain.html_content).html;
+    }
+    return plain;
 }
 
 // Função para embaralhar array (Fisher-Yates shuffle)
@@ -185,30 +238,184 @@ function shuffleArray(array) {
     return shuffled;
 }
 
+// Converter datas recebidas nos filtros (AAAA-MM-DD ou ISO)
+function parseDateParam(value, endOfDay = false) {
+    if (!value) {
+        return null;
+    }
+
+    const text = String(value);
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text)
+        ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}`
+        : text);
+
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Converter o tipo recebido na query (null se não informado, undefined se inválido)
+function parseTipoParam(value) {
+    if (!value) {
+        return null;
+    }
+
+    return normalizeTipo(value) || undefined;
+}
+
+// Resposta padrão para tipo de película desconhecido
+function sendInvalidTipo(res) {
+    return res.status(400).json({
+        success: false,
+        message: `Tipo de película inválido. Use: ${listTipos().map(t => t.value).join(', ')}`
+    });
+}
+
+// Receber o arquivo da importação, respondendo em JSON quando o formato não é aceito
+function receiveImportFile(req, res, next) {
+    upload.single('csvFile')(req, res, error => {
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next();
+    });
+}
+
+// Ler o arquivo enviado na importação com o mapeamento de colunas escolhido na tela,
+// o salvo na última importação do mesmo layout ou o detectado pelo cabeçalho
+async function parseImportFile(req) {
+    let mappings = {};
+    if (req.body.mappings) {
+        try {
+            mappings = JSON.parse(req.body.mappings);
+        } catch (error) {
+            throw new CSVParser.ImportMappingError('Mapeamento de colunas inválido');
+        }
+    }
+
+    const csvParser = new CSVParser();
+    return csvParser.parseWorkbook(req.file.path, {
+        filename: req.file.originalname,
+        mappings,
+        savedMappings: await importMappingManager.loadAll(),
+        vipRules: await vipRuleManager.loadRules()
+    });
+}
+
+// Descrever como o arquivo foi lido, para a tela de mapeamento de colunas
+function describeImportFile(parsed) {
+    return {
+        format: parsed.format,
+        encoding: parsed.encoding,
+        delimiter: parsed.delimiter,
+        fields: CSVParser.IMPORT_FIELDS,
+        layouts: parsed.layouts
+    };
+}
+
+function handleImportMappingError(res, error) {
+    return res.status(error.status).json({
+        success: false,
+        message: error.message
+    });
+}
+
+// Ler o arquivo e sugerir o mapeamento de colunas (protegida)
+app.post('/api/import/inspect', requireAuth, receiveImportFile, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nenhum arquivo foi enviado'
+            });
+        }
+
+        const parsed = await parseImportFile(req);
+        fs.unlinkSync(req.file.path);
+
+        res.json({
+            success: true,
+            data: describeImportFile(parsed),
+            total: parsed.records.length
+        });
+    } catch (error) {
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+
+        if (error instanceof CSVParser.ImportMappingError) {
+            return handleImportMappingError(res, error);
+        }
+
+        console.error('Erro ao ler arquivo de importação:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro ao ler o arquivo',
+            error: error.message
+        });
+    }
+});
+
 // Rota para preview de CSV (protegida)
-app.post('/api/preview-csv', requireAuth, upload.single('csvFile'), async (req, res) => {
+app.post('/api/preview-csv', requireAuth, receiveImportFile, async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
                 success: false,
-                message: 'Nenhum arquivo CSV foi enviado'
+                message: 'Nenhum arquivo foi enviado'
             });
         }
 
         const csvPath = req.file.path;
-        const csvParser = new CSVParser();
-        const previewData = await csvParser.parseFile(csvPath);
+        const mode = req.body.mode || 'replace';
+        const tipo = normalizeTipo(req.body.tipo || DEFAULT_TIPO);
+
+        if (!PeliculaImporter.IMPORT_MODES.includes(mode)) {
+            fs.unlinkSync(csvPath);
+            return res.status(400).json({
+                success: false,
+                message: `Modo de importação inválido. Use: ${PeliculaImporter.IMPORT_MODES.join(', ')}`
+            });
+        }
+
+        if (!tipo) {
+            fs.unlinkSync(csvPath);
+            return res.status(400).json({
+                success: false,
+                message: 'Tipo de película inválido'
+            });
+        }
+
+        const parsed = await parseImportFile(req);
+        new CSVParser().checkRequiredColumns(parsed.layouts);
+        const previewData = parsed.records;
         
         // Limpar arquivo temporário
         fs.unlinkSync(csvPath);
+
+        // Comparar o arquivo com a tabela atual
+        const importer = new PeliculaImporter();
+        const diff = await importer.previewData(previewData, { mode, tipo });
         
         res.json({
             success: true,
             data: previewData.slice(0, 20), // Limitar preview a 20 registros
-            total: previewData.length
+            total: previewData.length,
+            diff,
+            file: describeImportFile(parsed),
+            report: importValidator.validate(parsed.rows, { tipo })
         });
         
     } catch (error) {
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+
+        if (error instanceof CSVParser.ImportMappingError) {
+            return handleImportMappingError(res, error);
+        }
+
         console.error('Erro ao processar preview CSV:', error);
         res.status(500).json({
             success: false,
@@ -219,91 +426,109 @@ app.post('/api/preview-csv', requireAuth, upload.single('csvFile'), async (req,
 });
 
 // Endpoint para upload de CSV (protegido)
-app.post('/api/upload-csv', requireAuth, upload.single('csvFile'), async (req, res) => {
+app.post('/api/upload-csv', requireRole('editor'), receiveImportFile, async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
                 success: false,
-                message: 'Nenhum arquivo CSV foi enviado'
+                message: 'Nenhum arquivo foi enviado'
             });
         }
 
-        const csvParser = new CSVParser();
         const filePath = req.file.path;
+        const mode = req.body.mode || 'replace';
+        const tipo = normalizeTipo(req.body.tipo || DEFAULT_TIPO);
 
-        // Validar CSV
-        const isValid = await csvParser.validateCSV(filePath);
-        if (!isValid) {
-            // Limpar arquivo temporário
+        if (!PeliculaImporter.IMPORT_MODES.includes(mode)) {
             fs.unlinkSync(filePath);
             return res.status(400).json({
                 success: false,
-                message: 'Arquivo CSV inválido ou vazio'
+                message: `Modo de importação inválido. Use: ${PeliculaImporter.IMPORT_MODES.join(', ')}`
             });
         }
 
-        // Processar CSV
-        const peliculasData = await csvParser.parseFile(filePath);
-
-        if (peliculasData.length === 0) {
-            throw new Error('Nenhum registro válido encontrado no CSV');
+        if (!tipo) {
+            fs.unlinkSync(filePath);
+            return res.status(400).json({
+                success: false,
+                message: 'Tipo de película inválido'
+            });
         }
 
-        // Remover duplicidades dentro do CSV para evitar violações de unique
-        const uniquePeliculasData = [];
-        const modelosSet = new Set();
-        for (const peliculaData of peliculasData) {
-            if (!modelosSet.has(peliculaData.modelo)) {
-                modelosSet.add(peliculaData.modelo);
-                uniquePeliculasData.push(peliculaData);
-            }
+        if (!hasRole(req.user, IMPORT_MODE_ROLES[mode])) {
+            fs.unlinkSync(filePath);
+            return res.status(403).json({
+                success: false,
+                message: 'Você não tem permissão para importar neste modo.'
+            });
         }
-        const duplicatesSkipped = peliculasData.length - uniquePeliculasData.length;
 
-        // Limpar dados antigos e inserir os novos dentro de uma transação
-        let insertedPeliculas = [];
-        const transaction = await sequelize.transaction();
-        try {
-            await Pelicula.destroy({ where: {}, transaction });
+        // Processar o arquivo
+        const parsed = await parseImportFile(req);
+        new CSVParser().checkRequiredColumns(parsed.layouts);
+        const peliculasData = parsed.records;
+        const report = importValidator.validate(parsed.rows, { tipo });
 
-            insertedPeliculas = await Pelicula.bulkCreate(uniquePeliculasData, {
-                transaction,
-                validate: true,
-                returning: true
+        if (peliculasData.length === 0) {
+            // Limpar arquivo temporário
+            fs.unlinkSync(filePath);
+            return res.status(400).json({
+                success: false,
+                message: 'Arquivo inválido ou vazio: nenhum modelo com compatibilidade encontrado',
+                report
             });
-
-            await transaction.commit();
-        } catch (error) {
-            await transaction.rollback();
-            throw error;
         }
 
+        // Aplicar as alterações no banco conforme o modo escolhido
+        const importer = new PeliculaImporter();
+        const summary = await importer.importData(peliculasData, {
+            mode,
+            tipo,
+            filename: req.file.originalname,
+            user: req.user
+        });
+
         // Limpar arquivo temporário
         fs.unlinkSync(filePath);
 
-        const peliculasPreview = insertedPeliculas.slice(0, 10).map(p =>
-            typeof p.get === 'function' ? p.get({ plain: true }) : p
+        // Lembrar o mapeamento escolhido na tela para o próximo arquivo com o mesmo cabeçalho
+        await importMappingManager.saveLayouts(
+            parsed.layouts.filter(layout => layout.source === 'informado' && layout.headers),
+            req.user
         );
 
         res.json({
             success: true,
             message: 'CSV processado com sucesso',
             data: {
-                totalProcessed: peliculasData.length,
-                totalInserted: insertedPeliculas.length,
-                duplicatesSkipped,
-                peliculas: peliculasPreview
+                mode: summary.mode,
+                tipos: summary.tipos,
+                totalProcessed: summary.totalProcessed,
+                totalInserted: summary.inserted,
+                inserted: summary.inserted,
+                updated: summary.updated,
+                unchanged: summary.unchanged,
+                removed: summary.removed,
+                duplicatesSkipped: summary.duplicatesSkipped,
+                htmlReport: summary.htmlReport,
+                snapshotId: summary.snapshotId,
+                peliculas: summary.peliculas,
+                report
             }
         });
 
     } catch (error) {
-        console.error('Erro no upload de CSV:', error);
-        
         // Limpar arquivo temporário se existir
         if (req.file && fs.existsSync(req.file.path)) {
             fs.unlinkSync(req.file.path);
         }
 
+        if (error instanceof CSVParser.ImportMappingError) {
+            return handleImportMappingError(res, error);
+        }
+
+        console.error('Erro no upload de CSV:', error);
+
         res.status(500).json({
             success: false,
             message: 'Erro interno do servidor',
@@ -312,14 +537,125 @@ app.post('/api/upload-csv', requireAuth, upload.single('csvFile'), async (req, r
     }
 });
 
-// Middleware de autenticação
-function requireAuth(req, res, next) {
-    if (req.session && req.session.userId) {
-        return next();
-    } else {
-        return res.status(401).json({ success: false, message: 'Acesso negado. Faça login primeiro.' });
+// Listar versões da tabela (protegida)
+app.get('/api/snapshots', requireAuth, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit, 10) || 50;
+        const snapshots = await snapshotManager.listSnapshots({ limit });
+
+        res.json({
+            success: true,
+            data: snapshots,
+            total: snapshots.length
+        });
+    } catch (error) {
+        console.error('Erro ao listar versões:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
     }
-}
+});
+
+// Comparar duas versões da tabela (protegida)
+app.get('/api/snapshots/diff', requireAuth, async (req, res) => {
+    try {
+        // Qualquer um dos lados pode ser 'current' (tabela atual)
+        const parseVersion = (value) => (value === undefined || value === 'current' ? 'current' : parseInt(value, 10));
+        const fromId = parseVersion(req.query.from);
+        const toId = parseVersion(req.query.to);
+
+        if (Number.isNaN(fromId) || Number.isNaN(toId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Informe as versões a comparar (from e to)'
+            });
+        }
+
+        const diff = await snapshotManager.diffSnapshots(fromId, toId);
+
+        if (!diff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Versão não encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: diff
+        });
+    } catch (error) {
+        console.error('Erro ao comparar versões:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Restaurar uma versão da tabela (protegida)
+app.post('/api/snapshots/:id/restore', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        const result = await snapshotManager.restoreSnapshot(id, {
+            user: req.user
+        });
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Versão não encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Versão #${id} restaurada com sucesso`,
+            data: {
+                restored: result.restored,
+                inserted: result.inserted,
+                updated: result.updated,
+                removed: result.removed,
+                snapshotId: result.snapshot.id
+            }
+        });
+    } catch (error) {
+        console.error('Erro ao restaurar versão:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Exportar a tabela atual em CSV, JSON ou XLSX (protegida)
+app.get('/api/export', requireAuth, async (req, res) => {
+    try {
+        const format = (req.query.format || 'csv').toLowerCase();
+
+        if (!PeliculaExporter.EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Formato inválido. Use: ${PeliculaExporter.EXPORT_FORMATS.join(', ')}`
+            });
+        }
+
+        const exporter = new PeliculaExporter();
+        const file = await exporter.exportTable(format);
+
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.set('X-Total-Count', String(file.total));
+        res.send(file.content);
+    } catch (error) {
+        console.error('Erro ao exportar tabela:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
 
 // Rota para servir a área administrativa
 app.get('/atualizar-tabela', (req, res) => {
@@ -362,7 +698,7 @@ app.post('/api/auth/login', async (req, res) => {
         res.json({ 
             success: true, 
             message: 'Login realizado com sucesso',
-            user: { id: user.id, username: user.username }
+            user: { id: user.id, username: user.username, role: user.role }
         });
         
     } catch (error) {
@@ -389,118 +725,620 @@ app.post('/api/auth/logout', (req, res) => {
     });
 });
 
-app.get('/api/auth/check', (req, res) => {
-    if (req.session && req.session.userId) {
-        res.json({ 
-            success: true, 
-            user: { 
-                id: req.session.userId, 
-                username: req.session.username 
-            } 
-        });
-    } else {
-        res.status(401).json({ 
-            success: false, 
-            message: 'Não autenticado' 
+app.get('/api/auth/check', requireAuth, (req, res) => {
+    res.json({ 
+        success: true, 
+        user: req.user
+    });
+});
+
+// Rotas de gerenciamento de usuários (somente admin)
+function handleUserError(res, error, context) {
+    if (error instanceof UserManager.UserManagerError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
         });
     }
-});
 
-// Rota principal - servir o HTML standalone
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public/peliculas-standalone.html'));
-});
+    console.error(`Erro ao ${context}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+    });
+}
 
-// Rota de busca
-app.get('/search', async (req, res) => {
+app.get('/api/users', requireRole('admin'), async (req, res) => {
     try {
-        const { q: searchTerm, limit = 5 } = req.query;
-        const data = await loadPeliculasData();
-        const results = searchPeliculas(data.peliculas, searchTerm, parseInt(limit));
-        
+        const users = await userManager.listUsers();
         res.json({
-            peliculas: results,
-            total: results.length,
-            hasMore: data.peliculas.length > parseInt(limit)
+            success: true,
+            data: users,
+            total: users.length
         });
     } catch (error) {
-        console.error('Erro na busca:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Erro interno do servidor'
-        });
+        handleUserError(res, error, 'listar usuários');
     }
 });
 
-// Rota para obter todas as películas (para estatísticas)
-app.get('/api/stats', async (req, res) => {
+app.post('/api/users', requireRole('admin'), async (req, res) => {
     try {
-        const data = await loadPeliculasData();
-        res.json({
-            totalModels: data.peliculas.length,
-            vipModels: data.peliculas.filter(p => p.vip).length
+        const { username, password, role } = req.body;
+        const user = await userManager.createUser({ username, password, role });
+
+        res.status(201).json({
+            success: true,
+            message: 'Usuário criado com sucesso',
+            data: user
         });
     } catch (error) {
-        console.error('Erro ao carregar estatísticas:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Erro interno do servidor'
-        });
+        handleUserError(res, error, 'criar usuário');
     }
 });
 
-// API para obter todas as películas
-app.get('/api/peliculas', async (req, res) => {
+app.patch('/api/users/:id', requireRole('admin'), async (req, res) => {
     try {
-        // const { limit } = req.query;
-        const limit = 8;
-        let parsedLimit = parseInt(limit, 10);
-
-        if (Number.isNaN(parsedLimit) || parsedLimit <= 0) {
-            parsedLimit = 8;
-        }
+        const id = parseInt(req.params.id);
+        const { role, isActive, password } = req.body;
+        const user = await userManager.updateUser(id, { role, isActive, password }, req.user);
 
-        let randomFunction = 'RAND()';
-        const dialect = typeof sequelize.getDialect === 'function' ? sequelize.getDialect() : null;
-        if (dialect === 'sqlite' || dialect === 'postgres') {
-            randomFunction = 'RANDOM()';
-        } else if (dialect === 'mssql') {
-            randomFunction = 'NEWID()';
-        }
+        res.json({
+            success: true,
+            message: 'Usuário atualizado com sucesso',
+            data: user
+        });
+    } catch (error) {
+        handleUserError(res, error, 'atualizar usuário');
+    }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const user = await userManager.deleteUser(id, req.user);
+
+        res.json({
+            success: true,
+            message: 'Usuário excluído com sucesso',
+            data: user
+        });
+    } catch (error) {
+        handleUserError(res, error, 'excluir usuário');
+    }
+});
+
+// Rotas de apelidos da busca (leitura para usuários logados, alteração somente admin)
+function handleAliasError(res, error, context) {
+    if (error instanceof SearchAliasManager.SearchAliasError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`Erro ao ${context}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+    });
+}
+
+app.get('/api/aliases', requireAuth, async (req, res) => {
+    try {
+        const aliases = await searchAliasManager.listAliases();
+        res.json({
+            success: true,
+            data: aliases,
+            total: aliases.length
+        });
+    } catch (error) {
+        handleAliasError(res, error, 'listar apelidos');
+    }
+});
+
+app.post('/api/aliases', requireRole('admin'), async (req, res) => {
+    try {
+        const { alias, target } = req.body;
+        const searchAlias = await searchAliasManager.createAlias({ alias, target }, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Apelido cadastrado com sucesso',
+            data: searchAlias
+        });
+    } catch (error) {
+        handleAliasError(res, error, 'cadastrar apelido');
+    }
+});
+
+app.put('/api/aliases/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { alias, target } = req.body;
+        const searchAlias = await searchAliasManager.updateAlias(id, { alias, target });
+
+        res.json({
+            success: true,
+            message: 'Apelido atualizado com sucesso',
+            data: searchAlias
+        });
+    } catch (error) {
+        handleAliasError(res, error, 'atualizar apelido');
+    }
+});
+
+app.delete('/api/aliases/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const searchAlias = await searchAliasManager.deleteAlias(id);
+
+        res.json({
+            success: true,
+            message: 'Apelido excluído com sucesso',
+            data: searchAlias
+        });
+    } catch (error) {
+        handleAliasError(res, error, 'excluir apelido');
+    }
+});
+
+// Rotas das regras de classificação VIP da importação (leitura para usuários logados, alteração somente admin)
+function handleVipRuleError(res, error, context) {
+    if (error instanceof VipRuleManager.VipRuleError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`Erro ao ${context}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+    });
+}
+
+app.get('/api/vip-rules', requireAuth, async (req, res) => {
+    try {
+        const rules = await vipRuleManager.listRules();
+        res.json({
+            success: true,
+            data: rules,
+            total: rules.length
+        });
+    } catch (error) {
+        handleVipRuleError(res, error, 'listar regras VIP');
+    }
+});
+
+// Mostra como um texto de compatibilidade seria classificado pelas regras atuais
+app.post('/api/vip-rules/test', requireAuth, async (req, res) => {
+    try {
+        const classifier = await vipRuleManager.loadClassifier();
+        res.json({
+            success: true,
+            data: classifier.classify(typeof req.body.text === 'string' ? req.body.text : '')
+        });
+    } catch (error) {
+        handleVipRuleError(res, error, 'testar regras VIP');
+    }
+});
+
+app.post('/api/vip-rules', requireRole('admin'), async (req, res) => {
+    try {
+        const { kind, pattern, vip } = req.body;
+        const rule = await vipRuleManager.createRule({ kind, pattern, vip }, req.user);
 
-        let randomQuery;
-        if (dialect === 'mssql') {
-            randomQuery = `SELECT TOP (${parsedLimit}) * FROM peliculas ORDER BY ${randomFunction}`;
-        } else if (dialect === 'postgres') {
-            randomQuery = `SELECT * FROM peliculas ORDER BY ${randomFunction} LIMIT :limit`;
+        res.status(201).json({
+            success: true,
+            message: 'Regra cadastrada com sucesso',
+            data: rule
+        });
+    } catch (error) {
+        handleVipRuleError(res, error, 'cadastrar regra VIP');
+    }
+});
+
+app.put('/api/vip-rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { kind, pattern, vip, position } = req.body;
+        const rule = await vipRuleManager.updateRule(id, { kind, pattern, vip, position });
+
+        res.json({
+            success: true,
+            message: 'Regra atualizada com sucesso',
+            data: rule
+        });
+    } catch (error) {
+        handleVipRuleError(res, error, 'atualizar regra VIP');
+    }
+});
+
+app.delete('/api/vip-rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const rule = await vipRuleManager.deleteRule(id);
+
+        res.json({
+            success: true,
+            message: 'Regra excluída com sucesso',
+            data: rule
+        });
+    } catch (error) {
+        handleVipRuleError(res, error, 'excluir regra VIP');
+    }
+});
+
+// Rotas das sugestões de compatibilidade (envio público, fila de moderação para editores)
+function handleSuggestionError(res, error, context) {
+    if (error instanceof SuggestionManager.SuggestionError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`Erro ao ${context}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+    });
+}
+
+app.post('/api/suggestions', async (req, res) => {
+    try {
+        await suggestionManager.submit(req.body, { client: SuggestionManager.requestClient(req) });
+
+        // Envios descartados como spam recebem a mesma resposta
+        res.status(201).json({
+            success: true,
+            message: 'Sugestão enviada. Obrigado! Ela será revisada pela nossa equipe.'
+        });
+    } catch (error) {
+        handleSuggestionError(res, error, 'enviar sugestão');
+    }
+});
+
+app.get('/api/suggestions', requireRole('editor'), async (req, res) => {
+    try {
+        const result = await suggestionManager.list({
+            status: req.query.status,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+
+        res.json({
+            success: true,
+            data: result.rows,
+            total: result.total,
+            counts: result.counts
+        });
+    } catch (error) {
+        handleSuggestionError(res, error, 'listar sugestões');
+    }
+});
+
+app.post('/api/suggestions/:id/approve', requireRole('editor'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { pelicula_id, modelo, note } = req.body || {};
+        const result = await suggestionManager.approve(id, { pelicula_id, modelo, note }, req.user);
+
+        res.json({
+            success: true,
+            message: result.merged
+                ? `"${result.suggestion.modelo}" incluído na compatibilidade de ${result.pelicula.modelo}`
+                : `Sugestão aprovada: "${result.suggestion.modelo}" já constava em ${result.pelicula.modelo}`,
+            data: result.suggestion,
+            pelicula: result.pelicula,
+            merged: result.merged
+        });
+    } catch (error) {
+        handleSuggestionError(res, error, 'aprovar sugestão');
+    }
+});
+
+app.post('/api/suggestions/:id/reject', requireRole('editor'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const suggestion = await suggestionManager.reject(id, { note: req.body && req.body.note }, req.user);
+
+        res.json({
+            success: true,
+            message: 'Sugestão rejeitada',
+            data: suggestion
+        });
+    } catch (error) {
+        handleSuggestionError(res, error, 'rejeitar sugestão');
+    }
+});
+
+// Rota principal - servir o HTML standalone
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public/peliculas-standalone.html'));
+});
+
+// Rota de busca
+app.get('/search', async (req, res) => {
+    try {
+        const { q: searchTerm, limit = 5 } = req.query;
+        const tipo = parseTipoParam(req.query.tipo);
+        if (tipo === undefined) {
+            return sendInvalidTipo(res);
+        }
+
+        const index = await searchIndex.get();
+        const results = index.search.search(searchTerm, parseInt(limit), {
+            filter: tipo ? p => p.tipo === tipo : null
+        });
+        recordSearch(req, { query: searchTerm, tipo, peliculas: results });
+        
+        res.json({
+            peliculas: results.map(toPublicPelicula),
+            total: results.length,
+            hasMore: index.peliculas.length > parseInt(limit)
+        });
+    } catch (error) {
+        console.error('Erro na busca:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Rota para obter todas as películas (para estatísticas)
+app.get('/api/stats', async (req, res) => {
+    try {
+        const data = await loadPeliculasData();
+        res.json({
+            totalModels: data.peliculas.length,
+            vipModels: data.peliculas.filter(p => p.vip).length
+        });
+    } catch (error) {
+        console.error('Erro ao carregar estatísticas:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Responder a uma listagem paginada de películas com os filtros recebidos
+async function sendPeliculaListing(req, res, fixedFilters = {}) {
+    const updatedSince = parseDateParam(req.query.updated_since);
+    if (updatedSince === undefined) {
+        return res.status(400).json({
+            success: false,
+            message: 'Data inválida em "updated_since". Use o formato AAAA-MM-DD'
+        });
+    }
+
+    const options = peliculaListing.parse({ ...req.query, ...fixedFilters, updatedSince });
+    const result = await peliculaListing.list(options);
+
+    res.json({
+        success: true,
+        data: result.rows.map(toPublicPelicula),
+        total: result.total,
+        returned: result.rows.length,
+        limit: result.limit,
+        offset: result.offset,
+        hasMore: result.hasMore,
+        sort: options.sort,
+        order: options.order,
+        facets: result.facets
+    });
+}
+
+function handleListingError(res, error, context) {
+    if (error instanceof PeliculaListing.ListingError) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`Erro ao ${context}:`, error);
+    return res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+    });
+}
+
+// API para listar películas
+// mode=vitrine sorteia alguns modelos; sem o modo, devolve o catálogo paginado
+app.get('/api/peliculas', async (req, res) => {
+    try {
+        if (req.query.mode === 'vitrine') {
+            const tipo = parseTipoParam(req.query.tipo);
+            if (tipo === undefined) {
+                return sendInvalidTipo(res);
+            }
+
+            const { rows, total } = await peliculaListing.vitrine(req.query.limit, tipo);
+            const shuffledPeliculas = shuffleArray(rows).map(toPublicPelicula);
+
+            res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
+            res.set('Pragma', 'no-cache');
+            res.set('Expires', '0');
+
+            return res.json({
+                success: true,
+                data: shuffledPeliculas,
+                total,
+                returned: shuffledPeliculas.length,
+                random: true
+            });
+        }
+
+        if (req.query.mode && req.query.mode !== 'lista') {
+            return res.status(400).json({
+                success: false,
+                message: 'Modo inválido. Use: lista, vitrine'
+            });
+        }
+
+        await sendPeliculaListing(req, res);
+    } catch (error) {
+        handleListingError(res, error, 'carregar películas');
+    }
+});
+
+// API para obter películas VIP
+app.get('/api/peliculas/vip', async (req, res) => {
+    try {
+        await sendPeliculaListing(req, res, { vip: 'true' });
+    } catch (error) {
+        handleListingError(res, error, 'carregar películas VIP');
+    }
+});
+
+// API para obter películas não VIP
+app.get('/api/peliculas/free', async (req, res) => {
+    try {
+        await sendPeliculaListing(req, res, { vip: 'false' });
+    } catch (error) {
+        handleListingError(res, error, 'carregar películas gratuitas');
+    }
+});
+
+// Marcas cadastradas com a quantidade de modelos de cada uma (opcionalmente de um tipo)
+app.get('/api/marcas', async (req, res) => {
+    try {
+        const facets = await peliculaListing.facets(peliculaListing.parse({ tipo: req.query.tipo }).filters);
+
+        res.json({
+            success: true,
+            data: facets.marca,
+            dictionary: brandDictionary.list()
+        });
+    } catch (error) {
+        handleListingError(res, error, 'carregar marcas');
+    }
+});
+
+// Tipos de película com a quantidade de modelos de cada um
+app.get('/api/tipos', async (req, res) => {
+    try {
+        const facets = await peliculaListing.facets(peliculaListing.parse({}).filters);
+
+        res.json({
+            success: true,
+            data: facets.tipo,
+            default: DEFAULT_TIPO
+        });
+    } catch (error) {
+        handleListingError(res, error, 'carregar tipos');
+    }
+});
+
+// API para obter películas por ID
+app.get('/api/peliculas/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const pelicula = await Pelicula.findByPk(id);
+        
+        if (pelicula) {
+            res.json({
+                success: true,
+                data: toPublicPelicula(pelicula)
+            });
         } else {
-            // mysql, sqlite e outros compatíveis com LIMIT
-            randomQuery = `SELECT * FROM peliculas ORDER BY ${randomFunction} LIMIT :limit`;
+            res.status(404).json({
+                success: false,
+                message: 'Película não encontrada'
+            });
+        }
+    } catch (error) {
+        console.error('Erro ao carregar película:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Grupos de compatibilidade: aparelhos que compartilham a mesma película (por tipo, padrão 3D)
+app.get('/api/grupos', async (req, res) => {
+    try {
+        const tipo = parseTipoParam(req.query.tipo);
+        if (tipo === undefined) {
+            return sendInvalidTipo(res);
+        }
+
+        const graph = await searchIndex.getGraph(tipo || DEFAULT_TIPO);
+        const groups = graph.listGroups();
+
+        res.json({
+            success: true,
+            data: groups,
+            total: groups.length,
+            tipo: tipo || DEFAULT_TIPO
+        });
+    } catch (error) {
+        console.error('Erro ao montar grupos de compatibilidade:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Inconsistências entre as listas de compatibilidade (protegida)
+app.get('/api/grupos/inconsistencias', requireRole('admin'), async (req, res) => {
+    try {
+        const tipo = parseTipoParam(req.query.tipo);
+        if (tipo === undefined) {
+            return sendInvalidTipo(res);
+        }
+
+        const graph = await searchIndex.getGraph(tipo || DEFAULT_TIPO);
+        const issues = graph.findInconsistencies();
+
+        res.json({
+            success: true,
+            data: issues,
+            total: issues.length,
+            types: CompatibilityGraph.INCONSISTENCY_TYPES,
+            tipo: tipo || DEFAULT_TIPO
+        });
+    } catch (error) {
+        console.error('Erro ao verificar inconsistências de compatibilidade:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Grupo de compatibilidade de uma película
+app.get('/api/peliculas/:id/grupo', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const index = await searchIndex.get();
+        const pelicula = index.peliculas.find(p => p.id === id);
+
+        if (!pelicula) {
+            return res.status(404).json({
+                success: false,
+                message: 'Película não encontrada'
+            });
         }
 
-        const [peliculas, total] = await Promise.all([
-            sequelize.query(randomQuery, {
-                replacements: { limit: parsedLimit },
-                type: QueryTypes.SELECT
-            }),
-            Pelicula.count()
-        ]);
-
-        const shuffledPeliculas = shuffleArray(peliculas);
-
-        res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
-        res.set('Pragma', 'no-cache');
-        res.set('Expires', '0');
+        // O grupo é sempre o do tipo da própria película
+        const graph = await searchIndex.getGraph(pelicula.tipo);
 
         res.json({
             success: true,
-            data: shuffledPeliculas,
-            total,
-            returned: shuffledPeliculas.length,
-            random: true
+            data: {
+                pelicula: { id: pelicula.id, modelo: pelicula.modelo, tipo: pelicula.tipo },
+                grupo: graph.groupFor(pelicula.modelo)
+            }
         });
     } catch (error) {
-        console.error('Erro ao carregar películas:', error);
+        console.error('Erro ao carregar grupo da película:', error);
         res.status(500).json({
             success: false,
             message: 'Erro interno do servidor'
@@ -508,21 +1346,27 @@ app.get('/api/peliculas', async (req, res) => {
     }
 });
 
-// API para obter películas VIP
-app.get('/api/peliculas/vip', async (req, res) => {
+// Busca reversa: quais películas servem no aparelho informado
+app.get('/api/search/compatible', async (req, res) => {
     try {
-        const vipPeliculas = await Pelicula.findAll({
-            where: { vip: true },
-            order: [['created_at', 'DESC']]
-        });
-        
+        const { q: searchTerm, limit = 10 } = req.query;
+        const tipo = parseTipoParam(req.query.tipo);
+        if (tipo === undefined) {
+            return sendInvalidTipo(res);
+        }
+
+        const index = await searchIndex.get();
+        const filter = tipo ? p => p.tipo === tipo : null;
+        const results = index.search.searchCompatible(searchTerm, parseInt(limit), { filter }).map(toCompatibleResult);
+
         res.json({
             success: true,
-            data: vipPeliculas,
-            total: vipPeliculas.length
+            data: results,
+            total: results.length,
+            query: searchTerm
         });
     } catch (error) {
-        console.error('Erro ao carregar películas VIP:', error);
+        console.error('Erro na busca reversa:', error);
         res.status(500).json({
             success: false,
             message: 'Erro interno do servidor'
@@ -530,21 +1374,27 @@ app.get('/api/peliculas/vip', async (req, res) => {
     }
 });
 
-// API para obter películas não VIP
-app.get('/api/peliculas/free', async (req, res) => {
+// Sugestões da caixa de busca (autocompletar) a partir do primeiro caractere,
+// com os trechos encontrados em cada nome para o destaque
+app.get('/api/search/suggest', async (req, res) => {
     try {
-        const freePeliculas = await Pelicula.findAll({
-            where: { vip: false },
-            order: [['created_at', 'DESC']]
-        });
-        
+        const { q: searchTerm = '', limit } = req.query;
+        const tipo = parseTipoParam(req.query.tipo);
+        if (tipo === undefined) {
+            return sendInvalidTipo(res);
+        }
+
+        const index = await searchIndex.get();
+        const suggestions = index.suggest.suggest(String(searchTerm), { tipo, limit });
+
         res.json({
             success: true,
-            data: freePeliculas,
-            total: freePeliculas.length
+            data: suggestions,
+            total: suggestions.length,
+            query: searchTerm
         });
     } catch (error) {
-        console.error('Erro ao carregar películas gratuitas:', error);
+        console.error('Erro nas sugestões da busca:', error);
         res.status(500).json({
             success: false,
             message: 'Erro interno do servidor'
@@ -552,59 +1402,113 @@ app.get('/api/peliculas/free', async (req, res) => {
     }
 });
 
-// API para obter películas por ID
-app.get('/api/peliculas/:id', async (req, res) => {
-    try {
-        const id = parseInt(req.params.id);
-        const pelicula = await Pelicula.findByPk(id);
-        
-        if (pelicula) {
-            res.json({
-                success: true,
-                data: pelicula
-            });
-        } else {
-            res.status(404).json({
-                success: false,
-                message: 'Película não encontrada'
-            });
-        }
-    } catch (error) {
-        console.error('Erro ao carregar película:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Erro interno do servidor'
-        });
-    }
+// Situação do índice de busca (protegida)
+app.get('/api/search/status', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        data: searchIndex.status()
+    });
 });
 
+// Modos da busca avançada: pelo modelo, pela lista de compatibilidade ou os dois
+const SEARCH_MODES = ['modelo', 'compatibilidade', 'todos'];
+
+// Contar as facetas dos resultados da busca que passam pelos filtros informados
+function countSearchFacets(matches, filters) {
+    const peliculas = matches
+        .filter(match => filters.every(filter => filter(match)))
+        .map(({ pelicula }) => pelicula);
+    return peliculaListing.countFacets(peliculas);
+}
+
 // API para busca avançada
 app.get('/api/search', async (req, res) => {
     try {
-        const { q: searchTerm, limit = 10, vip_only = false, free_only = false } = req.query;
-        const data = await loadPeliculasData();
-        
-        let peliculas = data.peliculas;
-        
+        const { q: searchTerm, limit = 10, vip_only = false, free_only = false, mode = 'modelo', marca } = req.query;
+
+        if (!SEARCH_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `Modo de busca inválido. Use: ${SEARCH_MODES.join(', ')}`
+            });
+        }
+
+        const tipo = parseTipoParam(req.query.tipo);
+        if (tipo === undefined) {
+            return sendInvalidTipo(res);
+        }
+
         // Filtrar por tipo se especificado
+        let filter = null;
         if (vip_only === 'true') {
-            peliculas = peliculas.filter(p => p.vip);
+            filter = p => p.vip;
         } else if (free_only === 'true') {
-            peliculas = peliculas.filter(p => !p.vip);
+            filter = p => !p.vip;
         }
         
-        const results = searchPeliculas(peliculas, searchTerm, parseInt(limit));
-        
-        res.json({
+        const index = await searchIndex.get();
+        const parsedLimit = parseInt(limit);
+
+        // Todos os resultados são ordenados para contar as facetas; os filtros são aplicados depois
+        const matches = mode === 'compatibilidade'
+            ? index.search.searchCompatible(searchTerm, Infinity)
+            : index.search.search(searchTerm, Infinity).map(pelicula => ({ pelicula }));
+        const marcaKey = marca ? String(marca).trim().toUpperCase() : null;
+        const byVip = ({ pelicula }) => !filter || filter(pelicula);
+        const byMarca = ({ pelicula }) => !marcaKey || String(pelicula.marca || '').toUpperCase() === marcaKey;
+        const byTipo = ({ pelicula }) => !tipo || pelicula.tipo === tipo;
+        const found = matches.filter(match => byVip(match) && byMarca(match) && byTipo(match));
+        const selected = found.slice(0, parsedLimit);
+        const results = mode === 'compatibilidade'
+            ? selected.map(toCompatibleResult)
+            : selected.map(({ pelicula }) => toPublicPelicula(pelicula));
+
+        const response = {
             success: true,
             data: results,
             total: results.length,
             query: searchTerm,
+            mode,
             filters: {
                 vip_only: vip_only === 'true',
-                free_only: free_only === 'true'
+                free_only: free_only === 'true',
+                marca: marca || null,
+                tipo
+            },
+            // Cada faceta ignora o próprio filtro, como na listagem
+            facets: {
+                marca: countSearchFacets(matches, [byVip, byTipo]).marca,
+                tipo: countSearchFacets(matches, [byVip, byMarca]).tipo,
+                vip: countSearchFacets(matches, [byMarca, byTipo]).vip
             }
+        };
+
+        // "Também serve": películas de outros modelos que listam o aparelho como compatível
+        if (mode === 'todos') {
+            const found = new Set(results.map(p => p.id));
+            response.also_fits = index.search.searchCompatible(searchTerm, Infinity, { filter })
+                .filter(match => byMarca(match) && byTipo(match) && !found.has(match.pelicula.id))
+                .slice(0, parsedLimit)
+                .map(toCompatibleResult);
+        }
+
+        // "Você quis dizer": modelos parecidos quando a busca por modelo não encontra nada
+        // (a busca reversa não corrige o termo, para não indicar película de outro aparelho)
+        if (mode !== 'compatibilidade' && results.length === 0 && (response.also_fits || []).length === 0) {
+            const suggestionFilter = pelicula => [byVip, byMarca, byTipo].every(check => check({ pelicula }));
+            response.did_you_mean = index.search.didYouMean(searchTerm, 3, { filter: suggestionFilter })
+                .map(({ pelicula, reason }) => ({ modelo: pelicula.modelo, marca: pelicula.marca || null, reason }));
+        }
+
+        recordSearch(req, {
+            query: searchTerm,
+            tipo,
+            peliculas: selected.map(({ pelicula }) => pelicula).concat(response.also_fits || []),
+            total: found.length + (response.also_fits || []).length,
+            filtered: Boolean(filter)
         });
+        
+        res.json(response);
     } catch (error) {
         console.error('Erro na busca avançada:', error);
         res.status(500).json({
@@ -614,8 +1518,8 @@ app.get('/api/search', async (req, res) => {
     }
 });
 
-// API para atualizar HTML de uma película
-app.put('/api/peliculas/:id/html', async (req, res) => {
+// API para atualizar HTML de uma película (protegida)
+app.put('/api/peliculas/:id/html', requireRole('editor'), async (req, res) => {
     try {
         const id = parseInt(req.params.id);
         const { html_content } = req.body;
@@ -636,12 +1540,27 @@ app.put('/api/peliculas/:id/html', async (req, res) => {
             });
         }
         
-        await pelicula.update({ html_content });
+        const sanitized = htmlSanitizer.sanitize(html_content);
+
+        if (!sanitized.html) {
+            return res.status(400).json({
+                success: false,
+                message: 'HTML rejeitado: nenhum conteúdo permitido restou após a sanitização',
+                removed: sanitized.removed
+            });
+        }
+        
+        await pelicula.update({ html_content: sanitized.html }, {
+            audit: { source: 'html', user: req.user }
+        });
         
         res.json({
             success: true,
-            message: 'HTML atualizado com sucesso',
-            data: pelicula
+            message: sanitized.removed.length > 0
+                ? 'HTML atualizado com ajustes: parte do conteúdo foi removida'
+                : 'HTML atualizado com sucesso',
+            data: pelicula,
+            removed: sanitized.removed
         });
         
     } catch (error) {
@@ -653,11 +1572,316 @@ app.put('/api/peliculas/:id/html', async (req, res) => {
     }
 });
 
+// Salvar película criada ou editada individualmente, validando os dados
+async function savePelicula(body, { pelicula = null, partial = false, user = null } = {}) {
+    const validator = new PeliculaValidator();
+    const { errors, values, htmlRemoved } = validator.validate(body, { partial, current: pelicula });
+
+    if (errors.length > 0) {
+        return { status: 400, message: 'Dados inválidos', errors };
+    }
+
+    // Somente administradores definem a marca; os demais podem reenviar a marca atual
+    const currentMarca = pelicula ? pelicula.marca || null : null;
+    if (values.marca !== undefined && values.marca !== currentMarca && !hasRole(user, 'admin')) {
+        return {
+            status: 403,
+            message: 'Somente administradores podem alterar a marca',
+            errors: [{ field: 'marca', message: 'Permissão insuficiente' }]
+        };
+    }
+
+    if (values.modelo || values.tipo) {
+        const modelo = values.modelo || pelicula.modelo;
+        const tipo = values.tipo || pelicula.tipo;
+        const duplicate = await validator.findDuplicate(modelo, tipo, pelicula ? pelicula.id : null);
+        if (duplicate) {
+            return {
+                status: 409,
+                message: `Já existe uma película ${tipoLabel(tipo)} para o modelo "${duplicate.modelo}"`,
+                errors: [{ field: 'modelo', message: 'Modelo já cadastrado neste tipo' }]
+            };
+        }
+    }
+
+    const audit = { source: 'editor', user };
+
+    if (pelicula) {
+        await pelicula.update(values, { audit });
+    } else {
+        pelicula = await Pelicula.create(values, { audit });
+    }
+
+    return { pelicula, htmlRemoved };
+}
+
+// API para criar uma película (protegida)
+app.post('/api/peliculas', requireRole('editor'), async (req, res) => {
+    try {
+        const result = await savePelicula(req.body, { user: req.user });
+
+        if (result.errors) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Película criada com sucesso',
+            data: result.pelicula,
+            htmlRemoved: result.htmlRemoved
+        });
+    } catch (error) {
+        console.error('Erro ao criar película:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// API para editar uma película: PUT substitui todos os campos, PATCH apenas os enviados (protegidas)
+async function handleUpdatePelicula(req, res, partial) {
+    try {
+        const id = parseInt(req.params.id);
+        const pelicula = await Pelicula.findByPk(id);
+
+        if (!pelicula) {
+            return res.status(404).json({
+                success: false,
+                message: 'Película não encontrada'
+            });
+        }
+
+        const result = await savePelicula(req.body, { pelicula, partial, user: req.user });
+
+        if (result.errors) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message,
+                errors: result.errors
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Película atualizada com sucesso',
+            data: result.pelicula,
+            htmlRemoved: result.htmlRemoved
+        });
+    } catch (error) {
+        console.error('Erro ao atualizar película:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+}
+
+app.put('/api/peliculas/:id', requireRole('editor'), (req, res) => handleUpdatePelicula(req, res, false));
+app.patch('/api/peliculas/:id', requireRole('editor'), (req, res) => handleUpdatePelicula(req, res, true));
+
+// API para excluir uma película (protegida)
+app.delete('/api/peliculas/:id', requireRole('editor'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const pelicula = await Pelicula.findByPk(id);
+
+        if (!pelicula) {
+            return res.status(404).json({
+                success: false,
+                message: 'Película não encontrada'
+            });
+        }
+
+        await pelicula.destroy({ audit: { source: 'editor', user: req.user } });
+
+        res.json({
+            success: true,
+            message: 'Película excluída com sucesso',
+            data: { id }
+        });
+    } catch (error) {
+        console.error('Erro ao excluir película:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Registrar o clique em um resultado da busca (página pública)
+app.post('/api/search/click', async (req, res) => {
+    try {
+        const { q, modelo } = req.body || {};
+        const tipo = parseTipoParam(req.body && req.body.tipo);
+
+        // Só conta cliques em modelos que existem na tabela
+        const index = await searchIndex.get();
+        if (tipo !== undefined && typeof modelo === 'string' &&
+            index.peliculas.some(p => p.modelo === modelo) && !(req.session && req.session.userId)) {
+            searchAnalytics.recordClick({ query: q, tipo, modelo });
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Erro ao registrar clique da busca:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+function handleSearchAnalyticsError(res, error) {
+    return res.status(error.status).json({
+        success: false,
+        message: error.message
+    });
+}
+
+// Filtros dos relatórios de busca recebidos na query
+function searchReportOptions(req) {
+    return {
+        from: req.query.from,
+        to: req.query.to,
+        tipo: req.query.tipo,
+        limit: req.query.limit
+    };
+}
+
+// Relatórios de busca: mais buscados, sem resultado e só VIP (protegida)
+app.get('/api/search-stats', requireRole('editor'), async (req, res) => {
+    try {
+        const result = await searchAnalytics.report(req.query.report || 'top', searchReportOptions(req));
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        if (error instanceof SearchAnalytics.SearchAnalyticsError) {
+            return handleSearchAnalyticsError(res, error);
+        }
+        console.error('Erro ao gerar relatório de buscas:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Exportar um relatório de buscas em CSV (protegida)
+app.get('/api/search-stats/export', requireRole('editor'), async (req, res) => {
+    try {
+        const result = await searchAnalytics.report(req.query.report || 'top', {
+            ...searchReportOptions(req),
+            all: true
+        });
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="buscas-${result.report}-${result.from}-a-${result.to}.csv"`);
+        res.send(searchAnalytics.toCSV(result));
+    } catch (error) {
+        if (error instanceof SearchAnalytics.SearchAnalyticsError) {
+            return handleSearchAnalyticsError(res, error);
+        }
+        console.error('Erro ao exportar relatório de buscas:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Listar a trilha de auditoria das películas com filtros (protegida)
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+    try {
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to, true);
+
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Datas inválidas. Use o formato AAAA-MM-DD'
+            });
+        }
+
+        const result = await auditTrail.list({
+            modelo: req.query.modelo,
+            username: req.query.username,
+            peliculaId: req.query.peliculaId,
+            action: req.query.action,
+            source: req.query.source,
+            from,
+            to,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+
+        res.json({
+            success: true,
+            data: result.rows,
+            total: result.total,
+            limit: result.limit,
+            offset: result.offset
+        });
+    } catch (error) {
+        console.error('Erro ao listar auditoria:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
+// Histórico de alterações de uma película (mesmo papel do log de auditoria, de onde vem)
+app.get('/api/peliculas/:id/history', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const pelicula = await Pelicula.findByPk(id);
+
+        if (!pelicula) {
+            return res.status(404).json({
+                success: false,
+                message: 'Película não encontrada'
+            });
+        }
+
+        const history = await auditTrail.historyFor(pelicula);
+
+        res.json({
+            success: true,
+            data: {
+                pelicula: { id: pelicula.id, modelo: pelicula.modelo },
+                history
+            }
+        });
+    } catch (error) {
+        console.error('Erro ao carregar histórico da película:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erro interno do servidor'
+        });
+    }
+});
+
 // Iniciar servidor
 async function startServer() {
     try {
         // Inicializar banco de dados
         await initializeDatabase();
+
+        // Montar o índice de busca antes de receber requisições
+        try {
+            const index = await searchIndex.build();
+            console.log(`🔎 Índice de busca pronto: ${index.peliculas.length} modelos em ${index.buildMs}ms`);
+        } catch (error) {
+            console.error('⚠️  Índice de busca será montado na primeira busca');
+        }
         
         // Iniciar servidor
         app.listen(PORT, () => {
@@ -666,7 +1890,11 @@ async function startServer() {
             console.log(`📊 Upload CSV: http://localhost:${PORT}/api/upload-csv`);
         });
     } catch (error) {
-        console.error('❌ Erro ao iniciar servidor:', error);
+        if (error instanceof Migrator.MigrationError) {
+            console.error(`❌ ${error.message}`);
+        } else {
+            console.error('❌ Erro ao iniciar servidor:', error);
+        }
         process.exit(1);
     }
 }
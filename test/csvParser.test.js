@@ -0,0 +1,86 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CSVParser = require('../utils/csvParser');
+const PeliculaExporter = require('../utils/peliculaExporter');
+const { planImport, buildDiff } = require('../utils/peliculaDiff');
+
+describe('CSVParser: cabeçalho e colunas obrigatórias', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tabelafree-csv-'));
+        // O parser informa no console quantos registros leu
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const parse = async content => {
+        const file = path.join(dir, `arquivo-${Date.now()}-${Math.random()}.csv`);
+        fs.writeFileSync(file, content);
+        return new CSVParser().parseWorkbook(file, { filename: 'arquivo.csv' });
+    };
+
+    it('reconhece a coluna "Compatível com"', async () => {
+        const parsed = await parse('Modelo;Compatível com\nMOTO E6i;MOTO E6S / E6 PLUS\n');
+
+        assert.equal(parsed.layouts[0].mapping.compatibilidade, 1);
+        assert.deepEqual(parsed.layouts[0].missing, []);
+        assert.deepEqual(parsed.records[0].compatibilidade, ['MOTO E6S', 'E6 PLUS']);
+    });
+
+    it('recusa o arquivo quando a coluna de compatibilidade não é encontrada', async () => {
+        const parser = new CSVParser();
+        const parsed = await parse('Modelo;Serve nos aparelhos;Tipo\nMOTO E6i;MOTO E6S / E6 PLUS;3D\n');
+
+        assert.deepEqual(parsed.layouts[0].missing, ['compatibilidade']);
+        assert.throws(() => parser.checkRequiredColumns(parsed.layouts), CSVParser.ImportMappingError);
+    });
+});
+
+describe('CSVParser: JSON exportado pela tabela', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tabelafree-json-'));
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('importa novamente o que foi exportado, sem diferenças', async () => {
+        const peliculas = [
+            { id: 1, modelo: 'MOTO G9 PLAY', tipo: '3d', marca: 'Motorola', compatibilidade: ['Moto G9  Power', 'G9 Plus'], vip: false, compativel: true },
+            { id: 2, modelo: 'IPHONE 15', tipo: '3d', marca: 'Apple', compatibilidade: [], vip: true, compativel: false },
+            { id: 3, modelo: 'A10', tipo: 'privacidade', marca: null, compatibilidade: ['Este Modelo já está disponível na tabela VIP'], vip: false, compativel: true },
+            { id: 4, modelo: 'REDMI NOTE 13', tipo: 'camera', marca: 'Marca da loja', compatibilidade: ['POCO X6'], html_content: '<b>Nova</b>', vip: false, compativel: true }
+        ];
+        const file = path.join(dir, 'peliculas.json');
+        fs.writeFileSync(file, new PeliculaExporter().toJSON(peliculas));
+
+        const parsed = await new CSVParser().parseWorkbook(file, { filename: 'peliculas-2026-10-19.json' });
+        const diff = buildDiff(peliculas, planImport(peliculas, parsed.records, 'replace'));
+
+        assert.equal(parsed.format, 'json');
+        assert.equal(parsed.records.length, peliculas.length);
+        assert.deepEqual(diff.summary, {
+            currentTotal: 4, inserted: 0, updated: 0, unchanged: 4, removed: 0, toVip: 0, toFree: 0
+        });
+    });
+
+    it('recusa um JSON que não é uma exportação da tabela', async () => {
+        const file = path.join(dir, 'outro.json');
+        fs.writeFileSync(file, JSON.stringify({ modelos: [] }));
+
+        await assert.rejects(new CSVParser().parseWorkbook(file, { filename: 'outro.json' }), /peliculas/);
+    });
+});
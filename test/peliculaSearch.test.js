@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PeliculaSearch = require('../utils/peliculaSearch');
+
+// Trecho da tabela de exemplo, com a marca como a importação grava
+const PELICULAS = [
+    { id: 1, modelo: 'A10', marca: 'Samsung', vip: false, compatibilidade: ['G8 Play', 'G8 Plus', 'G7 Plus'] },
+    { id: 2, modelo: 'XIAOMI REDMI 11 PRIME', marca: 'Xiaomi', vip: true, compatibilidade: [] },
+    { id: 3, modelo: 'MOTOROLA MOTO G64', marca: 'Motorola', vip: true, compatibilidade: [] },
+    { id: 4, modelo: 'MOTOROLA MOTO G55', marca: 'Motorola', vip: true, compatibilidade: [] },
+    { id: 5, modelo: 'POCO M6 PRO 5G', marca: 'Xiaomi', vip: true, compatibilidade: [] },
+    { id: 6, modelo: 'MOTOROLA MOTO E6i', marca: 'Motorola', vip: false, compatibilidade: ['MOTO E6S', 'E6 PLUS', 'LG K40S'] },
+    { id: 7, modelo: 'XIAOMI REDMI 14C', marca: 'Xiaomi', vip: true, compatibilidade: [] },
+    { id: 8, modelo: 'REALME C61', marca: 'Realme', vip: true, compatibilidade: [] },
+    { id: 9, modelo: 'OPPO A40', marca: 'Oppo', vip: true, compatibilidade: [] },
+    { id: 10, modelo: 'IPHONE 11 PRO MAX', marca: 'Apple', vip: true, compatibilidade: [] },
+    { id: 11, modelo: 'XIAOMI REDMI NOTE 14 4G', marca: 'Xiaomi', vip: true, compatibilidade: [] },
+    { id: 12, modelo: 'SAMSUNG S22', marca: 'Samsung', vip: false, compatibilidade: ['SAMSUNG S23'] }
+];
+
+const index = new PeliculaSearch(PELICULAS);
+const modelos = (term, limit = 5, options) => index.search(term, limit, options).map(pelicula => pelicula.modelo);
+
+describe('PeliculaSearch', () => {
+    it('encontra o modelo pelas abreviações e espaços', () => {
+        assert.equal(modelos('moto g 64')[0], 'MOTOROLA MOTO G64');
+        assert.equal(modelos('g64')[0], 'MOTOROLA MOTO G64');
+    });
+
+    it('exige os códigos de modelo juntos e na ordem', () => {
+        assert.ok(!modelos('moto g6').includes('POCO M6 PRO 5G'));
+        assert.deepEqual(modelos('m6 pro'), ['POCO M6 PRO 5G']);
+    });
+
+    it('lista os modelos da marca quando o termo é só a marca', () => {
+        assert.deepEqual(modelos('motorola'), [
+            'MOTOROLA MOTO E6i', 'MOTOROLA MOTO G55', 'MOTOROLA MOTO G64'
+        ]);
+        assert.deepEqual(modelos('samsung'), ['A10', 'SAMSUNG S22']);
+        assert.deepEqual(modelos('xiaomi', 2), ['POCO M6 PRO 5G', 'XIAOMI REDMI 11 PRIME']);
+        assert.deepEqual(modelos('motorola', 5, { filter: pelicula => !pelicula.vip }), ['MOTOROLA MOTO E6i']);
+    });
+
+    it('aceita a última palavra incompleta', () => {
+        assert.deepEqual(modelos('redmi no'), ['XIAOMI REDMI NOTE 14 4G']);
+        assert.deepEqual(modelos('iphone 11 pr'), ['IPHONE 11 PRO MAX']);
+        assert.deepEqual(modelos('realme c6'), ['REALME C61']);
+    });
+
+    it('corrige palavras digitadas com erro', () => {
+        assert.deepEqual(modelos('redmi notw 14'), ['XIAOMI REDMI NOTE 14 4G']);
+    });
+
+    it('descarta modelos de outra marca, inclusive pela marca gravada ou pela linha de produto', () => {
+        assert.deepEqual(modelos('samsung m6 pro'), []);
+        assert.deepEqual(modelos('motorola 11 pro max'), []);
+    });
+});
+
+describe('PeliculaSearch.didYouMean', () => {
+    const sugestoes = (search, term, options) =>
+        search.didYouMean(term, 3, options).map(({ pelicula, reason }) => `${pelicula.modelo}:${reason}`);
+
+    it('sugere o modelo quando a marca está fora do lugar', () => {
+        assert.deepEqual(sugestoes(index, 'g64 motorola'), ['MOTOROLA MOTO G64:marca']);
+    });
+
+    it('sugere modelos parecidos para palavras incompletas ou com erro', () => {
+        assert.equal(sugestoes(index, 'iphone 11 pr mx')[0], 'IPHONE 11 PRO MAX:aproximado');
+    });
+
+    it('não troca uma marca válida sem resultados por outra marca', () => {
+        const semRealme = new PeliculaSearch(PELICULAS.filter(pelicula => pelicula.marca !== 'Realme'));
+
+        assert.deepEqual(semRealme.search('realme'), []);
+        assert.deepEqual(sugestoes(semRealme, 'realme'), []);
+        assert.deepEqual(sugestoes(semRealme, 'realme c6'), []);
+        assert.deepEqual(sugestoes(semRealme, 'realme note'), []);
+    });
+
+    it('só sugere modelos da marca informada', () => {
+        const naoVip = { filter: pelicula => !pelicula.vip };
+
+        assert.deepEqual(index.search('motorola g6', 5, naoVip), []);
+        assert.ok(sugestoes(index, 'motorola g6', naoVip).every(sugestao => sugestao.startsWith('MOTOROLA')));
+        assert.deepEqual(sugestoes(index, 'samsung m6 pro'), []);
+    });
+});
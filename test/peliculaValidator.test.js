@@ -0,0 +1,46 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PeliculaValidator = require('../utils/peliculaValidator');
+const PeliculaExporter = require('../utils/peliculaExporter');
+const CSVParser = require('../utils/csvParser');
+
+describe('PeliculaValidator: compatibilidade', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tabelafree-validator-'));
+        // O parser informa no console quantos registros leu
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('junta espaços repetidos dentro de um modelo', () => {
+        const { errors, values } = new PeliculaValidator().validate({
+            modelo: 'MOTO G9 PLAY',
+            compatibilidade: ['Moto G9  Power', ' G9\tPlus ']
+        });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(values.compatibilidade, ['Moto G9 Power', 'G9 Plus']);
+    });
+
+    it('exporta e importa novamente a mesma compatibilidade', async () => {
+        const { values } = new PeliculaValidator().validate({
+            modelo: 'MOTO G9 PLAY',
+            compatibilidade: ['Moto G9  Power', 'G9 Plus']
+        });
+        const file = path.join(dir, 'peliculas.csv');
+        fs.writeFileSync(file, new PeliculaExporter().toCSV([{ ...values, tipo: '3d' }]));
+
+        const parsed = await new CSVParser().parseWorkbook(file, { filename: 'peliculas.csv' });
+
+        assert.deepEqual(parsed.records[0].compatibilidade, values.compatibilidade);
+    });
+});
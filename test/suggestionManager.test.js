@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const SuggestionManager = require('../utils/suggestionManager');
+
+describe('SuggestionManager: limite de envios', () => {
+    let server;
+    let baseUrl;
+
+    // Rota mínima com o limite de envios, atrás de um proxy reverso (trust proxy = 1)
+    before(async () => {
+        const manager = new SuggestionManager();
+        const app = express();
+        app.set('trust proxy', 1);
+        app.post('/suggestions', (req, res) => {
+            try {
+                manager.consumeRate(SuggestionManager.requestClient(req));
+                res.status(201).end();
+            } catch (error) {
+                res.status(error.status).end();
+            }
+        });
+
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const submit = (ip, userAgent) => fetch(`${baseUrl}/suggestions`, {
+        method: 'POST',
+        headers: { 'X-Forwarded-For': ip, 'User-Agent': userAgent }
+    }).then(response => response.status);
+
+    it('não zera o limite quando o visitante troca o User-Agent', async () => {
+        for (let i = 0; i < 5; i++) {
+            assert.equal(await submit('203.0.113.7', `ua${i}`), 201);
+        }
+
+        assert.equal(await submit('203.0.113.7', 'ua8'), 429);
+        assert.equal(await submit('203.0.113.7', 'ua9'), 429);
+    });
+
+    it('usa o IP informado pelo proxy, sem bloquear os outros visitantes', async () => {
+        assert.equal(await submit('198.51.100.20', 'ua0'), 201);
+    });
+});
@@ -0,0 +1,220 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Pelicula = require('../models/Pelicula');
+const PeliculaAudit = require('../models/PeliculaAudit');
+const { DEFAULT_TIPO } = require('./peliculaTipos');
+
+// Campos da película registrados na auditoria
+const AUDITED_FIELDS = ['modelo', 'tipo', 'marca', 'compatibilidade', 'html_content', 'vip', 'compativel'];
+const MAX_LIMIT = 200;
+
+/**
+ * Extrai os campos auditados a partir dos valores brutos de uma instância
+ * @param {Object} dataValues - dataValues ou _previousDataValues da instância
+ * @returns {Object} Valores normalizados
+ */
+function readValues(dataValues) {
+    const values = {};
+
+    AUDITED_FIELDS.forEach(field => {
+        let value = dataValues[field];
+
+        if (field === 'compatibilidade') {
+            value = typeof value === 'string' ? JSON.parse(value) : (value || []);
+        } else if (field === 'vip' || field === 'compativel') {
+            value = Boolean(value);
+        }
+
+        values[field] = value === undefined ? null : value;
+    });
+
+    return values;
+}
+
+/**
+ * Lista os campos com valores diferentes entre duas versões
+ * @param {Object|null} before - Valores anteriores
+ * @param {Object|null} after - Valores novos
+ * @returns {Array<string>} Campos alterados
+ */
+function changedFields(before, after) {
+    return AUDITED_FIELDS.filter(field =>
+        JSON.stringify(before ? before[field] : null) !== JSON.stringify(after ? after[field] : null)
+    );
+}
+
+/**
+ * Monta um registro de auditoria
+ * O contexto (usuário e origem) vem de options.audit, passado em cada operação sobre Pelicula
+ */
+function buildEntry(action, peliculaId, before, after, options) {
+    const context = (options && options.audit) || {};
+    const user = context.user || null;
+
+    return {
+        pelicula_id: peliculaId,
+        modelo: (after || before).modelo,
+        tipo: (after || before).tipo || DEFAULT_TIPO,
+        action,
+        source: context.source || 'system',
+        user_id: user ? user.id : null,
+        username: user ? user.username : null,
+        changed_fields: changedFields(before, after),
+        before,
+        after
+    };
+}
+
+async function saveEntries(entries, options) {
+    if (entries.length === 0) {
+        return;
+    }
+
+    await PeliculaAudit.bulkCreate(entries, {
+        transaction: options ? options.transaction : undefined
+    });
+}
+
+let registered = false;
+
+/**
+ * Registra os hooks que gravam toda criação, alteração e exclusão de películas,
+ * qualquer que seja a origem. Chamado pelo servidor e pela CLI
+ */
+function register() {
+    if (registered) {
+        return;
+    }
+
+    Pelicula.addHook('afterCreate', 'auditTrail', async (pelicula, options) => {
+        await saveEntries([buildEntry('create', pelicula.id, null, readValues(pelicula.dataValues), options)], options);
+    });
+
+    Pelicula.addHook('afterBulkCreate', 'auditTrail', async (peliculas, options) => {
+        const entries = peliculas.map(pelicula =>
+            buildEntry('create', pelicula.id, null, readValues(pelicula.dataValues), options)
+        );
+        await saveEntries(entries, options);
+    });
+
+    Pelicula.addHook('afterUpdate', 'auditTrail', async (pelicula, options) => {
+        const before = readValues(pelicula._previousDataValues);
+        const after = readValues(pelicula.dataValues);
+
+        if (changedFields(before, after).length === 0) {
+            return;
+        }
+
+        await saveEntries([buildEntry('update', pelicula.id, before, after, options)], options);
+    });
+
+    Pelicula.addHook('afterDestroy', 'auditTrail', async (pelicula, options) => {
+        await saveEntries([buildEntry('delete', pelicula.id, readValues(pelicula.dataValues), null, options)], options);
+    });
+
+    // Exclusões em lote: guardar as películas antes de remover para registrar os valores anteriores
+    Pelicula.addHook('beforeBulkDestroy', 'auditTrail', async (options) => {
+        if (options.individualHooks) {
+            return;
+        }
+
+        options.auditRemoved = await Pelicula.findAll({
+            where: options.where,
+            transaction: options.transaction
+        });
+    });
+
+    Pelicula.addHook('afterBulkDestroy', 'auditTrail', async (options) => {
+        if (!options.auditRemoved) {
+            return;
+        }
+
+        const entries = options.auditRemoved.map(pelicula =>
+            buildEntry('delete', pelicula.id, readValues(pelicula.dataValues), null, options)
+        );
+        await saveEntries(entries, options);
+    });
+
+    registered = true;
+}
+
+/**
+ * Consulta da trilha de auditoria das películas
+ */
+class AuditTrail {
+    /**
+     * Lista registros de auditoria com filtros
+     * @param {Object} filters - { modelo, username, peliculaId, action, source, from, to, limit, offset }
+     * @returns {Promise<Object>} { rows, total }
+     */
+    async list(filters = {}) {
+        const conditions = [];
+
+        if (filters.modelo) {
+            conditions.push(sequelize.where(
+                sequelize.fn('UPPER', sequelize.col('modelo')),
+                { [Op.like]: `%${String(filters.modelo).trim().toUpperCase()}%` }
+            ));
+        }
+
+        if (filters.username) {
+            conditions.push({ username: filters.username });
+        }
+
+        if (filters.peliculaId) {
+            conditions.push({ pelicula_id: filters.peliculaId });
+        }
+
+        if (filters.action) {
+            conditions.push({ action: filters.action });
+        }
+
+        if (filters.source) {
+            conditions.push({ source: filters.source });
+        }
+
+        if (filters.from) {
+            conditions.push({ created_at: { [Op.gte]: filters.from } });
+        }
+
+        if (filters.to) {
+            conditions.push({ created_at: { [Op.lte]: filters.to } });
+        }
+
+        const limit = Math.min(parseInt(filters.limit, 10) || 50, MAX_LIMIT);
+        const offset = parseInt(filters.offset, 10) || 0;
+
+        const { rows, count } = await PeliculaAudit.findAndCountAll({
+            where: { [Op.and]: conditions },
+            order: [['created_at', 'DESC'], ['id', 'DESC']],
+            limit,
+            offset
+        });
+
+        return { rows, total: count, limit, offset };
+    }
+
+    /**
+     * Histórico completo de uma película, incluindo registros de outras linhas com o mesmo modelo
+     * e tipo (por exemplo, quando o modelo foi excluído e cadastrado novamente)
+     * @param {Object} pelicula - Película
+     * @returns {Promise<Array>} Registros do mais recente para o mais antigo
+     */
+    async historyFor(pelicula) {
+        return PeliculaAudit.findAll({
+            where: {
+                [Op.or]: [
+                    { pelicula_id: pelicula.id },
+                    { modelo: pelicula.modelo, tipo: pelicula.tipo || DEFAULT_TIPO }
+                ]
+            },
+            order: [['created_at', 'DESC'], ['id', 'DESC']],
+            limit: MAX_LIMIT
+        });
+    }
+}
+
+AuditTrail.AUDITED_FIELDS = AUDITED_FIELDS;
+AuditTrail.register = register;
+
+module.exports = AuditTrail;
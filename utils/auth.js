@@ -0,0 +1,70 @@
+const User = require('../models/User');
+
+/**
+ * Papéis de usuário, do menor para o maior nível de acesso
+ * - viewer: visualizar prévias, histórico e exportar
+ * - editor: editar modelos e importar em modo mesclar/adicionar
+ * - admin: gerenciar usuários, substituir a tabela e restaurar versões
+ */
+const ROLES = ['viewer', 'editor', 'admin'];
+
+/**
+ * Verifica se o papel do usuário atende ao papel mínimo exigido
+ * @param {Object} user - Usuário (ou objeto com role)
+ * @param {string} role - Papel mínimo
+ * @returns {boolean} True se autorizado
+ */
+function hasRole(user, role) {
+    if (!user || !ROLES.includes(user.role)) {
+        return false;
+    }
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Middleware que exige usuário autenticado, ativo e com o papel mínimo informado
+ * O usuário é recarregado do banco a cada requisição para refletir desativações e trocas de papel
+ * @param {string} role - Papel mínimo exigido
+ * @returns {Function} Middleware do Express
+ */
+function requireRole(role) {
+    return async (req, res, next) => {
+        if (!req.session || !req.session.userId) {
+            return res.status(401).json({ success: false, message: 'Acesso negado. Faça login primeiro.' });
+        }
+
+        try {
+            const user = await User.findByPk(req.session.userId);
+
+            if (!user || !user.isActive) {
+                return req.session.destroy(() => {
+                    res.status(401).json({ success: false, message: 'Sessão expirada. Faça login novamente.' });
+                });
+            }
+
+            req.user = { id: user.id, username: user.username, role: user.role };
+
+            if (!hasRole(req.user, role)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Você não tem permissão para esta ação.'
+                });
+            }
+
+            return next();
+        } catch (error) {
+            console.error('Erro ao verificar permissões:', error);
+            return res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    };
+}
+
+// Qualquer usuário autenticado
+const requireAuth = requireRole('viewer');
+
+module.exports = {
+    ROLES,
+    hasRole,
+    requireRole,
+    requireAuth
+};
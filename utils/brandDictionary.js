@@ -0,0 +1,107 @@
+const Pelicula = require('../models/Pelicula');
+const SearchNormalizer = require('./searchNormalizer');
+
+const MAX_MARCA_LENGTH = 50;
+
+// Nome exibido de cada marca conhecida pelo SearchNormalizer
+const BRAND_NAMES = {
+    samsung: 'Samsung',
+    motorola: 'Motorola',
+    xiaomi: 'Xiaomi',
+    apple: 'Apple',
+    lg: 'LG',
+    asus: 'Asus',
+    realme: 'Realme',
+    oppo: 'Oppo',
+    vivo: 'Vivo',
+    tcl: 'TCL',
+    nokia: 'Nokia',
+    huawei: 'Huawei',
+    oneplus: 'OnePlus',
+    google: 'Google',
+    infinix: 'Infinix',
+    positivo: 'Positivo',
+    multilaser: 'Multilaser',
+    sony: 'Sony',
+    lenovo: 'Lenovo',
+    zte: 'ZTE'
+};
+
+/**
+ * Dicionário de marcas dos modelos
+ * Deduz o fabricante pelo início do nome ("MOTOROLA MOTO G55", "IPHONE 11", "A10"),
+ * usado para preencher a marca das películas novas. A marca gravada pode ser
+ * alterada pelos administradores e não é recalculada depois
+ */
+class BrandDictionary {
+    constructor() {
+        this.normalizer = new SearchNormalizer();
+    }
+
+    /**
+     * Deduz a marca de um modelo
+     * @param {string} modelo - Nome do modelo
+     * @returns {string|null} Nome da marca ou null se não reconhecida
+     */
+    detect(modelo) {
+        const brand = this.normalizer.detectBrand(modelo);
+        return brand ? BRAND_NAMES[brand] : null;
+    }
+
+    /**
+     * Normaliza a marca informada na edição, usando a grafia do dicionário quando conhecida
+     * @param {string|null} marca - Marca digitada
+     * @returns {string|null} Marca pronta para salvar (null para remover)
+     */
+    normalize(marca) {
+        const text = typeof marca === 'string' ? marca.trim().replace(/\s+/g, ' ') : '';
+        if (!text) {
+            return null;
+        }
+
+        const brand = this.normalizer.brandKey(text);
+        return brand ? BRAND_NAMES[brand] : text;
+    }
+
+    /**
+     * Marcas do dicionário, para sugestão na edição
+     * @returns {Array<string>} Nomes em ordem alfabética
+     */
+    list() {
+        return Object.values(BRAND_NAMES).sort((a, b) => a.localeCompare(b));
+    }
+}
+
+const brandDictionary = new BrandDictionary();
+
+/**
+ * Preenche a marca das películas criadas sem marca (importação, edição, restauração)
+ * @param {Object} pelicula - Instância sendo criada
+ */
+function fillMarca(pelicula) {
+    if (!pelicula.marca) {
+        pelicula.marca = brandDictionary.detect(pelicula.modelo);
+    }
+}
+
+let registered = false;
+
+/**
+ * Registra os hooks que preenchem a marca na criação das películas
+ * Chamado pelo servidor e pela CLI; importar o módulo não altera o model
+ */
+function register() {
+    if (registered) {
+        return;
+    }
+
+    Pelicula.addHook('beforeCreate', 'brandDictionary', fillMarca);
+    Pelicula.addHook('beforeBulkCreate', 'brandDictionary', peliculas => peliculas.forEach(fillMarca));
+    registered = true;
+}
+
+BrandDictionary.register = register;
+BrandDictionary.BRAND_NAMES = BRAND_NAMES;
+BrandDictionary.MAX_MARCA_LENGTH = MAX_MARCA_LENGTH;
+
+module.exports = BrandDictionary;
@@ -0,0 +1,241 @@
+const SearchNormalizer = require('./searchNormalizer');
+
+// Tipos de inconsistência apontados aos administradores
+const INCONSISTENCY_TYPES = {
+    not_reciprocal: 'A lista de compatibilidade cita um modelo cuja linha não cita de volta',
+    incomplete_group: 'A lista de compatibilidade não inclui todos os modelos do grupo',
+    vip_in_group: 'Modelo VIP citado na compatibilidade de outro modelo'
+};
+
+/**
+ * Grafo de compatibilidade entre aparelhos
+ * Cada linha diz que a película do modelo serve também nos aparelhos da sua lista,
+ * então o modelo e todos os compatíveis formam um grupo. Grupos que compartilham
+ * algum aparelho são unidos (fecho transitivo). Os nomes são comparados pela forma
+ * normalizada do SearchNormalizer, sem a marca
+ */
+class CompatibilityGraph {
+    /**
+     * @param {Array} peliculas - Películas da tabela
+     * @param {Object} options - { normalizer }
+     */
+    constructor(peliculas, options = {}) {
+        this.normalizer = options.normalizer || new SearchNormalizer();
+        this.nodes = new Map();
+        this.parent = new Map();
+        this.rows = peliculas.map(pelicula => ({
+            id: pelicula.id,
+            modelo: pelicula.modelo,
+            vip: Boolean(pelicula.vip),
+            key: this.addNode(pelicula.modelo, pelicula),
+            compatibilidade: pelicula.vip ? [] : (pelicula.compatibilidade || [])
+                .filter(name => this.nodeKey(name))
+                .map(name => ({
+                    name,
+                    key: this.addNode(name)
+                }))
+        }));
+
+        this.rows.forEach(row => {
+            row.compatibilidade.forEach(({ key }) => this.union(row.key, key));
+        });
+
+        this.groups = this.buildGroups();
+    }
+
+    /**
+     * Chave de comparação de um nome de aparelho
+     * @param {string} name - Nome do aparelho
+     * @returns {string} Chave normalizada
+     */
+    nodeKey(name) {
+        return this.normalizer.normalize(name, { aliases: false }).key;
+    }
+
+    /**
+     * Registra um aparelho no grafo
+     * @param {string} name - Nome do aparelho
+     * @param {Object|null} pelicula - Película cuja linha é deste aparelho
+     * @returns {string} Chave do aparelho
+     */
+    addNode(name, pelicula = null) {
+        const key = this.nodeKey(name);
+        let node = this.nodes.get(key);
+
+        if (!node) {
+            node = { key, name, peliculas: [] };
+            this.nodes.set(key, node);
+            this.parent.set(key, key);
+        }
+
+        if (pelicula) {
+            // O nome da linha tem preferência sobre a grafia usada nas listas
+            if (node.peliculas.length === 0) {
+                node.name = pelicula.modelo;
+            }
+            node.peliculas.push({ id: pelicula.id, modelo: pelicula.modelo, vip: Boolean(pelicula.vip) });
+        }
+
+        return key;
+    }
+
+    /**
+     * Raiz do grupo do aparelho (union-find)
+     * @param {string} key - Chave do aparelho
+     * @returns {string} Chave da raiz
+     */
+    find(key) {
+        let root = key;
+        while (this.parent.get(root) !== root) {
+            root = this.parent.get(root);
+        }
+        // Compressão de caminho
+        while (this.parent.get(key) !== root) {
+            const next = this.parent.get(key);
+            this.parent.set(key, root);
+            key = next;
+        }
+        return root;
+    }
+
+    /**
+     * Une os grupos de dois aparelhos
+     * @param {string} a - Chave do primeiro aparelho
+     * @param {string} b - Chave do segundo aparelho
+     */
+    union(a, b) {
+        const rootA = this.find(a);
+        const rootB = this.find(b);
+        if (rootA !== rootB) {
+            // A menor chave fica como raiz para o id do grupo não depender da ordem das linhas
+            if (rootA < rootB) {
+                this.parent.set(rootB, rootA);
+            } else {
+                this.parent.set(rootA, rootB);
+            }
+        }
+    }
+
+    /**
+     * Monta os grupos com pelo menos dois aparelhos
+     * @returns {Array} Grupos ordenados pelo id
+     */
+    buildGroups() {
+        const byRoot = new Map();
+
+        this.nodes.forEach(node => {
+            const root = this.find(node.key);
+            if (!byRoot.has(root)) {
+                byRoot.set(root, []);
+            }
+            byRoot.get(root).push(node);
+        });
+
+        return Array.from(byRoot.entries())
+            .filter(([, members]) => members.length > 1)
+            .map(([root, members]) => ({
+                id: root,
+                size: members.length,
+                members: members
+                    .sort((a, b) => a.name.localeCompare(b.name))
+                    .map(({ key, name, peliculas }) => ({ key, name, peliculas }))
+            }))
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Lista os grupos de aparelhos intercambiáveis
+     * @returns {Array} Grupos
+     */
+    listGroups() {
+        return this.groups;
+    }
+
+    /**
+     * Grupo em que o modelo informado está
+     * @param {string} modelo - Nome do modelo
+     * @returns {Object|null} Grupo ou null se o modelo não compartilha película
+     */
+    groupFor(modelo) {
+        const key = this.nodeKey(modelo);
+        if (!this.nodes.has(key)) {
+            return null;
+        }
+
+        const root = this.find(key);
+        return this.groups.find(group => group.id === root) || null;
+    }
+
+    /**
+     * Aponta linhas da tabela que discordam do grupo
+     * @returns {Array} [{ type, description, pelicula: { id, modelo }, related: [nomes] }]
+     */
+    findInconsistencies() {
+        const issues = [];
+        const rowsByKey = new Map();
+        this.rows.forEach(row => {
+            if (!rowsByKey.has(row.key)) {
+                rowsByKey.set(row.key, []);
+            }
+            rowsByKey.get(row.key).push(row);
+        });
+
+        const addIssue = (type, row, related) => {
+            issues.push({
+                type,
+                description: INCONSISTENCY_TYPES[type],
+                pelicula: { id: row.id, modelo: row.modelo },
+                related
+            });
+        };
+
+        this.rows.forEach(row => {
+            if (row.vip) {
+                return;
+            }
+
+            const listed = new Set(row.compatibilidade.map(item => item.key));
+            const notReciprocal = [];
+            const vipListed = [];
+
+            row.compatibilidade.forEach(item => {
+                (rowsByKey.get(item.key) || []).forEach(other => {
+                    if (other.id === row.id) {
+                        return;
+                    }
+                    if (other.vip) {
+                        vipListed.push(other.modelo);
+                    } else if (!other.compatibilidade.some(c => c.key === row.key)) {
+                        notReciprocal.push(other.modelo);
+                    }
+                });
+            });
+
+            if (notReciprocal.length > 0) {
+                addIssue('not_reciprocal', row, notReciprocal);
+            }
+
+            if (vipListed.length > 0) {
+                addIssue('vip_in_group', row, vipListed);
+            }
+
+            const group = this.groupFor(row.modelo);
+            if (group && row.compatibilidade.length > 0) {
+                const missing = group.members
+                    .filter(member => member.key !== row.key && !listed.has(member.key))
+                    .filter(member => !member.peliculas.some(p => p.vip))
+                    .map(member => member.name);
+
+                if (missing.length > 0) {
+                    addIssue('incomplete_group', row, missing);
+                }
+            }
+        });
+
+        return issues;
+    }
+}
+
+CompatibilityGraph.INCONSISTENCY_TYPES = INCONSISTENCY_TYPES;
+
+module.exports = CompatibilityGraph;
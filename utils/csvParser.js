@@ -1,75 +1,378 @@
-const csv = require('csv-parser');
-const fs = require('fs');
-const path = require('path');
+const SpreadsheetReader = require('./spreadsheetReader');
+const SearchNormalizer = require('./searchNormalizer');
+const VipClassifier = require('./vipClassifier');
+const BrandDictionary = require('./brandDictionary');
+const { normalizeTipo } = require('./peliculaTipos');
+
+// Campos que podem ser lidos do arquivo, com o nome exibido no mapeamento de colunas
+const IMPORT_FIELDS = {
+    modelo: 'Modelo',
+    compatibilidade: 'Compatibilidade',
+    html_content: 'HTML',
+    tipo: 'Tipo',
+    vip: 'VIP'
+};
+const REQUIRED_FIELDS = ['modelo', 'compatibilidade'];
+
+// Posição das colunas em arquivos sem cabeçalho (formato exportado pela tabela, sem coluna VIP)
+const DEFAULT_MAPPING = { modelo: 0, compatibilidade: 1, html_content: 2, tipo: 3 };
+
+// Nomes de coluna reconhecidos no cabeçalho, já normalizados (sem acentos, minúsculos)
+const HEADER_NAMES = {
+    'modelo': 'modelo',
+    'modelos': 'modelo',
+    'aparelho': 'modelo',
+    'celular': 'modelo',
+    'modelo do celular': 'modelo',
+    'modelo do aparelho': 'modelo',
+    'compatibilidade': 'compatibilidade',
+    'compatibilidades': 'compatibilidade',
+    'compativel': 'compatibilidade',
+    'compativeis': 'compatibilidade',
+    'compativel com': 'compatibilidade',
+    'compativeis com': 'compatibilidade',
+    'modelos compativeis': 'compatibilidade',
+    'peliculas compativeis': 'compatibilidade',
+    'peliculas 3 d compativeis': 'compatibilidade',
+    'serve em': 'compatibilidade',
+    'html': 'html_content',
+    'html content': 'html_content',
+    'html personalizado': 'html_content',
+    'conteudo html': 'html_content',
+    'tipo': 'tipo',
+    'tipo de pelicula': 'tipo',
+    'tipo da pelicula': 'tipo',
+    'vip': 'vip',
+    'tabela vip': 'vip',
+    'vip free': 'vip',
+    'vip ou free': 'vip',
+    'classificacao': 'vip'
+};
+
+// Linhas do início de cada aba em que o cabeçalho é procurado (títulos podem vir antes)
+const HEADER_SCAN_ROWS = 5;
+
+/**
+ * Erro no mapeamento de colunas informado na importação
+ * Carrega o status HTTP que a rota deve devolver
+ */
+class ImportMappingError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ImportMappingError';
+        this.status = status;
+    }
+}
 
 /**
- * Parser de CSV baseado no modelo fornecido
- * Formato esperado: modelo,compatibilidade
- * Onde compatibilidade pode ser:
- * - Lista de modelos compatíveis separados por " / "
- * - "Este Modelo já está disponível na tabela VIP" (para VIP)
+ * Parser dos arquivos de importação (CSV, TSV, XLSX, XLS e ODS)
+ * Sem cabeçalho, as colunas são lidas por posição: modelo,compatibilidade[,html][,tipo]
+ * Com cabeçalho (em uma das primeiras linhas), as colunas são encontradas pelo nome,
+ * e o administrador pode corrigir o mapeamento na tela de importação.
+ * A compatibilidade é a lista de modelos compatíveis separados por " / ". Se o modelo é VIP
+ * (sem compatibilidade na tabela free) vem da coluna VIP ou, sem ela, das regras do
+ * VipClassifier aplicadas ao texto da compatibilidade ("Este Modelo já está disponível na tabela VIP")
+ * O tipo de película (3D, Privacidade, Cerâmica, Lente de câmera) vem da coluna de tipo,
+ * do nome da aba da planilha ou, sem nenhum dos dois, do tipo escolhido na importação
  */
 class CSVParser {
     constructor() {
         this.results = [];
+        this.reader = new SpreadsheetReader();
+        this.normalizer = new SearchNormalizer();
+        this.vipClassifier = new VipClassifier();
     }
 
     /**
-     * Processa um arquivo CSV e retorna os dados estruturados
-     * @param {string} filePath - Caminho para o arquivo CSV
+     * Processa um arquivo e retorna os dados estruturados
+     * @param {string} filePath - Caminho para o arquivo
+     * @param {Object} options - Mesmas opções de parseWorkbook()
      * @returns {Promise<Array>} Array de objetos película
      */
-    async parseFile(filePath) {
-        return new Promise((resolve, reject) => {
-            const results = [];
-            
-            fs.createReadStream(filePath)
-                .pipe(csv({
-                    headers: false, // Não usar primeira linha como header
-                    skipEmptyLines: true
-                }))
-                .on('data', (row) => {
-                    const data = this.processRow(row);
-                    if (data) {
-                        results.push(data);
+    async parseFile(filePath, options = {}) {
+        const { records } = await this.parseWorkbook(filePath, options);
+        return records;
+    }
+
+    /**
+     * Processa todas as abas do arquivo, informando como cada uma foi lida
+     * O mapeamento de cada aba vem, nesta ordem, de options.mappings, de options.savedMappings,
+     * do cabeçalho encontrado ou da posição padrão das colunas. Mapeamentos salvos só valem
+     * para arquivos com cabeçalho: sem ele, o formato exportado pela tabela sempre é lido por posição
+     * @param {string} filePath - Caminho para o arquivo
+     * @param {Object} options - { filename, mappings, savedMappings: mapeamentos por assinatura do layout,
+     *                            vipRules: regras de classificação VIP cadastradas }
+     * @returns {Promise<Object>} { records, rows: todas as linhas lidas para o ImportValidator, format, encoding, delimiter,
+     *                             layouts: como cada aba foi lida, com missing: campos obrigatórios sem coluna }
+     */
+    async parseWorkbook(filePath, options = {}) {
+        const workbook = await this.reader.read(filePath, options.filename || filePath);
+        // O JSON exportado pela tabela já traz os campos prontos: não passa pelo mapeamento de colunas
+        if (workbook.peliculas) {
+            return this.readExport(workbook);
+        }
+
+        const mappings = options.mappings || {};
+        const savedMappings = options.savedMappings || {};
+        const isSpreadsheet = !workbook.delimiter;
+        const classifier = options.vipRules ? new VipClassifier(options.vipRules) : this.vipClassifier;
+        const layouts = new Map();
+        const records = [];
+        const rows = [];
+
+        workbook.sheets.forEach(sheet => {
+            if (sheet.rows.length === 0) {
+                return;
+            }
+
+            const detected = this.detectLayout(sheet.rows);
+            let layout = layouts.get(detected.signature);
+
+            if (!layout) {
+                let mapping = detected.mapping;
+                let source = detected.headerRow >= 0 ? 'cabecalho' : 'posicao';
+
+                if (mappings[detected.signature]) {
+                    mapping = this.normalizeMapping(mappings[detected.signature], detected.columns);
+                    source = 'informado';
+                } else if (detected.headers && savedMappings[detected.signature]) {
+                    mapping = this.normalizeMapping(savedMappings[detected.signature], detected.columns);
+                    source = 'salvo';
+                }
+
+                // Campos obrigatórios sem coluna: as linhas seriam todas ignoradas
+                const missing = REQUIRED_FIELDS.filter(field => mapping[field] === null);
+                layout = { ...detected, mapping, source, missing, sheets: [] };
+                layouts.set(detected.signature, layout);
+            }
+
+            // Nas planilhas, o nome da aba pode indicar o tipo ("3D", "Privacidade")
+            const sheetName = isSpreadsheet ? sheet.name : null;
+            const sheetTipo = isSpreadsheet ? normalizeTipo(sheet.name) : null;
+            let total = 0;
+
+            sheet.rows.forEach((values, index) => {
+                const line = sheet.lines ? sheet.lines[index] : index + 1;
+
+                if (index <= detected.headerRow) {
+                    rows.push({
+                        sheet: sheetName,
+                        line,
+                        record: null,
+                        raw: null,
+                        classification: null,
+                        reason: index === detected.headerRow ? 'Linha de cabeçalho' : 'Linha antes do cabeçalho'
+                    });
+                    return;
+                }
+
+                const { record, raw, classification, reason } = this.readRow(values, layout.mapping, classifier);
+                if (record) {
+                    if (!record.tipo && sheetTipo) {
+                        record.tipo = sheetTipo;
                     }
-                })
-                .on('end', () => {
-                    console.log(`✅ CSV processado: ${results.length} registros encontrados`);
-                    resolve(results);
-                })
-                .on('error', (error) => {
-                    console.error('❌ Erro ao processar CSV:', error);
-                    reject(error);
+                    records.push(record);
+                    total++;
+                }
+                rows.push({ sheet: sheetName, line, record, raw, classification, reason });
+            });
+
+            layout.sheets.push({ name: sheetName, tipo: sheetTipo, total });
+        });
+
+        console.log(`✅ Arquivo processado: ${records.length} registros encontrados`);
+
+        return {
+            records,
+            rows,
+            format: workbook.format,
+            encoding: workbook.encoding,
+            delimiter: workbook.delimiter,
+            layouts: Array.from(layouts.values())
+        };
+    }
+
+    /**
+     * Recusa a importação quando um layout não tem coluna para um campo obrigatório,
+     * em vez de importar o arquivo ignorando todas as linhas
+     * @param {Array} layouts - Layouts retornados por parseWorkbook()
+     */
+    checkRequiredColumns(layouts) {
+        const layout = layouts.find(item => item.missing.length > 0);
+        if (!layout) {
+            return;
+        }
+
+        const fields = layout.missing.map(field => IMPORT_FIELDS[field]).join(' e ');
+        const sheets = layout.sheets.map(sheet => sheet.name).filter(Boolean);
+        throw new ImportMappingError(
+            `Coluna de ${fields} não encontrada${sheets.length ? ` (aba ${sheets.join(', ')})` : ''}. ` +
+            'Escolha a coluna no mapeamento antes de importar'
+        );
+    }
+
+    /**
+     * Normaliza o nome de uma coluna para comparar com os nomes conhecidos
+     * @param {string} value - Texto da célula
+     * @returns {string} Nome normalizado
+     */
+    headerKey(value) {
+        return this.normalizer.tokenize(value).join(' ');
+    }
+
+    /**
+     * Procura o cabeçalho nas primeiras linhas e monta o mapeamento de colunas
+     * Uma linha é cabeçalho quando nomeia a coluna do modelo e pelo menos mais um campo;
+     * as linhas anteriores (títulos) são ignoradas
+     * @param {Array<Array<string>>} rows - Linhas da aba
+     * @returns {Object} { headerRow, headers, columns, samples, mapping, signature }
+     */
+    detectLayout(rows) {
+        const columns = Math.max(...rows.slice(0, HEADER_SCAN_ROWS + 20).map(row => row.length));
+        let headerRow = -1;
+        let mapping = null;
+
+        for (let i = 0; i < Math.min(HEADER_SCAN_ROWS, rows.length) && !mapping; i++) {
+            const found = {};
+            rows[i].forEach((value, index) => {
+                const field = HEADER_NAMES[this.headerKey(value)];
+                if (field && found[field] === undefined) {
+                    found[field] = index;
+                }
+            });
+
+            if (found.modelo !== undefined && Object.keys(found).length >= 2) {
+                headerRow = i;
+                mapping = {};
+                Object.keys(IMPORT_FIELDS).forEach(field => {
+                    mapping[field] = found[field] === undefined ? null : found[field];
                 });
+            }
+        }
+
+        if (!mapping) {
+            mapping = {};
+            Object.keys(IMPORT_FIELDS).forEach(field => {
+                mapping[field] = DEFAULT_MAPPING[field] < columns ? DEFAULT_MAPPING[field] : null;
+            });
+        }
+
+        const headers = headerRow >= 0 ? rows[headerRow].map(value => String(value).trim()) : null;
+
+        return {
+            headerRow,
+            headers,
+            columns,
+            samples: rows.slice(headerRow + 1, headerRow + 4),
+            mapping,
+            // Identifica o layout do arquivo para lembrar o mapeamento na próxima importação
+            signature: headers
+                ? `cabecalho:${headers.map(value => this.headerKey(value)).join('|')}`
+                : `colunas:${columns}`
+        };
+    }
+
+    /**
+     * Valida o mapeamento de colunas informado
+     * @param {Object} mapping - { campo: índice da coluna ou null }
+     * @param {number} columns - Quantidade de colunas do arquivo
+     * @returns {Object} Mapeamento com todos os campos
+     */
+    normalizeMapping(mapping, columns) {
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+            throw new ImportMappingError('Mapeamento de colunas inválido');
+        }
+
+        const normalized = {};
+        const used = new Set();
+
+        Object.keys(IMPORT_FIELDS).forEach(field => {
+            const value = mapping[field];
+
+            if (value === null || value === undefined || value === '') {
+                normalized[field] = null;
+                return;
+            }
+
+            const index = Number(value);
+            if (!Number.isInteger(index) || index < 0 || index >= columns) {
+                throw new ImportMappingError(`Coluna inválida para o campo ${IMPORT_FIELDS[field]}`);
+            }
+            if (used.has(index)) {
+                throw new ImportMappingError(`A mesma coluna foi escolhida para mais de um campo (${IMPORT_FIELDS[field]})`);
+            }
+
+            used.add(index);
+            normalized[field] = index;
         });
+
+        REQUIRED_FIELDS.forEach(field => {
+            if (normalized[field] === null) {
+                throw new ImportMappingError(`Escolha a coluna do campo ${IMPORT_FIELDS[field]}`);
+            }
+        });
+
+        return normalized;
     }
 
     /**
-     * Processa uma linha do CSV
-     * @param {Object} row - Linha do CSV
+     * Processa uma linha do arquivo
+     * @param {Array|Object} row - Valores da linha
+     * @param {Object} mapping - Índice da coluna de cada campo (padrão: posição das colunas)
      * @returns {Object|null} Objeto película ou null se inválido
      */
-    processRow(row) {
-        // Pega os valores da linha (csv-parser com headers: false retorna como array)
+    processRow(row, mapping = DEFAULT_MAPPING) {
+        return this.readRow(row, mapping).record;
+    }
+
+    /**
+     * Lê uma linha do arquivo, informando por que ela foi ignorada
+     * @param {Array|Object} row - Valores da linha
+     * @param {Object} mapping - Índice da coluna de cada campo
+     * @param {VipClassifier} classifier - Regras de classificação VIP (padrão: regras de fábrica)
+     * @returns {Object} { record: película ou null, raw: textos das colunas, classification: { vip, rule }, reason: motivo se ignorada }
+     */
+    readRow(row, mapping = DEFAULT_MAPPING, classifier = this.vipClassifier) {
         const values = Object.values(row);
-        
-        if (values.length < 2) {
-            return null;
+        const column = field => {
+            const index = mapping[field];
+            return index === null || index === undefined || values[index] === undefined
+                ? ''
+                : String(values[index]).trim();
+        };
+
+        const modelo = column('modelo');
+        const compatibilidade = column('compatibilidade');
+        const htmlContent = column('html_content') || null;
+        const tipoText = column('tipo');
+        const vipText = column('vip');
+        const raw = { modelo, compatibilidade, tipo: tipoText, vip: vipText };
+        const skip = reason => ({ record: null, raw, classification: null, reason });
+
+        if (!modelo) {
+            return skip('Modelo vazio');
         }
 
-        const modelo = values[0].trim();
-        const compatibilidade = values[1].trim();
-        const htmlContent = values[2] ? values[2].trim() : null; // Terceira coluna opcional para HTML
+        // A coluna VIP, quando preenchida, decide sozinha; linhas VIP dispensam a compatibilidade
+        const vipColumn = classifier.parseColumn(vipText);
+        if (vipColumn === undefined) {
+            return skip(`Valor desconhecido na coluna VIP: "${vipText}"`);
+        }
 
         // Pular linhas vazias ou inválidas
-        if (!modelo || !compatibilidade) {
-            return null;
+        if (!compatibilidade && vipColumn !== true) {
+            return skip('Compatibilidade vazia');
         }
 
-        // Verificar se é VIP
-        const isVip = compatibilidade.toLowerCase().includes('vip') || 
-                     compatibilidade.toLowerCase().includes('disponível na tabela');
+        const tipo = tipoText ? normalizeTipo(tipoText) : null;
+        if (tipoText && !tipo) {
+            return skip(`Tipo de película desconhecido: "${tipoText}"`);
+        }
+
+        const classification = vipColumn === null
+            ? classifier.classify(compatibilidade)
+            : { vip: vipColumn, rule: classifier.describe({ kind: 'coluna' }) };
+        const isVip = classification.vip;
 
         let compatibilidadeArray = [];
         let compativel = true;
@@ -96,7 +399,78 @@ class CSVParser {
             result.html_content = htmlContent;
         }
 
-        return result;
+        if (tipo) {
+            result.tipo = tipo;
+        }
+
+        return { record: result, raw, classification, reason: null };
+    }
+
+    /**
+     * Lê as películas do JSON exportado pela tabela, mantendo os campos como vieram:
+     * a lista de compatibilidade não é separada de novo e o VIP não passa pelas regras de texto
+     * @param {Object} workbook - Resultado de SpreadsheetReader.read() com peliculas
+     * @returns {Object} Mesmo formato de parseWorkbook(), sem layouts de colunas
+     */
+    readExport(workbook) {
+        const records = [];
+        const rows = workbook.peliculas.map((pelicula, index) => {
+            const item = pelicula || {};
+            const compatibilidade = Array.isArray(item.compatibilidade) ? item.compatibilidade : null;
+            const raw = {
+                modelo: typeof item.modelo === 'string' ? item.modelo.trim() : '',
+                compatibilidade: compatibilidade ? compatibilidade.join(' / ') : '',
+                tipo: typeof item.tipo === 'string' ? item.tipo : '',
+                vip: item.vip ? 'Sim' : 'Não'
+            };
+            const row = { sheet: null, line: index + 1, record: null, raw, classification: null, reason: null };
+            const tipo = raw.tipo ? normalizeTipo(raw.tipo) : null;
+
+            if (!raw.modelo) {
+                return { ...row, reason: 'Modelo vazio' };
+            }
+            if (!compatibilidade || compatibilidade.some(value => typeof value !== 'string')) {
+                return { ...row, reason: 'Compatibilidade deve ser uma lista de modelos' };
+            }
+            if (raw.tipo && !tipo) {
+                return { ...row, reason: `Tipo de película desconhecido: "${raw.tipo}"` };
+            }
+            if (item.marca && (typeof item.marca !== 'string' || item.marca.length > BrandDictionary.MAX_MARCA_LENGTH)) {
+                return { ...row, reason: `Marca inválida: deve ser um texto de até ${BrandDictionary.MAX_MARCA_LENGTH} caracteres` };
+            }
+
+            const vip = Boolean(item.vip);
+            const list = vip ? [] : compatibilidade.map(value => value.trim()).filter(value => value.length > 0);
+            if (!vip && list.length === 0) {
+                return { ...row, reason: 'Compatibilidade vazia' };
+            }
+
+            const record = { modelo: raw.modelo, compatibilidade: list, vip, compativel: !vip };
+            if (item.html_content) {
+                record.html_content = item.html_content;
+            }
+            if (tipo) {
+                record.tipo = tipo;
+            }
+            // A marca exportada substitui a atual, como na restauração de versões
+            if (item.marca !== undefined) {
+                record.marca = item.marca || null;
+            }
+
+            records.push(record);
+            return { ...row, record, classification: { vip, rule: this.vipClassifier.describe({ kind: 'coluna' }) } };
+        });
+
+        console.log(`✅ Arquivo processado: ${records.length} registros encontrados`);
+
+        return {
+            records,
+            rows,
+            format: workbook.format,
+            encoding: workbook.encoding,
+            delimiter: null,
+            layouts: []
+        };
     }
 
     /**
@@ -112,12 +486,6 @@ class CSVParser {
             .replace(/<[^>]*>/g, '')
             .trim();
 
-        // Se contém "vip" ou "disponível", é VIP
-        if (cleanText.toLowerCase().includes('vip') || 
-            cleanText.toLowerCase().includes('disponível')) {
-            return [];
-        }
-
         // Dividir por separadores comuns
         const separators = [' / ', '/', ' /', '/ ', '  '];
         let parts = [cleanText];
@@ -133,18 +501,18 @@ class CSVParser {
         // Limpar e filtrar
         return parts
             .map(part => part.trim())
-            .filter(part => part.length > 0 && !part.toLowerCase().includes('vip'))
-            .filter(part => !part.toLowerCase().includes('disponível'));
+            .filter(part => part.length > 0);
     }
 
     /**
-     * Valida se um arquivo CSV está no formato correto
+     * Valida se um arquivo está no formato correto
      * @param {string} filePath - Caminho do arquivo
+     * @param {Object} options - Mesmas opções de parseWorkbook()
      * @returns {Promise<boolean>} True se válido
      */
-    async validateCSV(filePath) {
+    async validateCSV(filePath, options = {}) {
         try {
-            const results = await this.parseFile(filePath);
+            const results = await this.parseFile(filePath, options);
             
             // Verificar se tem pelo menos um registro válido
             if (results.length === 0) {
@@ -164,4 +532,9 @@ class CSVParser {
     }
 }
 
+// Texto usado na planilha para indicar modelos disponíveis apenas na tabela VIP
+CSVParser.VIP_TEXT = VipClassifier.VIP_TEXT;
+CSVParser.IMPORT_FIELDS = IMPORT_FIELDS;
+CSVParser.ImportMappingError = ImportMappingError;
+
 module.exports = CSVParser;
@@ -0,0 +1,114 @@
+const sanitizeHtml = require('sanitize-html');
+
+// Domínios aceitos em links do HTML personalizado (inclui subdomínios)
+const DEFAULT_ALLOWED_DOMAINS = ['ofcell123.com.br'];
+
+const ALLOWED_TAGS = [
+    'a', 'button', 'b', 'strong', 'i', 'em', 'u', 's', 'small', 'mark',
+    'span', 'p', 'div', 'br', 'ul', 'ol', 'li'
+];
+
+const ALLOWED_ATTRIBUTES = {
+    a: ['href', 'target', 'rel', 'title'],
+    button: ['type'],
+    '*': ['class']
+};
+
+/**
+ * Sanitizador do HTML personalizado das películas
+ * Mantém apenas botões, links para domínios aprovados e formatação básica,
+ * e informa o que foi removido para que o administrador possa corrigir a planilha
+ */
+class HtmlSanitizer {
+    /**
+     * @param {Object} options - { allowedDomains: domínios aceitos em links }
+     */
+    constructor(options = {}) {
+        const envDomains = (process.env.HTML_ALLOWED_DOMAINS || '')
+            .split(',')
+            .map(domain => domain.trim().toLowerCase())
+            .filter(Boolean);
+
+        this.allowedDomains = options.allowedDomains || [...DEFAULT_ALLOWED_DOMAINS, ...envDomains];
+    }
+
+    /**
+     * Verifica se o link aponta para um domínio aprovado via http(s)
+     * @param {string} href - Endereço do link
+     * @returns {boolean} True se permitido
+     */
+    isAllowedLink(href) {
+        let url;
+        try {
+            url = new URL(String(href || '').trim());
+        } catch (error) {
+            return false;
+        }
+
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            return false;
+        }
+
+        const hostname = url.hostname.toLowerCase();
+        return this.allowedDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+    }
+
+    /**
+     * Sanitiza um trecho de HTML
+     * @param {string} html - HTML original
+     * @returns {Object} { html, removed: lista do que foi removido, changed }
+     */
+    sanitize(html) {
+        if (html === null || html === undefined || html === '') {
+            return { html: null, removed: [], changed: false };
+        }
+
+        const original = String(html);
+        const removed = new Set();
+
+        const clean = sanitizeHtml(original, {
+            allowedTags: ALLOWED_TAGS,
+            allowedAttributes: ALLOWED_ATTRIBUTES,
+            allowedSchemes: ['http', 'https'],
+            allowProtocolRelative: false,
+            disallowedTagsMode: 'discard',
+            onOpenTag: (name, attribs) => {
+                if (!ALLOWED_TAGS.includes(name)) {
+                    removed.add(`tag <${name}> removida`);
+                    return;
+                }
+
+                const allowedForTag = [...(ALLOWED_ATTRIBUTES[name] || []), ...ALLOWED_ATTRIBUTES['*']];
+                Object.keys(attribs).forEach(attribute => {
+                    if (!allowedForTag.includes(attribute)) {
+                        removed.add(`atributo "${attribute}" removido de <${name}>`);
+                    }
+                });
+            },
+            transformTags: {
+                a: (tagName, attribs) => {
+                    const attributes = { ...attribs };
+
+                    if (attributes.href !== undefined && !this.isAllowedLink(attributes.href)) {
+                        removed.add(`link para "${attributes.href}" removido (domínio não aprovado)`);
+                        delete attributes.href;
+                    }
+
+                    if (attributes.target === '_blank') {
+                        attributes.rel = 'noopener noreferrer';
+                    }
+
+                    return { tagName, attribs: attributes };
+                }
+            }
+        }).trim();
+
+        return {
+            html: clean.length > 0 ? clean : null,
+            removed: Array.from(removed),
+            changed: clean !== original.trim()
+        };
+    }
+}
+
+module.exports = HtmlSanitizer;
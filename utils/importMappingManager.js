@@ -0,0 +1,44 @@
+const ImportMapping = require('../models/ImportMapping');
+
+/**
+ * Mapeamentos de colunas usados nas importações
+ * Cada layout de arquivo (assinatura gerada pelo CSVParser) guarda o último mapeamento
+ * confirmado, que passa a ser sugerido quando um arquivo igual for enviado de novo
+ */
+class ImportMappingManager {
+    /**
+     * Carrega os mapeamentos salvos
+     * @returns {Promise<Object>} { assinatura: mapeamento }
+     */
+    async loadAll() {
+        const rows = await ImportMapping.findAll();
+        const mappings = {};
+        rows.forEach(row => {
+            mappings[row.signature] = row.mapping;
+        });
+        return mappings;
+    }
+
+    /**
+     * Guarda os mapeamentos usados em uma importação concluída
+     * @param {Array} layouts - Layouts retornados por CSVParser.parseWorkbook
+     * @param {Object} actor - Usuário que importou
+     */
+    async saveLayouts(layouts, actor = null) {
+        for (const layout of layouts) {
+            const values = {
+                mapping: layout.mapping,
+                updated_by: actor ? actor.username : null
+            };
+            const existing = await ImportMapping.findOne({ where: { signature: layout.signature } });
+
+            if (existing) {
+                await existing.update(values);
+            } else {
+                await ImportMapping.create({ signature: layout.signature, ...values });
+            }
+        }
+    }
+}
+
+module.exports = ImportMappingManager;
@@ -0,0 +1,166 @@
+const SearchNormalizer = require('./searchNormalizer');
+const { modeloKey } = require('./peliculaDiff');
+const { DEFAULT_TIPO } = require('./peliculaTipos');
+
+// Situação de cada linha no relatório, da mais grave para a mais leve
+const ROW_STATUSES = {
+    skipped: 'Ignorada',
+    duplicate: 'Duplicada',
+    warning: 'Aviso',
+    ok: 'OK'
+};
+
+// Palavras do aviso da tabela VIP que, fora dele, indicam um texto mal digitado
+const VIP_HINTS = ['disponivel', 'tabela', 'exclusivo', 'exclusiva'];
+
+/**
+ * Relatório de validação da importação
+ * Recebe todas as linhas lidas pelo CSVParser e informa, para cada uma, o número da linha,
+ * a situação (ok, aviso, duplicada ou ignorada) e os motivos. Avisos não impedem a
+ * importação; linhas duplicadas e ignoradas não entram na tabela
+ */
+class ImportValidator {
+    constructor() {
+        this.normalizer = new SearchNormalizer();
+    }
+
+    /**
+     * Valida as linhas do arquivo
+     * Duplicados seguem a mesma regra da importação: vale a primeira ocorrência do modelo no tipo
+     * @param {Array} rows - Linhas retornadas por CSVParser.parseWorkbook
+     * @param {Object} options - { tipo: tipo das linhas sem a coluna de tipo }
+     * @returns {Object} { rows: [{ sheet, line, modelo, tipo, vip, rule, status, reasons }], summary }
+     */
+    validate(rows, options = {}) {
+        const defaultTipo = options.tipo || DEFAULT_TIPO;
+        const seen = new Map();
+        const seenSpacing = new Map();
+
+        const report = rows.map(row => {
+            const entry = {
+                sheet: row.sheet,
+                line: row.line,
+                modelo: row.raw ? row.raw.modelo : null,
+                tipo: null,
+                // Classificação VIP/free e a regra que a decidiu
+                vip: row.classification ? row.classification.vip : null,
+                rule: row.classification ? row.classification.rule.label : null,
+                status: 'ok',
+                reasons: []
+            };
+
+            if (!row.record) {
+                entry.status = 'skipped';
+                entry.reasons.push(row.reason);
+                return entry;
+            }
+
+            const record = row.record;
+            entry.tipo = record.tipo || defaultTipo;
+
+            const key = `${entry.tipo}|${modeloKey(record.modelo)}`;
+            const first = seen.get(key);
+            if (first) {
+                entry.status = 'duplicate';
+                entry.reasons.push(first.modelo === record.modelo
+                    ? `Repete a ${this.describeLine(first)}`
+                    : `Mesmo modelo da ${this.describeLine(first)}, escrito "${first.modelo}"`);
+                return entry;
+            }
+            seen.set(key, entry);
+
+            // Diferença só nos espaços vira outro modelo na tabela: importa, mas avisa
+            const spacingKey = key.replace(/\s+/g, ' ');
+            const similar = seenSpacing.get(spacingKey);
+            if (similar) {
+                entry.reasons.push(`Parece repetir "${similar.modelo}" (${this.describeLine(similar)}); diferença só nos espaços`);
+            } else {
+                seenSpacing.set(spacingKey, entry);
+            }
+
+            entry.reasons.push(...this.checkRecord(record, row.raw));
+            if (entry.reasons.length > 0) {
+                entry.status = 'warning';
+            }
+
+            return entry;
+        });
+
+        return { rows: report, summary: this.summarize(report) };
+    }
+
+    /**
+     * Avisos de uma linha que será importada
+     * @param {Object} record - Película lida da linha
+     * @param {Object} raw - Textos originais das colunas
+     * @returns {Array<string>} Motivos dos avisos
+     */
+    checkRecord(record, raw) {
+        const warnings = [];
+
+        if (/<[^>]+>/.test(raw.modelo)) {
+            warnings.push('HTML no nome do modelo');
+        }
+
+        if (record.vip) {
+            return warnings;
+        }
+
+        if (/<[^>]+>/.test(raw.compatibilidade)) {
+            warnings.push('HTML na coluna de compatibilidade (removido na importação)');
+        }
+
+        const tokens = this.normalizer.tokenize(raw.compatibilidade);
+        if (tokens.some(token => VIP_HINTS.includes(token)) || tokens.join(' ').includes('v i p')) {
+            warnings.push('Compatibilidade parece o aviso da tabela VIP, mas nenhuma regra classificou o modelo como VIP');
+        }
+
+        if (record.compatibilidade.length === 0) {
+            warnings.push('Compatibilidade vazia depois da limpeza');
+        }
+
+        const own = this.normalizer.normalize(record.modelo);
+        const keys = new Set();
+        record.compatibilidade.forEach(compativel => {
+            const normalized = this.normalizer.normalize(compativel);
+
+            if (normalized.key === own.key && (!normalized.brand || !own.brand || normalized.brand === own.brand)) {
+                warnings.push(`Modelo listado como compatível com ele mesmo ("${compativel}")`);
+            }
+
+            const key = modeloKey(compativel);
+            if (keys.has(key)) {
+                warnings.push(`Compatível repetido na lista ("${compativel}")`);
+            }
+            keys.add(key);
+        });
+
+        return warnings;
+    }
+
+    /**
+     * Identifica uma linha nas mensagens ("linha 12" ou "linha 12 da aba Privacidade")
+     * @param {Object} entry - Linha do relatório
+     * @returns {string} Descrição
+     */
+    describeLine(entry) {
+        return entry.sheet ? `linha ${entry.line} da aba ${entry.sheet}` : `linha ${entry.line}`;
+    }
+
+    /**
+     * Conta as linhas por situação
+     * @param {Array} report - Linhas do relatório
+     * @returns {Object} { total, ok, warning, duplicate, skipped }
+     */
+    summarize(report) {
+        const summary = { total: report.length };
+        Object.keys(ROW_STATUSES).forEach(status => {
+            summary[status] = report.filter(entry => entry.status === status).length;
+        });
+        return summary;
+    }
+}
+
+ImportValidator.ROW_STATUSES = ROW_STATUSES;
+
+module.exports = ImportValidator;
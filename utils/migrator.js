@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const { Sequelize, DataTypes } = require('sequelize');
+
+// Pasta das migrações e formato dos nomes ("0001-create-peliculas.js")
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^\d{4}-[\w-]+\.js$/;
+// Tabela com as migrações aplicadas (mesmo formato do sequelize-cli)
+const META_TABLE = 'SequelizeMeta';
+
+/**
+ * Erro de esquema do banco (migrações pendentes ou desconhecidas)
+ */
+class MigrationError extends Error {
+    constructor(message, pending = []) {
+        super(message);
+        this.name = 'MigrationError';
+        this.pending = pending;
+    }
+}
+
+/**
+ * Verifica se a tabela existe
+ * @param {Object} queryInterface - QueryInterface do Sequelize
+ * @param {string} table - Nome da tabela
+ * @returns {Promise<boolean>} True se existir
+ */
+async function hasTable(queryInterface, table) {
+    const tables = await queryInterface.showAllTables();
+    return tables.map(name => (typeof name === 'string' ? name : name.tableName)).includes(table);
+}
+
+/**
+ * Verifica se a coluna existe
+ * @param {Object} queryInterface - QueryInterface do Sequelize
+ * @param {string} table - Nome da tabela
+ * @param {string} column - Nome da coluna
+ * @returns {Promise<boolean>} True se existir
+ */
+async function hasColumn(queryInterface, table, column) {
+    const columns = await queryInterface.describeTable(table);
+    return Boolean(columns[column]);
+}
+
+/**
+ * Cria os índices simples que não existirem na tabela
+ * No SQLite, remover ou alterar colunas recria a tabela sem os índices; as migrações
+ * chamam esta função depois dessas operações
+ * @param {Object} queryInterface - QueryInterface do Sequelize
+ * @param {string} table - Nome da tabela
+ * @param {Array<Array<string>>} indexes - Colunas de cada índice
+ */
+async function ensureIndexes(queryInterface, table, indexes) {
+    const existing = await queryInterface.showIndex(table);
+    const columns = await queryInterface.describeTable(table);
+
+    for (const fields of indexes) {
+        const found = existing.some(index => !index.unique &&
+            index.fields.map(field => field.attribute).join(',') === fields.join(','));
+        if (!found && fields.every(field => columns[field])) {
+            await queryInterface.addIndex(table, fields);
+        }
+    }
+}
+
+/**
+ * Migrações versionadas do esquema
+ * Cada arquivo de migrations/ exporta up(queryInterface, Sequelize) e down(queryInterface, Sequelize)
+ * e roda uma única vez, na ordem do número do arquivo. As aplicadas ficam registradas
+ * na tabela SequelizeMeta. O servidor não inicia com migrações pendentes
+ */
+class Migrator {
+    /**
+     * @param {Object} sequelize - Conexão do Sequelize
+     * @param {string} directory - Pasta das migrações
+     */
+    constructor(sequelize, directory = MIGRATIONS_DIR) {
+        this.sequelize = sequelize;
+        this.queryInterface = sequelize.getQueryInterface();
+        this.directory = directory;
+    }
+
+    /**
+     * Cria a tabela de controle se ainda não existir
+     */
+    async ensureMetaTable() {
+        if (await hasTable(this.queryInterface, META_TABLE)) {
+            return;
+        }
+
+        await this.queryInterface.createTable(META_TABLE, {
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false,
+                primaryKey: true
+            }
+        });
+    }
+
+    /**
+     * Lista os arquivos de migração em ordem
+     * @returns {Array<string>} Nomes dos arquivos
+     */
+    listMigrations() {
+        return fs.readdirSync(this.directory)
+            .filter(name => MIGRATION_FILE.test(name))
+            .sort();
+    }
+
+    /**
+     * Migrações já aplicadas no banco
+     * @returns {Promise<Array<string>>} Nomes em ordem
+     */
+    async executed() {
+        await this.ensureMetaTable();
+        const rows = await this.sequelize.query(`SELECT name FROM ${this.queryInterface.quoteIdentifier(META_TABLE)}`, {
+            type: Sequelize.QueryTypes.SELECT
+        });
+        return rows.map(row => row.name).sort();
+    }
+
+    /**
+     * Situação de cada migração
+     * @returns {Promise<Array>} [{ name, executed }], incluindo as aplicadas cujo arquivo não existe mais
+     */
+    async status() {
+        const executed = await this.executed();
+        const files = this.listMigrations();
+        const names = Array.from(new Set([...files, ...executed])).sort();
+
+        return names.map(name => ({
+            name,
+            executed: executed.includes(name),
+            missing: !files.includes(name)
+        }));
+    }
+
+    /**
+     * Migrações ainda não aplicadas
+     * @returns {Promise<Array<string>>} Nomes em ordem
+     */
+    async pending() {
+        const executed = new Set(await this.executed());
+        return this.listMigrations().filter(name => !executed.has(name));
+    }
+
+    /**
+     * Recusa um banco com migrações pendentes ou aplicadas por uma versão mais nova do sistema
+     */
+    async ensureUpToDate() {
+        const status = await this.status();
+        const missing = status.filter(item => item.missing).map(item => item.name);
+        if (missing.length > 0) {
+            throw new MigrationError(`O banco tem migrações que este código não conhece: ${missing.join(', ')}`);
+        }
+
+        const pending = status.filter(item => !item.executed).map(item => item.name);
+        if (pending.length > 0) {
+            throw new MigrationError(
+                `O banco não está atualizado. Migrações pendentes: ${pending.join(', ')}. Rode "npm run migrate".`,
+                pending
+            );
+        }
+    }
+
+    /**
+     * Carrega um arquivo de migração
+     * @param {string} name - Nome do arquivo
+     * @returns {Object} { up, down }
+     */
+    load(name) {
+        const migration = require(path.join(this.directory, name));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new MigrationError(`Migração ${name} deve exportar up() e down()`);
+        }
+        return migration;
+    }
+
+    /**
+     * Aceita o nome da migração com ou sem a extensão
+     * @param {string|undefined} name - Nome informado
+     * @returns {string|undefined} Nome do arquivo
+     */
+    resolveName(name) {
+        return name && !name.endsWith('.js') ? `${name}.js` : name;
+    }
+
+    /**
+     * Aplica as migrações pendentes
+     * @param {Object} options - { to: aplicar até esta migração (inclusive) }
+     * @returns {Promise<Array<string>>} Migrações aplicadas
+     */
+    async up(options = {}) {
+        const pending = await this.pending();
+        const to = this.resolveName(options.to);
+        if (to && !pending.includes(to)) {
+            throw new MigrationError(`Migração pendente não encontrada: ${to}`);
+        }
+
+        const selected = to ? pending.slice(0, pending.indexOf(to) + 1) : pending;
+        for (const name of selected) {
+            await this.load(name).up(this.queryInterface, Sequelize);
+            await this.queryInterface.bulkInsert(META_TABLE, [{ name }]);
+        }
+
+        return selected;
+    }
+
+    /**
+     * Desfaz migrações aplicadas, da mais recente para a mais antiga
+     * @param {Object} options - { step: quantidade (padrão 1), to: desfazer até esta migração (inclusive) }
+     * @returns {Promise<Array<string>>} Migrações desfeitas
+     */
+    async down(options = {}) {
+        const executed = (await this.executed()).reverse();
+        const to = this.resolveName(options.to);
+        let selected;
+
+        if (to) {
+            if (!executed.includes(to)) {
+                throw new MigrationError(`Migração aplicada não encontrada: ${to}`);
+            }
+            selected = executed.slice(0, executed.indexOf(to) + 1);
+        } else {
+            selected = executed.slice(0, options.step === undefined ? 1 : options.step);
+        }
+
+        for (const name of selected) {
+            await this.load(name).down(this.queryInterface, Sequelize);
+            await this.queryInterface.bulkDelete(META_TABLE, { name });
+        }
+
+        return selected;
+    }
+}
+
+Migrator.MigrationError = MigrationError;
+Migrator.hasTable = hasTable;
+Migrator.hasColumn = hasColumn;
+Migrator.ensureIndexes = ensureIndexes;
+
+module.exports = Migrator;
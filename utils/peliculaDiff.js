@@ -0,0 +1,222 @@
+const { DEFAULT_TIPO } = require('./peliculaTipos');
+
+/**
+ * Funções de comparação entre registros de películas
+ * Usadas na importação de CSV (preview e aplicação) e na comparação entre versões da tabela
+ */
+
+/**
+ * Gera a chave de comparação de um modelo (igual à collation do MySQL, sem diferenciar maiúsculas)
+ * @param {string} modelo - Nome do modelo
+ * @returns {string} Chave normalizada
+ */
+function modeloKey(modelo) {
+    return String(modelo || '').trim().toUpperCase();
+}
+
+/**
+ * Gera a chave de uma linha da tabela: o modelo pode se repetir em tipos de película diferentes
+ * Registros sem tipo (versões antigas, arquivos sem a coluna) são películas 3D
+ * @param {Object} pelicula - Película ou registro do arquivo
+ * @returns {string} Chave tipo + modelo
+ */
+function peliculaKey(pelicula) {
+    return `${pelicula.tipo || DEFAULT_TIPO}|${modeloKey(pelicula.modelo)}`;
+}
+
+/**
+ * Remove registros duplicados (mesmo modelo e tipo) mantendo a primeira ocorrência
+ * @param {Array} peliculasData - Registros processados do CSV
+ * @returns {Object} { unique, duplicatesSkipped }
+ */
+function removeDuplicates(peliculasData) {
+    const unique = [];
+    const keys = new Set();
+
+    for (const peliculaData of peliculasData) {
+        const key = peliculaKey(peliculaData);
+        if (!keys.has(key)) {
+            keys.add(key);
+            unique.push(peliculaData);
+        }
+    }
+
+    return { unique, duplicatesSkipped: peliculasData.length - unique.length };
+}
+
+/**
+ * Calcula os campos que mudariam ao aplicar o registro do arquivo sobre a película existente
+ * @param {Object} existing - Película atual (instância ou objeto simples)
+ * @param {Object} incoming - Registro vindo do arquivo
+ * @param {Object} options - { keepHtml: manter html_content atual quando o arquivo não trouxer }
+ * @returns {Object} Campos alterados (vazio se nada mudou)
+ */
+function diffFields(existing, incoming, options = {}) {
+    const changes = {};
+    const current = typeof existing.get === 'function' ? existing.get({ plain: true }) : existing;
+
+    const compatibilidade = incoming.compatibilidade || [];
+    if (JSON.stringify(current.compatibilidade || []) !== JSON.stringify(compatibilidade)) {
+        changes.compatibilidade = compatibilidade;
+    }
+
+    if (Boolean(current.vip) !== Boolean(incoming.vip)) {
+        changes.vip = Boolean(incoming.vip);
+    }
+
+    if (Boolean(current.compativel) !== Boolean(incoming.compativel)) {
+        changes.compativel = Boolean(incoming.compativel);
+    }
+
+    // A marca só é comparada quando o registro traz o campo (versões salvas e JSON exportado);
+    // planilhas importadas não têm marca e mantêm a definida pelos administradores
+    if (incoming.marca !== undefined && (current.marca || null) !== (incoming.marca || null)) {
+        changes.marca = incoming.marca || null;
+    }
+
+    const incomingHtml = incoming.html_content || null;
+    if (!(options.keepHtml && incomingHtml === null) && (current.html_content || null) !== incomingHtml) {
+        changes.html_content = incomingHtml;
+    }
+
+    return changes;
+}
+
+/**
+ * Planeja as operações necessárias para aplicar o arquivo sobre a tabela atual
+ * @param {Array} existingPeliculas - Películas atuais do banco
+ * @param {Array} uniqueData - Registros do arquivo, sem duplicidades
+ * @param {string} mode - Modo de importação
+ * @param {Object} options - { tipos: no modo replace, remove apenas linhas destes tipos (padrão: todos) }
+ * @returns {Object} { toInsert, toUpdate: [{ existing, incoming, changes }], unchanged, toRemove }
+ */
+function planImport(existingPeliculas, uniqueData, mode, options = {}) {
+    const plan = { toInsert: [], toUpdate: [], unchanged: [], toRemove: [] };
+    const existingByKey = new Map(
+        existingPeliculas.map(p => [peliculaKey(p), p])
+    );
+
+    if (mode === 'delete') {
+        for (const peliculaData of uniqueData) {
+            const existing = existingByKey.get(peliculaKey(peliculaData));
+            if (existing) {
+                plan.toRemove.push(existing);
+            } else {
+                plan.unchanged.push(peliculaData);
+            }
+        }
+        return plan;
+    }
+
+    for (const peliculaData of uniqueData) {
+        const existing = existingByKey.get(peliculaKey(peliculaData));
+
+        if (!existing) {
+            plan.toInsert.push(peliculaData);
+            continue;
+        }
+
+        if (mode === 'append') {
+            plan.unchanged.push(existing);
+            continue;
+        }
+
+        const changes = diffFields(existing, peliculaData, {
+            keepHtml: mode === 'merge'
+        });
+
+        if (Object.keys(changes).length === 0) {
+            plan.unchanged.push(existing);
+        } else {
+            plan.toUpdate.push({ existing, incoming: peliculaData, changes });
+        }
+    }
+
+    if (mode === 'replace') {
+        const incomingKeys = new Set(uniqueData.map(peliculaKey));
+        const tipos = options.tipos ? new Set(options.tipos) : null;
+        plan.toRemove = existingPeliculas.filter(
+            p => !incomingKeys.has(peliculaKey(p)) && (!tipos || tipos.has(p.tipo || DEFAULT_TIPO))
+        );
+    }
+
+    return plan;
+}
+
+/**
+ * Monta o diff estruturado a partir de um plano de importação
+ * @param {Array} existingPeliculas - Películas da tabela de origem
+ * @param {Object} plan - Resultado de planImport
+ * @returns {Object} { added, removed, toVip, toFree, changed, summary }
+ */
+function buildDiff(existingPeliculas, plan) {
+    const diff = {
+        added: plan.toInsert.map(p => ({
+            modelo: p.modelo,
+            tipo: p.tipo || DEFAULT_TIPO,
+            vip: Boolean(p.vip),
+            compatibilidade: p.compatibilidade || []
+        })),
+        removed: plan.toRemove.map(p => ({
+            id: p.id,
+            modelo: p.modelo,
+            tipo: p.tipo || DEFAULT_TIPO,
+            vip: Boolean(p.vip)
+        })),
+        toVip: [],
+        toFree: [],
+        changed: [],
+        summary: null
+    };
+
+    for (const { existing, changes } of plan.toUpdate) {
+        if (changes.vip === true) {
+            diff.toVip.push(existing.modelo);
+        } else if (changes.vip === false) {
+            diff.toFree.push(existing.modelo);
+        }
+
+        const currentCompat = existing.compatibilidade || [];
+        const change = {
+            id: existing.id,
+            modelo: existing.modelo,
+            tipo: existing.tipo || DEFAULT_TIPO,
+            compatibilidade: null,
+            html: changes.html_content !== undefined
+        };
+
+        if (changes.compatibilidade) {
+            const currentKeys = new Set(currentCompat.map(modeloKey));
+            const newKeys = new Set(changes.compatibilidade.map(modeloKey));
+            change.compatibilidade = {
+                before: currentCompat,
+                after: changes.compatibilidade,
+                added: changes.compatibilidade.filter(c => !currentKeys.has(modeloKey(c))),
+                removed: currentCompat.filter(c => !newKeys.has(modeloKey(c)))
+            };
+        }
+
+        diff.changed.push(change);
+    }
+
+    diff.summary = {
+        currentTotal: existingPeliculas.length,
+        inserted: plan.toInsert.length,
+        updated: plan.toUpdate.length,
+        unchanged: plan.unchanged.length,
+        removed: plan.toRemove.length,
+        toVip: diff.toVip.length,
+        toFree: diff.toFree.length
+    };
+
+    return diff;
+}
+
+module.exports = {
+    modeloKey,
+    peliculaKey,
+    removeDuplicates,
+    diffFields,
+    planImport,
+    buildDiff
+};
@@ -0,0 +1,164 @@
+const XLSX = require('xlsx');
+const Pelicula = require('../models/Pelicula');
+const CSVParser = require('./csvParser');
+const { DEFAULT_TIPO, TIPOS, tipoLabel } = require('./peliculaTipos');
+
+// Formatos de exportação suportados
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx'
+    }
+};
+
+/**
+ * Exportador da tabela de películas
+ * O CSV e o XLSX seguem exatamente o formato lido por CSVParser.processRow
+ * (modelo, compatibilidade separada por " / ", HTML e tipo opcionais), sem linha de cabeçalho,
+ * para que exportar e importar novamente produza a mesma tabela. No XLSX, cada tipo de
+ * película fica em uma aba. O JSON traz todos os campos e também pode ser importado
+ * (CSVParser.readExport)
+ */
+class PeliculaExporter {
+    /**
+     * Carrega as películas na ordem de exportação
+     * @returns {Promise<Array>} Películas como objetos simples
+     */
+    async loadPeliculas() {
+        const peliculas = await Pelicula.findAll({
+            order: [['modelo', 'ASC'], ['tipo', 'ASC']]
+        });
+        return peliculas.map(p => p.get({ plain: true }));
+    }
+
+    /**
+     * Converte uma película para as colunas da planilha
+     * @param {Object} pelicula - Película
+     * @returns {Array<string>} [modelo, compatibilidade, html]
+     */
+    toRow(pelicula) {
+        const compatibilidade = pelicula.vip
+            ? CSVParser.VIP_TEXT
+            : (pelicula.compatibilidade || []).join(' / ');
+
+        return [pelicula.modelo, compatibilidade, pelicula.html_content || ''];
+    }
+
+    /**
+     * Escapa um valor para CSV (RFC 4180)
+     * @param {string} value - Valor da célula
+     * @returns {string} Valor pronto para o arquivo
+     */
+    escapeCSV(value) {
+        const text = String(value == null ? '' : value);
+        if (/[",\r\n]/.test(text) || text !== text.trim()) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Gera o CSV da tabela
+     * @param {Array} peliculas - Películas
+     * @returns {string} Conteúdo CSV
+     */
+    toCSV(peliculas) {
+        const hasTipo = peliculas.some(p => (p.tipo || DEFAULT_TIPO) !== DEFAULT_TIPO);
+        const hasHtml = hasTipo || peliculas.some(p => p.html_content);
+
+        return peliculas
+            .map(pelicula => {
+                let row = this.toRow(pelicula);
+                // Omitir as colunas de HTML e tipo quando nenhuma película usa
+                if (hasTipo) {
+                    row = [...row, tipoLabel(pelicula.tipo || DEFAULT_TIPO)];
+                } else if (!hasHtml) {
+                    row = row.slice(0, 2);
+                }
+                return row.map(value => this.escapeCSV(value)).join(',');
+            })
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Gera o JSON da tabela
+     * @param {Array} peliculas - Películas
+     * @returns {string} Conteúdo JSON
+     */
+    toJSON(peliculas) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            total: peliculas.length,
+            peliculas: peliculas.map(p => ({
+                id: p.id,
+                modelo: p.modelo,
+                tipo: p.tipo || DEFAULT_TIPO,
+                marca: p.marca || null,
+                compatibilidade: p.compatibilidade || [],
+                html_content: p.html_content || null,
+                vip: Boolean(p.vip),
+                compativel: Boolean(p.compativel),
+                created_at: p.created_at,
+                updated_at: p.updated_at
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Gera a planilha XLSX da tabela: uma aba por tipo de película, com as colunas do CSV
+     * @param {Array} peliculas - Películas
+     * @returns {Buffer} Conteúdo XLSX
+     */
+    toXLSX(peliculas) {
+        const workbook = XLSX.utils.book_new();
+        const tipos = Object.keys(TIPOS).filter(tipo =>
+            tipo === DEFAULT_TIPO || peliculas.some(p => p.tipo === tipo)
+        );
+
+        tipos.forEach(tipo => {
+            const rows = peliculas.filter(p => (p.tipo || DEFAULT_TIPO) === tipo).map(p => this.toRow(p));
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), tipoLabel(tipo));
+        });
+
+        return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+
+    /**
+     * Exporta a tabela atual no formato informado
+     * @param {string} format - csv, json ou xlsx
+     * @returns {Promise<Object>} { content, contentType, filename, total }
+     */
+    async exportTable(format = 'csv') {
+        const config = EXPORT_FORMATS[format];
+
+        if (!config) {
+            throw new Error(`Formato de exportação inválido: ${format}`);
+        }
+
+        const peliculas = await this.loadPeliculas();
+        let content;
+
+        if (format === 'json') {
+            content = this.toJSON(peliculas);
+        } else if (format === 'xlsx') {
+            content = this.toXLSX(peliculas);
+        } else {
+            content = this.toCSV(peliculas);
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+
+        return {
+            content,
+            contentType: config.contentType,
+            filename: `peliculas-${date}.${config.extension}`,
+            total: peliculas.length
+        };
+    }
+}
+
+PeliculaExporter.EXPORT_FORMATS = Object.keys(EXPORT_FORMATS);
+
+module.exports = PeliculaExporter;
@@ -0,0 +1,223 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Pelicula = require('../models/Pelicula');
+const SnapshotManager = require('./snapshotManager');
+const HtmlSanitizer = require('./htmlSanitizer');
+const { removeDuplicates, planImport, buildDiff } = require('./peliculaDiff');
+const { TIPOS, DEFAULT_TIPO } = require('./peliculaTipos');
+
+/**
+ * Modos de importação suportados
+ * - replace: os tipos de película do arquivo passam a refletir exatamente o arquivo
+ *   (remove o que não estiver nele; linhas de outros tipos não são tocadas)
+ * - merge: insere modelos novos e atualiza os existentes, sem remover nada
+ * - append: insere apenas modelos novos, ignorando os que já existem
+ * - delete: remove os modelos listados no arquivo
+ */
+const IMPORT_MODES = ['replace', 'merge', 'append', 'delete'];
+
+const snapshotManager = new SnapshotManager();
+
+/**
+ * Importador de películas para o banco de dados
+ * Compara os registros processados pelo CSVParser com a tabela atual
+ * e aplica somente as alterações necessárias, preservando id e created_at
+ */
+class PeliculaImporter {
+    constructor() {
+        this.htmlSanitizer = new HtmlSanitizer();
+    }
+
+    /**
+     * Sanitiza o HTML personalizado dos registros do arquivo
+     * @param {Array} peliculasData - Registros processados do CSV
+     * @returns {Object} { records, htmlReport: [{ modelo, removed, rejected }] }
+     */
+    sanitizeRecords(peliculasData) {
+        const htmlReport = [];
+
+        const records = peliculasData.map(record => {
+            if (!record.html_content) {
+                return record;
+            }
+
+            const result = this.htmlSanitizer.sanitize(record.html_content);
+            if (result.removed.length > 0) {
+                htmlReport.push({
+                    modelo: record.modelo,
+                    removed: result.removed,
+                    rejected: result.html === null
+                });
+            }
+
+            const sanitized = { ...record };
+            if (result.html) {
+                sanitized.html_content = result.html;
+            } else {
+                delete sanitized.html_content;
+            }
+            return sanitized;
+        });
+
+        return { records, htmlReport };
+    }
+
+    /**
+     * Define o tipo de película dos registros que não trazem a coluna de tipo
+     * @param {Array} records - Registros do arquivo
+     * @param {string} tipo - Tipo escolhido na importação (padrão 3D)
+     * @returns {Object} { records, tipos: tipos presentes no arquivo }
+     */
+    applyTipo(records, tipo) {
+        const defaultTipo = tipo || DEFAULT_TIPO;
+
+        if (!TIPOS[defaultTipo]) {
+            throw new Error(`Tipo de película inválido: ${tipo}`);
+        }
+
+        const typed = records.map(record => (record.tipo ? record : { ...record, tipo: defaultTipo }));
+        return { records: typed, tipos: Array.from(new Set(typed.map(record => record.tipo))) };
+    }
+
+    /**
+     * Compara o arquivo com a tabela atual sem alterar nada no banco
+     * @param {Array} peliculasData - Registros processados do CSV
+     * @param {Object} options - { mode, tipo: tipo dos registros sem a coluna de tipo }
+     * @returns {Promise<Object>} Diff estruturado com modelos adicionados, removidos, alterados e trocas VIP/free
+     */
+    async previewData(peliculasData, options = {}) {
+        const mode = options.mode || 'replace';
+
+        if (!IMPORT_MODES.includes(mode)) {
+            throw new Error(`Modo de importação inválido: ${mode}`);
+        }
+
+        const { records, htmlReport } = this.sanitizeRecords(peliculasData);
+        const { records: typed, tipos } = this.applyTipo(records, options.tipo);
+        const { unique, duplicatesSkipped } = removeDuplicates(typed);
+        const existingPeliculas = await Pelicula.findAll({ order: [['modelo', 'ASC']] });
+        const plan = planImport(existingPeliculas, unique, mode, { tipos });
+        const diff = buildDiff(existingPeliculas, plan);
+
+        diff.mode = mode;
+        diff.tipos = tipos;
+        diff.summary.totalProcessed = peliculasData.length;
+        diff.summary.duplicatesSkipped = duplicatesSkipped;
+        diff.htmlReport = htmlReport;
+
+        return diff;
+    }
+
+    /**
+     * Importa os registros no banco usando o modo informado, dentro de uma transação
+     * @param {Array} peliculasData - Registros processados do CSV
+     * @param {Object} options - { mode, tipo, user, filename }
+     * @returns {Promise<Object>} Resumo com inserted, updated, unchanged, removed e a versão gerada
+     */
+    async importData(peliculasData, options = {}) {
+        const mode = options.mode || 'replace';
+
+        if (!IMPORT_MODES.includes(mode)) {
+            throw new Error(`Modo de importação inválido: ${mode}`);
+        }
+
+        const { records, htmlReport } = this.sanitizeRecords(peliculasData);
+        const { records: typed, tipos } = this.applyTipo(records, options.tipo);
+        const { unique, duplicatesSkipped } = removeDuplicates(typed);
+
+        const summary = {
+            mode,
+            tipos,
+            totalProcessed: peliculasData.length,
+            duplicatesSkipped,
+            htmlReport,
+            inserted: 0,
+            updated: 0,
+            unchanged: 0,
+            removed: 0,
+            peliculas: []
+        };
+
+        // Contexto registrado na auditoria de cada alteração
+        const audit = { source: 'csv-import', user: options.user };
+
+        const transaction = await sequelize.transaction();
+        try {
+            const existingPeliculas = await Pelicula.findAll({ transaction });
+
+            // Guardar o estado anterior caso ainda não exista nenhuma versão
+            await snapshotManager.ensureBaseline(transaction);
+
+            const plan = planImport(existingPeliculas, unique, mode, { tipos });
+
+            for (const { existing, changes } of plan.toUpdate) {
+                await existing.update(changes, { transaction, audit });
+            }
+
+            if (plan.toInsert.length > 0) {
+                const insertedPeliculas = await Pelicula.bulkCreate(plan.toInsert, {
+                    transaction,
+                    audit,
+                    validate: true,
+                    returning: true
+                });
+                summary.peliculas = insertedPeliculas.slice(0, 10).map(p =>
+                    typeof p.get === 'function' ? p.get({ plain: true }) : p
+                );
+            }
+
+            summary.removed = await this.destroyByIds(plan.toRemove.map(p => p.id), transaction, audit);
+            summary.inserted = plan.toInsert.length;
+            summary.updated = plan.toUpdate.length;
+            summary.unchanged = plan.unchanged.length;
+
+            // Registrar a nova versão da tabela
+            const snapshot = await snapshotManager.createSnapshot({
+                transaction,
+                source: 'csv-import',
+                mode,
+                filename: options.filename,
+                user: options.user,
+                counts: {
+                    totalProcessed: summary.totalProcessed,
+                    inserted: summary.inserted,
+                    updated: summary.updated,
+                    unchanged: summary.unchanged,
+                    removed: summary.removed,
+                    duplicatesSkipped: summary.duplicatesSkipped
+                }
+            });
+            summary.snapshotId = snapshot.id;
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Remove películas pelos ids informados
+     * @param {Array<number>} ids - Ids a remover
+     * @param {Object} transaction - Transação do Sequelize
+     * @param {Object} audit - Contexto da auditoria ({ source, user })
+     * @returns {Promise<number>} Quantidade removida
+     */
+    async destroyByIds(ids, transaction, audit) {
+        if (ids.length === 0) {
+            return 0;
+        }
+
+        return Pelicula.destroy({
+            where: { id: { [Op.in]: ids } },
+            transaction,
+            audit
+        });
+    }
+}
+
+PeliculaImporter.IMPORT_MODES = IMPORT_MODES;
+
+module.exports = PeliculaImporter;
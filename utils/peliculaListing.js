@@ -0,0 +1,264 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Pelicula = require('../models/Pelicula');
+const { normalizeTipo, listTipos } = require('./peliculaTipos');
+
+// Campos aceitos na ordenação; o id desempata para a paginação ser estável
+const SORT_FIELDS = ['modelo', 'created_at', 'updated_at'];
+const SORT_ORDERS = ['asc', 'desc'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Campos com contagens por faceta
+const FACET_FIELDS = ['marca', 'tipo', 'vip'];
+
+// A vitrine mostra poucos modelos sorteados a cada acesso
+const VITRINE_LIMIT = 8;
+const MAX_VITRINE_LIMIT = 24;
+
+/**
+ * Erro de parâmetro inválido na listagem
+ * Carrega o status HTTP que a rota deve devolver
+ */
+class ListingError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ListingError';
+        this.status = status;
+    }
+}
+
+/**
+ * Converte um parâmetro de query em booleano
+ * @param {string} value - Valor recebido
+ * @param {string} name - Nome do parâmetro (para a mensagem de erro)
+ * @returns {boolean|null} Valor ou null se não informado
+ */
+function parseBoolean(value, name) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    if (value === 'true' || value === '1') {
+        return true;
+    }
+    if (value === 'false' || value === '0') {
+        return false;
+    }
+    throw new ListingError(`Parâmetro "${name}" deve ser true ou false`);
+}
+
+/**
+ * Listagem paginada das películas
+ * Ordenação por modelo ou datas, filtros por VIP, compatível, marca, tipo, HTML personalizado
+ * e data de atualização, com contagens por faceta. A vitrine (modelos sorteados)
+ * continua disponível à parte
+ */
+class PeliculaListing {
+    /**
+     * Valida os parâmetros da listagem
+     * @param {Object} query - Query string (sort, order, limit, offset, vip, compativel, marca, tipo, has_html)
+     * @returns {Object} Opções normalizadas para list()
+     */
+    parse(query = {}) {
+        const sort = query.sort || 'modelo';
+        if (!SORT_FIELDS.includes(sort)) {
+            throw new ListingError(`Ordenação inválida. Use: ${SORT_FIELDS.join(', ')}`);
+        }
+
+        const order = String(query.order || (sort === 'modelo' ? 'asc' : 'desc')).toLowerCase();
+        if (!SORT_ORDERS.includes(order)) {
+            throw new ListingError(`Direção inválida. Use: ${SORT_ORDERS.join(', ')}`);
+        }
+
+        const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+        if (Number.isNaN(limit) || limit <= 0) {
+            throw new ListingError('Parâmetro "limit" deve ser um número positivo');
+        }
+
+        const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+        if (Number.isNaN(offset) || offset < 0) {
+            throw new ListingError('Parâmetro "offset" deve ser zero ou positivo');
+        }
+
+        let tipo = null;
+        if (query.tipo) {
+            tipo = normalizeTipo(query.tipo);
+            if (!tipo) {
+                throw new ListingError(`Tipo de película inválido: ${query.tipo}`);
+            }
+        }
+
+        return {
+            sort,
+            order,
+            limit: Math.min(limit, MAX_LIMIT),
+            offset,
+            filters: {
+                vip: parseBoolean(query.vip, 'vip'),
+                compativel: parseBoolean(query.compativel, 'compativel'),
+                marca: query.marca ? String(query.marca).trim() : null,
+                tipo,
+                hasHtml: parseBoolean(query.has_html, 'has_html'),
+                updatedSince: query.updatedSince || null
+            }
+        };
+    }
+
+    /**
+     * Monta as condições do where a partir dos filtros
+     * @param {Object} filters - Filtros normalizados por parse()
+     * @param {string|null} except - Filtro ignorado (usado nas contagens por faceta)
+     * @returns {Array} Condições combinadas com AND
+     */
+    buildConditions(filters, except = null) {
+        const conditions = [];
+
+        if (filters.vip !== null && except !== 'vip') {
+            conditions.push({ vip: filters.vip });
+        }
+
+        if (filters.tipo && except !== 'tipo') {
+            conditions.push({ tipo: filters.tipo });
+        }
+
+        if (filters.compativel !== null) {
+            conditions.push({ compativel: filters.compativel });
+        }
+
+        if (filters.marca && except !== 'marca') {
+            conditions.push(sequelize.where(
+                sequelize.fn('UPPER', sequelize.col('marca')),
+                filters.marca.toUpperCase()
+            ));
+        }
+
+        if (filters.hasHtml === true) {
+            conditions.push({ html_content: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] } });
+        } else if (filters.hasHtml === false) {
+            conditions.push({ [Op.or]: [{ html_content: null }, { html_content: '' }] });
+        }
+
+        if (filters.updatedSince) {
+            conditions.push({ updated_at: { [Op.gte]: filters.updatedSince } });
+        }
+
+        return conditions;
+    }
+
+    /**
+     * Lista uma página de películas
+     * @param {Object} options - Opções retornadas por parse()
+     * @returns {Promise<Object>} { rows, total, limit, offset, hasMore, facets }
+     */
+    async list(options) {
+        const [{ rows, count }, facets] = await Promise.all([
+            Pelicula.findAndCountAll({
+                where: { [Op.and]: this.buildConditions(options.filters) },
+                order: [[options.sort, options.order.toUpperCase()], ['id', 'ASC']],
+                limit: options.limit,
+                offset: options.offset
+            }),
+            this.facets(options.filters)
+        ]);
+
+        return {
+            rows,
+            total: count,
+            limit: options.limit,
+            offset: options.offset,
+            hasMore: options.offset + rows.length < count,
+            facets
+        };
+    }
+
+    /**
+     * Contagens por marca, tipo e VIP/free
+     * Cada faceta considera os demais filtros, mas não o seu próprio, para que
+     * as outras opções continuem visíveis depois de escolher uma
+     * @param {Object} filters - Filtros normalizados por parse()
+     * @returns {Promise<Object>} { marca: [{ value, total }], tipo: [{ value, label, total }], vip: { true, false } }
+     */
+    async facets(filters) {
+        const counts = await Promise.all(FACET_FIELDS.map(async field => {
+            const rows = await Pelicula.findAll({
+                attributes: [field, [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+                where: { [Op.and]: this.buildConditions(filters, field) },
+                group: [field],
+                raw: true
+            });
+            return rows.map(row => ({ value: row[field], total: Number(row.total) }));
+        }));
+
+        return this.formatFacets(counts);
+    }
+
+    /**
+     * Contagens por faceta de uma lista já carregada (resultados da busca)
+     * @param {Array} peliculas - Películas
+     * @returns {Object} Mesmo formato de facets()
+     */
+    countFacets(peliculas) {
+        return this.formatFacets(FACET_FIELDS.map(field => {
+            const totals = new Map();
+            peliculas.forEach(pelicula => {
+                const value = pelicula[field] === undefined ? null : pelicula[field];
+                totals.set(value, (totals.get(value) || 0) + 1);
+            });
+            return Array.from(totals, ([value, total]) => ({ value, total }));
+        }));
+    }
+
+    /**
+     * Monta a resposta das facetas
+     * Modelos sem marca ficam de fora da faceta de marca (não há filtro para eles)
+     * @param {Array} counts - Contagens [{ value, total }] na ordem de FACET_FIELDS
+     * @returns {Object} { marca, tipo, vip }
+     */
+    formatFacets([marcas, tipos, vips]) {
+        const vip = { true: 0, false: 0 };
+        vips.forEach(({ value, total }) => {
+            vip[Boolean(value)] += total;
+        });
+
+        return {
+            marca: marcas
+                .filter(({ value }) => value)
+                .sort((a, b) => b.total - a.total || a.value.localeCompare(b.value)),
+            tipo: listTipos()
+                .map(({ value, label }) => ({
+                    value,
+                    label,
+                    total: tipos.filter(item => item.value === value).reduce((sum, item) => sum + item.total, 0)
+                })),
+            vip
+        };
+    }
+
+    /**
+     * Sorteia películas para a vitrine
+     * @param {number|string} limit - Quantidade de modelos (padrão 8)
+     * @param {string|null} tipo - Sortear apenas películas deste tipo
+     * @returns {Promise<Object>} { rows, total }
+     */
+    async vitrine(limit, tipo = null) {
+        let parsedLimit = parseInt(limit, 10);
+        if (Number.isNaN(parsedLimit) || parsedLimit <= 0) {
+            parsedLimit = VITRINE_LIMIT;
+        }
+        parsedLimit = Math.min(parsedLimit, MAX_VITRINE_LIMIT);
+
+        const where = tipo ? { tipo } : {};
+        const [rows, total] = await Promise.all([
+            Pelicula.findAll({ where, order: sequelize.random(), limit: parsedLimit }),
+            Pelicula.count({ where })
+        ]);
+
+        return { rows, total };
+    }
+}
+
+PeliculaListing.ListingError = ListingError;
+PeliculaListing.SORT_FIELDS = SORT_FIELDS;
+PeliculaListing.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = PeliculaListing;
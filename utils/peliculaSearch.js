@@ -0,0 +1,584 @@
+const Fuse = require('fuse.js');
+const SearchNormalizer = require('./searchNormalizer');
+
+// Termos menores que isso não são buscados
+const MIN_SEARCH_LENGTH = 3;
+
+// Níveis de relevância da comparação por tokens (menor = mais relevante)
+const MATCH_EXACT = 0;
+const MATCH_PREFIX = 1;
+const MATCH_SEQUENCE = 2;
+const MATCH_ALL_TOKENS = 3;
+const MATCH_PARTIAL = 4;
+
+// Opções do Fuse.js usadas para corrigir palavras digitadas com erro
+const FUSE_OPTIONS = {
+    threshold: 0.34, // Aceita cerca de uma letra errada a cada três
+    includeScore: true,
+    ignoreLocation: true,
+    shouldSort: true
+};
+
+// Correção mais tolerante, usada somente nas sugestões "você quis dizer"
+const LOOSE_FUSE_OPTIONS = { ...FUSE_OPTIONS, threshold: 0.5 };
+
+// Peso de cada forma de casar uma palavra nas sugestões (a nota final vai de 0 a 1)
+const WEIGHT_EXACT = 1;
+const WEIGHT_PREFIX = 0.8;
+const WEIGHT_FUZZY = 0.6;
+// Desconto por palavra do modelo que não está no termo ("g64" prefere "G64" a "G64 5G")
+const EXTRA_TOKEN_PENALTY = 0.05;
+
+/**
+ * Índice de busca das películas
+ * Compara os tokens normalizados do termo com os de cada modelo (exato, início,
+ * sequência, todos os tokens, última palavra incompleta). Um índice invertido
+ * (token → itens) limita a comparação aos itens que têm os tokens do termo, para que
+ * a busca não percorra a tabela. Quando nada é encontrado, as palavras desconhecidas
+ * são corrigidas pela busca aproximada do Fuse.js sobre o vocabulário da tabela
+ * ("nte" → "note"); números nunca são corrigidos, para não trocar "13" por "14".
+ * A comparação aproximada fica no vocabulário, e não nos nomes inteiros, para manter
+ * a latência com milhares de modelos.
+ * Um termo só com a marca ("motorola") lista os modelos da marca.
+ * A busca reversa aplica as regras exatas aos nomes da lista de compatibilidade.
+ * Quando nem a correção encontra nada, didYouMean() sugere modelos parecidos
+ */
+class PeliculaSearch {
+    /**
+     * @param {Array} peliculas - Películas a indexar
+     * @param {Object} options - { normalizer: SearchNormalizer com os apelidos cadastrados }
+     */
+    constructor(peliculas, options = {}) {
+        this.normalizer = options.normalizer || new SearchNormalizer();
+        this.entries = peliculas.map(pelicula => this.createEntry(pelicula, pelicula.modelo, pelicula.marca));
+        this.postings = this.buildPostings(this.entries);
+        // Tokens em ordem alfabética, para achar as palavras incompletas
+        this.sortedTokens = Array.from(this.postings.keys()).sort();
+
+        // Um item por nome compatível; modelos VIP não exibem compatibilidade
+        this.compatibleEntries = [];
+        peliculas.forEach(pelicula => {
+            if (pelicula.vip) {
+                return;
+            }
+            (pelicula.compatibilidade || []).forEach(name => {
+                this.compatibleEntries.push(this.createEntry(pelicula, name));
+            });
+        });
+        this.compatiblePostings = this.buildPostings(this.compatibleEntries);
+
+        // Vocabulário das palavras (tokens com letras) dos modelos, usado na correção
+        this.words = Array.from(this.postings.keys()).filter(token => this.isCorrectable(token));
+        this.vocabulary = new Fuse(this.words, FUSE_OPTIONS);
+        this.looseVocabulary = new Fuse(this.words, LOOSE_FUSE_OPTIONS);
+    }
+
+    /**
+     * Monta um item do índice
+     * A marca vem do início do nome, da marca gravada ou da linha de produto ("POCO" → Xiaomi)
+     * @param {Object} pelicula - Película
+     * @param {string} name - Nome indexado (modelo ou nome compatível)
+     * @param {string|null} marca - Marca gravada (somente para o modelo da própria película)
+     * @returns {Object} { pelicula, original, brand, tokens, key, name }
+     */
+    createEntry(pelicula, name, marca = null) {
+        const normalized = this.normalizer.normalize(name, { aliases: false });
+        return {
+            pelicula,
+            original: name,
+            brand: normalized.brand || this.normalizer.brandKey(marca) || this.normalizer.detectBrand(name),
+            tokens: normalized.tokens,
+            key: normalized.key,
+            name: String(name || '').toLowerCase()
+        };
+    }
+
+    /**
+     * Monta o índice invertido dos itens
+     * @param {Array} entries - Itens do índice
+     * @returns {Map<string, Array>} Token → itens que contêm o token
+     */
+    buildPostings(entries) {
+        const postings = new Map();
+
+        entries.forEach(entry => {
+            new Set(entry.tokens).forEach(token => {
+                if (!postings.has(token)) {
+                    postings.set(token, []);
+                }
+                postings.get(token).push(entry);
+            });
+        });
+
+        return postings;
+    }
+
+    /**
+     * Indica se o token pode ser corrigido (palavras com 3 letras ou mais)
+     * Palavras de marca nunca são corrigidas: "realme" não pode virar "redmi"
+     * @param {string} token - Token
+     * @returns {boolean} True se pode ser corrigido
+     */
+    isCorrectable(token) {
+        return token.length >= MIN_SEARCH_LENGTH && /^[a-z]+$/.test(token) && !SearchNormalizer.BRANDS[token];
+    }
+
+    /**
+     * Itens que podem corresponder ao termo: os da lista do token mais raro do termo
+     * @param {Map} postings - Índice invertido
+     * @param {Array<string>} tokens - Tokens do termo
+     * @returns {Array} Itens candidatos
+     */
+    candidates(postings, tokens) {
+        let smallest = null;
+
+        for (const token of tokens) {
+            const list = postings.get(token);
+            if (!list) {
+                return [];
+            }
+            if (!smallest || list.length < smallest.length) {
+                smallest = list;
+            }
+        }
+
+        return smallest || [];
+    }
+
+    /**
+     * Indica se o token começa um código de modelo: uma ou duas letras seguidas de número ("g 6", "sm 23")
+     * @param {Array<string>} tokens - Tokens
+     * @param {number} index - Posição do token
+     * @returns {boolean} True se o token e o seguinte formam um código de modelo
+     */
+    isModelCode(tokens, index) {
+        return /^[a-z]{1,2}$/.test(tokens[index]) && /^\d+$/.test(tokens[index + 1] || '');
+    }
+
+    /**
+     * Indica se o item tem todos os tokens do termo, em qualquer ordem. Os códigos de modelo
+     * precisam aparecer juntos e na mesma ordem: "g 6" não casa com "M6 PRO 5G"
+     * @param {Array<string>} tokens - Tokens do termo
+     * @param {Object} entry - Item do índice
+     * @param {boolean} partial - Aceitar a última palavra incompleta ("redmi no" → "note")
+     * @returns {boolean} True se o item contém os tokens
+     */
+    containsTokens(tokens, entry, partial = false) {
+        const last = tokens.length - 1;
+        const matches = (candidate, index) => candidate === tokens[index] ||
+            (partial && index === last && candidate.startsWith(tokens[index]));
+
+        return tokens.every((token, index) => entry.tokens.some((candidate, position) =>
+            matches(candidate, index) &&
+            (!this.isModelCode(tokens, index) || matches(entry.tokens[position + 1] || '', index + 1))
+        ));
+    }
+
+    /**
+     * Indica se o item é de outra marca que a informada no termo
+     * Itens sem marca reconhecida não conflitam
+     * @param {string|null} brand - Marca do termo
+     * @param {Object} entry - Item do índice
+     * @returns {boolean} True se as marcas são diferentes
+     */
+    brandConflict(brand, entry) {
+        return Boolean(brand && entry.brand && brand !== entry.brand);
+    }
+
+    /**
+     * Tokens dos modelos que começam pelo prefixo, por busca binária na lista ordenada
+     * @param {string} prefix - Início da palavra
+     * @returns {Array<string>} Tokens
+     */
+    tokensWithPrefix(prefix) {
+        let low = 0;
+        let high = this.sortedTokens.length;
+
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.sortedTokens[middle] < prefix) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const found = [];
+        for (let i = low; i < this.sortedTokens.length && this.sortedTokens[i].startsWith(prefix); i++) {
+            found.push(this.sortedTokens[i]);
+        }
+        return found;
+    }
+
+    /**
+     * Modelos que podem corresponder ao termo com a última palavra incompleta: a menor lista
+     * entre a dos tokens completos e a das palavras que começam pela última
+     * @param {Array<string>} tokens - Tokens do termo
+     * @returns {Array} Itens candidatos
+     */
+    partialCandidates(tokens) {
+        const lists = this.tokensWithPrefix(tokens[tokens.length - 1]).map(token => this.postings.get(token));
+        const complete = tokens.length > 1 ? this.candidates(this.postings, tokens.slice(0, -1)) : null;
+
+        if (complete && complete.length <= lists.reduce((total, list) => total + list.length, 0)) {
+            return complete;
+        }
+        return Array.from(new Set(lists.flat()));
+    }
+
+    /**
+     * Classifica a correspondência entre o termo e o item
+     * @param {Object} query - Termo normalizado ({ tokens, key })
+     * @param {Object} entry - Item do índice ({ tokens, key })
+     * @param {boolean} partial - Aceitar a última palavra incompleta
+     * @returns {number|null} Nível de relevância ou null se não corresponder
+     */
+    matchLevel(query, entry, partial = false) {
+        if (query.key === entry.key) {
+            return MATCH_EXACT;
+        }
+
+        if (entry.key.startsWith(`${query.key} `)) {
+            return MATCH_PREFIX;
+        }
+
+        if (` ${entry.key} `.includes(` ${query.key} `)) {
+            return MATCH_SEQUENCE;
+        }
+
+        if (this.containsTokens(query.tokens, entry)) {
+            return MATCH_ALL_TOKENS;
+        }
+
+        if (partial && this.containsTokens(query.tokens, entry, true)) {
+            return MATCH_PARTIAL;
+        }
+
+        return null;
+    }
+
+    /**
+     * Normaliza o termo digitado, descartando termos curtos demais
+     * @param {string} searchTerm - Termo digitado
+     * @returns {Object|null} Termo normalizado ou null se não deve ser buscado
+     */
+    parseQuery(searchTerm) {
+        if (searchTerm.trim().length < MIN_SEARCH_LENGTH) {
+            return null;
+        }
+
+        const query = this.normalizer.normalize(searchTerm);
+        if (query.tokens.length === 0) {
+            return null;
+        }
+
+        // Somente palavras de marca ("motorola", "samsung galaxy"): termo sem tokens, só com a marca
+        if (query.tokens.every(token => SearchNormalizer.BRANDS[token])) {
+            return { brand: query.brand || SearchNormalizer.BRANDS[query.tokens[0]], tokens: [], key: '' };
+        }
+
+        return query;
+    }
+
+    /**
+     * Corrige as palavras do termo que não existem na tabela
+     * @param {Object} query - Termo normalizado
+     * @returns {Object|null} Termo corrigido ou null se nada pôde ser corrigido
+     */
+    correctQuery(query) {
+        let changed = false;
+
+        const tokens = query.tokens.map(token => {
+            if (this.postings.has(token) || !this.isCorrectable(token)) {
+                return token;
+            }
+
+            const [best] = this.vocabulary.search(token, { limit: 1 });
+            if (best) {
+                changed = true;
+                return best.item;
+            }
+            return token;
+        });
+
+        return changed ? { ...query, tokens, key: tokens.join(' ') } : null;
+    }
+
+    /**
+     * Remove do termo as palavras de marca, em qualquer posição ("g64 motorola"), guardando a marca
+     * @param {Object} query - Termo normalizado
+     * @returns {Object|null} Termo sem as palavras de marca ou null se não sobrar nenhuma palavra
+     */
+    stripBrands(query) {
+        const brand = query.tokens.map(token => SearchNormalizer.BRANDS[token]).find(Boolean);
+        const tokens = query.tokens.filter(token => !SearchNormalizer.BRANDS[token]);
+        return tokens.length > 0 ? { brand: query.brand || brand || null, tokens, key: tokens.join(' ') } : null;
+    }
+
+    /**
+     * Palavras da tabela que podem corresponder a um token digitado, com o peso de cada uma:
+     * a própria palavra, as que começam por ela (a partir de 2 letras) e as parecidas pela
+     * correção tolerante. Números só valem exatos
+     * @param {string} token - Token digitado
+     * @returns {Map<string, number>} Palavra da tabela → peso
+     */
+    expandToken(token) {
+        const expanded = new Map();
+
+        if (this.postings.has(token)) {
+            expanded.set(token, WEIGHT_EXACT);
+        }
+        if (!/^[a-z]{2,}$/.test(token) || SearchNormalizer.BRANDS[token]) {
+            return expanded;
+        }
+
+        this.words.forEach(word => {
+            if (word !== token && word.startsWith(token)) {
+                expanded.set(word, WEIGHT_PREFIX);
+            }
+        });
+
+        if (!this.isCorrectable(token)) {
+            return expanded;
+        }
+
+        this.looseVocabulary.search(token, { limit: 3 }).forEach(({ item, score }) => {
+            if (!expanded.has(item)) {
+                expanded.set(item, WEIGHT_FUZZY * (1 - score));
+            }
+        });
+
+        return expanded;
+    }
+
+    /**
+     * Comparação solta: palavras em qualquer ordem, incompletas ou com erros maiores.
+     * Nos termos com três palavras ou mais, uma palavra (nunca um número) pode ficar sem par
+     * @param {Array<string>} tokens - Tokens do termo, sem a marca
+     * @param {Function|null} filter - Filtro das películas
+     * @param {string|null} brand - Marca do termo: modelos de outra marca não entram
+     * @returns {Array} [{ entry, score }]
+     */
+    looseMatches(tokens, filter, brand = null) {
+        const weights = new Map();
+
+        tokens.forEach((token, position) => {
+            this.expandToken(token).forEach((weight, word) => {
+                this.postings.get(word).forEach(entry => {
+                    if ((filter && !filter(entry.pelicula)) || this.brandConflict(brand, entry)) {
+                        return;
+                    }
+                    if (!weights.has(entry)) {
+                        weights.set(entry, new Array(tokens.length).fill(0));
+                    }
+                    const entryWeights = weights.get(entry);
+                    entryWeights[position] = Math.max(entryWeights[position], weight);
+                });
+            });
+        });
+
+        const allowedMissing = tokens.length >= 3 ? 1 : 0;
+        const matches = [];
+
+        weights.forEach((entryWeights, entry) => {
+            const missing = tokens.filter((token, position) => entryWeights[position] === 0);
+            if (missing.length > allowedMissing || missing.some(token => /^\d+$/.test(token))) {
+                return;
+            }
+
+            const matched = tokens.length - missing.length;
+            const score = entryWeights.reduce((sum, weight) => sum + weight, 0) / tokens.length -
+                EXTRA_TOKEN_PENALTY * Math.max(0, entry.tokens.length - matched);
+            matches.push({ entry, score });
+        });
+
+        return matches;
+    }
+
+    /**
+     * Sugestões "você quis dizer" para um termo que não encontrou nada
+     * Tenta o termo sem as palavras de marca (marca fora do lugar) e depois a comparação
+     * solta; cada modelo aparece uma vez, com o motivo da sugestão. Quando o termo informa
+     * a marca, só modelos dessa marca são sugeridos
+     * @param {string} searchTerm - Termo digitado
+     * @param {number} limit - Quantidade máxima de sugestões
+     * @param {Object} options - { filter }
+     * @returns {Array} [{ pelicula, reason: 'marca' | 'aproximado', score }] da mais parecida para a menos
+     */
+    didYouMean(searchTerm, limit = 3, options = {}) {
+        const query = searchTerm ? this.parseQuery(searchTerm) : null;
+        if (!query) {
+            return [];
+        }
+
+        const filter = options.filter || null;
+        const suggestions = new Map();
+        const add = (entry, reason, score) => {
+            const key = entry.name.trim();
+            const current = suggestions.get(key);
+            if (!current || score > current.score) {
+                suggestions.set(key, { entry, reason, score });
+            }
+        };
+
+        const stripped = this.stripBrands(query);
+        if (stripped && (query.brand || stripped.tokens.length < query.tokens.length)) {
+            this.rank(this.postings, stripped, limit, filter).forEach(entry => add(entry, 'marca', WEIGHT_EXACT));
+        }
+
+        const brand = stripped ? stripped.brand : query.brand;
+        this.looseMatches((stripped || query).tokens, filter, brand).forEach(({ entry, score }) => {
+            add(entry, 'aproximado', score);
+        });
+
+        return Array.from(suggestions.values())
+            .sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name))
+            .slice(0, limit)
+            .map(({ entry, reason, score }) => ({ pelicula: entry.pelicula, reason, score }));
+    }
+
+    /**
+     * Um item por película, na ordem recebida
+     * @param {Array} entries - Itens ordenados
+     * @param {number} limit - Quantidade máxima de itens
+     * @param {Set} seen - Películas que já estão nos resultados
+     * @returns {Array} Itens
+     */
+    unique(entries, limit, seen = new Set()) {
+        const results = [];
+
+        for (const entry of entries) {
+            if (results.length >= limit) {
+                break;
+            }
+            if (!seen.has(entry.pelicula)) {
+                seen.add(entry.pelicula);
+                results.push(entry);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Modelos de uma marca em ordem alfabética, para termos só com a marca
+     * @param {string} brand - Chave da marca
+     * @param {number} limit - Quantidade máxima de resultados
+     * @param {Function|null} filter - Filtro das películas
+     * @returns {Array} Itens
+     */
+    listBrand(brand, limit, filter = null) {
+        const entries = this.entries
+            .filter(entry => entry.brand === brand && (!filter || filter(entry.pelicula)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        return this.unique(entries, limit);
+    }
+
+    /**
+     * Ordena os itens que correspondem ao termo, mantendo um resultado por película
+     * @param {Map} postings - Índice invertido dos itens
+     * @param {Object} query - Termo normalizado
+     * @param {number} limit - Quantidade máxima de resultados
+     * @param {Function|null} filter - Filtro opcional aplicado às películas (ex.: somente VIP)
+     * @param {Object} options - { partial: aceitar a última palavra incompleta }
+     * @returns {Array} Itens do mais relevante para o menos relevante
+     */
+    rank(postings, query, limit, filter = null, options = {}) {
+        const ranked = [];
+        // A última palavra incompleta só vale na busca por modelo (não na busca reversa)
+        const candidates = options.partial
+            ? this.partialCandidates(query.tokens)
+            : this.candidates(postings, query.tokens);
+
+        candidates.forEach(entry => {
+            if (filter && !filter(entry.pelicula)) {
+                return;
+            }
+
+            // Quando o termo informa a marca, modelos de outra marca não entram
+            if (this.brandConflict(query.brand, entry)) {
+                return;
+            }
+
+            const level = this.matchLevel(query, entry, options.partial);
+            if (level !== null) {
+                ranked.push({ entry, level, extra: entry.tokens.length - query.tokens.length });
+            }
+        });
+
+        ranked.sort((a, b) =>
+            a.level - b.level ||
+            a.extra - b.extra ||
+            a.entry.name.localeCompare(b.entry.name)
+        );
+
+        return this.unique(ranked.map(({ entry }) => entry), limit);
+    }
+
+    /**
+     * Busca películas pelo modelo
+     * @param {string} searchTerm - Termo digitado
+     * @param {number} limit - Quantidade máxima de resultados
+     * @param {Object} options - { filter: função que recebe a película e diz se ela pode aparecer }
+     * @returns {Array} Películas da mais relevante para a menos relevante
+     */
+    search(searchTerm, limit = 5, options = {}) {
+        const filter = options.filter || null;
+
+        if (!searchTerm || searchTerm.trim() === '') {
+            return this.entries
+                .filter(entry => !filter || filter(entry.pelicula))
+                .slice(0, limit)
+                .map(entry => entry.pelicula);
+        }
+
+        const query = this.parseQuery(searchTerm);
+        if (!query) {
+            return [];
+        }
+
+        if (query.tokens.length === 0) {
+            return this.listBrand(query.brand, limit, filter).map(entry => entry.pelicula);
+        }
+
+        let results = this.rank(this.postings, query, limit, filter, { partial: true });
+
+        if (results.length === 0) {
+            const corrected = this.correctQuery(query);
+            if (corrected) {
+                results = this.rank(this.postings, corrected, limit, filter, { partial: true });
+            }
+        }
+
+        return results.map(entry => entry.pelicula);
+    }
+
+    /**
+     * Busca reversa: películas que servem no aparelho informado, pela lista de compatibilidade
+     * Sem correção de digitação: "G8 Play" não pode indicar a película do "G9 Play"
+     * @param {string} searchTerm - Aparelho digitado
+     * @param {number} limit - Quantidade máxima de resultados
+     * @param {Object} options - { filter }
+     * @returns {Array} [{ pelicula, matched: nome compatível encontrado }]
+     */
+    searchCompatible(searchTerm, limit = 5, options = {}) {
+        if (!searchTerm) {
+            return [];
+        }
+
+        const query = this.parseQuery(searchTerm);
+        if (!query) {
+            return [];
+        }
+
+        return this.rank(this.compatiblePostings, query, limit, options.filter || null).map(entry => ({
+            pelicula: entry.pelicula,
+            matched: entry.original
+        }));
+    }
+}
+
+PeliculaSearch.MIN_SEARCH_LENGTH = MIN_SEARCH_LENGTH;
+
+module.exports = PeliculaSearch;
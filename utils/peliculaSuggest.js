@@ -0,0 +1,213 @@
+// Quantidade padrão e máxima de sugestões
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+// Palavras dos nomes: letras e números
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Simplifica o texto para comparar prefixos: minúsculas e sem acentos
+ * @param {string} text - Texto
+ * @returns {string} Texto simplificado
+ */
+function fold(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Palavras de um nome com a posição no texto original
+ * Além de cada palavra, o trecho numérico depois das letras também é um início de palavra,
+ * para que "64" encontre "G64"
+ * @param {string} label - Nome exibido
+ * @returns {Array} [{ text: palavra simplificada, start, end (exclusivo), group: início da palavra inteira, sameLength }]
+ */
+function splitWords(label) {
+    const words = [];
+
+    for (const match of String(label).matchAll(WORD_PATTERN)) {
+        const text = fold(match[0]);
+        const start = match.index;
+        // Com letras que mudam de tamanho ao simplificar, o destaque cobre a palavra inteira
+        const sameLength = text.length === match[0].length;
+        const end = start + match[0].length;
+
+        words.push({ text, start, end, group: start, sameLength });
+
+        const digits = sameLength ? text.search(/(?<=[a-z])\d/) : -1;
+        if (digits > 0) {
+            words.push({ text: text.slice(digits), start: start + digits, end, group: start, sameLength });
+        }
+    }
+
+    return words;
+}
+
+/**
+ * Sugestões da caixa de busca (autocompletar)
+ * Um índice de prefixos (lista ordenada das palavras dos nomes dos modelos e dos apelidos,
+ * consultada por busca binária) encontra os nomes a partir do primeiro caractere. Cada
+ * palavra digitada precisa ser o início de uma palavra diferente do nome; as sugestões
+ * trazem os trechos encontrados para o destaque
+ */
+class PeliculaSuggest {
+    /**
+     * @param {Array} peliculas - Películas
+     * @param {Object} options - { aliases: lista de { alias, target } }
+     */
+    constructor(peliculas, options = {}) {
+        this.items = [];
+
+        // Um item por nome de modelo, com as linhas de cada tipo
+        const models = new Map();
+        peliculas.forEach(pelicula => {
+            const key = fold(pelicula.modelo).trim();
+            if (!models.has(key)) {
+                const item = { kind: 'modelo', label: pelicula.modelo, rows: [] };
+                models.set(key, item);
+                this.items.push(item);
+            }
+            models.get(key).rows.push(pelicula);
+        });
+
+        (options.aliases || []).forEach(({ alias, target }) => {
+            this.items.push({ kind: 'apelido', label: alias, target, rows: [] });
+        });
+
+        // Índice de prefixos: palavras em ordem alfabética → item
+        this.words = [];
+        this.items.forEach((item, index) => {
+            item.words = splitWords(item.label);
+            item.words.forEach(word => {
+                this.words.push({ text: word.text, item: index });
+            });
+        });
+        this.words.sort((a, b) => (a.text < b.text ? -1 : a.text > b.text ? 1 : 0));
+    }
+
+    /**
+     * Posição da primeira palavra do índice maior ou igual ao prefixo
+     * @param {string} prefix - Prefixo simplificado
+     * @returns {number} Posição na lista ordenada
+     */
+    lowerBound(prefix) {
+        let low = 0;
+        let high = this.words.length;
+
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.words[middle].text < prefix) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Itens com alguma palavra começando pelo prefixo
+     * @param {string} prefix - Prefixo simplificado
+     * @returns {Set<number>} Posições dos itens
+     */
+    itemsWithPrefix(prefix) {
+        const found = new Set();
+
+        for (let i = this.lowerBound(prefix); i < this.words.length && this.words[i].text.startsWith(prefix); i++) {
+            found.add(this.words[i].item);
+        }
+
+        return found;
+    }
+
+    /**
+     * Associa cada palavra digitada a uma palavra diferente do nome
+     * @param {Object} item - Item do índice
+     * @param {Array<string>} tokens - Palavras digitadas
+     * @returns {Object|null} { ranges, first, exact } ou null se alguma palavra não casar
+     */
+    matchItem(item, tokens) {
+        const used = new Set();
+        const ranges = [];
+        let exact = 0;
+
+        // As palavras mais longas escolhem primeiro, para que "g" não ocupe a palavra de "galaxy"
+        const ordered = [...tokens].sort((a, b) => b.length - a.length);
+
+        for (const token of ordered) {
+            const free = item.words.filter(candidate => !used.has(candidate.group));
+            // Uma palavra igual à digitada tem preferência ("moto" destaca "MOTO", não "MOTOROLA")
+            const word = free.find(candidate => candidate.text === token) ||
+                free.find(candidate => candidate.text.startsWith(token));
+            if (!word) {
+                return null;
+            }
+
+            used.add(word.group);
+            if (word.text === token) {
+                exact++;
+            }
+            ranges.push(word.sameLength ? [word.start, word.start + token.length] : [word.start, word.end]);
+        }
+
+        ranges.sort((a, b) => a[0] - b[0]);
+        return { ranges, first: ranges[0][0] === item.words[0].start, exact };
+    }
+
+    /**
+     * Sugestões para o texto digitado
+     * @param {string} text - Texto digitado (a partir de 1 caractere)
+     * @param {Object} options - { tipo: somente modelos com película desse tipo, limit }
+     * @returns {Array} [{ kind, label, target, vip, tipos, ranges: [[início, fim exclusivo]] }]
+     */
+    suggest(text, options = {}) {
+        const tokens = fold(text).match(WORD_PATTERN) || [];
+        if (tokens.length === 0) {
+            return [];
+        }
+
+        const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+        // Candidatos: itens com a palavra digitada mais longa (a de lista menor, em geral)
+        const longest = tokens.reduce((a, b) => (b.length > a.length ? b : a));
+        const matches = [];
+
+        this.itemsWithPrefix(longest).forEach(index => {
+            const item = this.items[index];
+            const rows = options.tipo ? item.rows.filter(row => row.tipo === options.tipo) : item.rows;
+            if (item.kind === 'modelo' && rows.length === 0) {
+                return;
+            }
+
+            const match = this.matchItem(item, tokens);
+            if (match) {
+                matches.push({ item, rows, ...match });
+            }
+        });
+
+        // Começo do nome, mais palavras completas, nomes curtos e modelos antes de apelidos
+        matches.sort((a, b) =>
+            (b.first - a.first) ||
+            (b.exact - a.exact) ||
+            (a.item.label.length - b.item.label.length) ||
+            (a.item.kind === b.item.kind ? 0 : a.item.kind === 'modelo' ? -1 : 1) ||
+            a.item.label.localeCompare(b.item.label)
+        );
+
+        return matches.slice(0, limit).map(({ item, rows, ranges }) => ({
+            kind: item.kind,
+            label: item.label,
+            target: item.target || null,
+            vip: item.kind === 'modelo' ? rows.every(row => row.vip) : null,
+            tipos: Array.from(new Set(rows.map(row => row.tipo))),
+            ranges
+        }));
+    }
+}
+
+PeliculaSuggest.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = PeliculaSuggest;
@@ -0,0 +1,87 @@
+/**
+ * Tipos de película vendidos
+ * Cada modelo de celular pode ter uma linha por tipo, com a própria lista de compatibilidade
+ */
+
+// Chave gravada no banco → nome exibido
+const TIPOS = {
+    '3d': '3D',
+    privacidade: 'Privacidade',
+    ceramica: 'Cerâmica',
+    camera: 'Lente de câmera'
+};
+
+// Tipo das linhas anteriores aos tipos e das importações que não informam o tipo
+const DEFAULT_TIPO = '3d';
+
+// Outras grafias aceitas na importação (coluna de tipo ou nome da aba da planilha)
+const TIPO_ALIASES = {
+    vidro: '3d',
+    vidro3d: '3d',
+    pelicula3d: '3d',
+    privacy: 'privacidade',
+    privativa: 'privacidade',
+    ceramic: 'ceramica',
+    lente: 'camera',
+    lentedecamera: 'camera',
+    lentecamera: 'camera',
+    cameralens: 'camera'
+};
+
+/**
+ * Reduz o texto a letras e números, sem acentos, para comparar grafias
+ * @param {string} value - Texto
+ * @returns {string} Texto simplificado
+ */
+function simplify(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Converte o tipo informado (chave, nome ou grafia alternativa) na chave gravada
+ * @param {string} value - Tipo informado
+ * @returns {string|null} Chave do tipo ou null se não reconhecido
+ */
+function normalizeTipo(value) {
+    const text = simplify(value);
+
+    if (!text) {
+        return null;
+    }
+
+    if (TIPOS[text]) {
+        return text;
+    }
+
+    const byLabel = Object.keys(TIPOS).find(tipo => simplify(TIPOS[tipo]) === text);
+    return byLabel || TIPO_ALIASES[text] || null;
+}
+
+/**
+ * Nome exibido de um tipo
+ * @param {string} tipo - Chave do tipo
+ * @returns {string} Nome do tipo (a própria chave se desconhecida)
+ */
+function tipoLabel(tipo) {
+    return TIPOS[tipo] || tipo;
+}
+
+/**
+ * Lista os tipos para os seletores das telas
+ * @returns {Array} [{ value, label }]
+ */
+function listTipos() {
+    return Object.keys(TIPOS).map(value => ({ value, label: TIPOS[value] }));
+}
+
+module.exports = {
+    TIPOS,
+    DEFAULT_TIPO,
+    normalizeTipo,
+    tipoLabel,
+    listTipos
+};
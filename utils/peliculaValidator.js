@@ -0,0 +1,194 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Pelicula = require('../models/Pelicula');
+const CSVParser = require('./csvParser');
+const HtmlSanitizer = require('./htmlSanitizer');
+const BrandDictionary = require('./brandDictionary');
+const { modeloKey } = require('./peliculaDiff');
+const { TIPOS, DEFAULT_TIPO, normalizeTipo } = require('./peliculaTipos');
+
+const MAX_MODELO_LENGTH = 255;
+const MAX_COMPATIBILIDADE_ITEMS = 100;
+
+/**
+ * Validador dos dados de uma película enviados pela edição individual
+ * Garante as mesmas regras que a importação de CSV produz, para que a
+ * tabela continue podendo ser exportada e importada sem perdas
+ */
+class PeliculaValidator {
+    constructor() {
+        this.csvParser = new CSVParser();
+        this.htmlSanitizer = new HtmlSanitizer();
+        this.brandDictionary = new BrandDictionary();
+    }
+
+    /**
+     * Normaliza a lista de compatibilidade (array ou texto separado por " / ")
+     * @param {Array|string} value - Valor recebido
+     * @returns {Array|null} Lista de modelos ou null se o tipo for inválido
+     */
+    normalizeCompatibility(value) {
+        if (value === null || value === undefined || value === '') {
+            return [];
+        }
+
+        if (typeof value === 'string') {
+            return this.csvParser.parseCompatibility(value);
+        }
+
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+            return null;
+        }
+
+        // Espaços internos viram um só: na importação, dois espaços separam modelos
+        return value.map(item => item.trim().replace(/\s+/g, ' ')).filter(item => item.length > 0);
+    }
+
+    /**
+     * Valida e normaliza os campos recebidos
+     * @param {Object} input - Corpo da requisição
+     * @param {Object} options - { partial: aceitar campos ausentes (PATCH), current: película atual }
+     * @returns {Object} { errors, values, htmlRemoved } com os campos prontos para salvar
+     */
+    validate(input, options = {}) {
+        const { partial = false, current = null } = options;
+        const errors = [];
+        const values = {};
+        let htmlRemoved = [];
+        const body = input || {};
+
+        if (body.modelo !== undefined || !partial) {
+            const modelo = typeof body.modelo === 'string' ? body.modelo.trim() : '';
+            if (!modelo) {
+                errors.push({ field: 'modelo', message: 'Modelo é obrigatório' });
+            } else if (modelo.length > MAX_MODELO_LENGTH) {
+                errors.push({ field: 'modelo', message: `Modelo deve ter no máximo ${MAX_MODELO_LENGTH} caracteres` });
+            } else {
+                values.modelo = modelo;
+            }
+        }
+
+        if (body.tipo !== undefined) {
+            const tipo = normalizeTipo(body.tipo);
+            if (!tipo) {
+                errors.push({ field: 'tipo', message: `Tipo deve ser um destes: ${Object.values(TIPOS).join(', ')}` });
+            } else {
+                values.tipo = tipo;
+            }
+        } else if (!current && !partial) {
+            values.tipo = DEFAULT_TIPO;
+        }
+
+        // A marca é opcional mesmo no PUT: sem o campo, a marca atual é mantida
+        if (body.marca !== undefined) {
+            if (body.marca !== null && typeof body.marca !== 'string') {
+                errors.push({ field: 'marca', message: 'Marca deve ser texto' });
+            } else {
+                const marca = this.brandDictionary.normalize(body.marca);
+                if (marca && marca.length > BrandDictionary.MAX_MARCA_LENGTH) {
+                    errors.push({ field: 'marca', message: `Marca deve ter no máximo ${BrandDictionary.MAX_MARCA_LENGTH} caracteres` });
+                } else {
+                    values.marca = marca;
+                }
+            }
+        }
+
+        if (body.vip !== undefined || !partial) {
+            if (body.vip !== undefined && typeof body.vip !== 'boolean') {
+                errors.push({ field: 'vip', message: 'VIP deve ser verdadeiro ou falso' });
+            } else {
+                values.vip = Boolean(body.vip);
+            }
+        }
+
+        if (body.compatibilidade !== undefined || !partial) {
+            const compatibilidade = this.normalizeCompatibility(body.compatibilidade);
+
+            if (compatibilidade === null) {
+                errors.push({ field: 'compatibilidade', message: 'Compatibilidade deve ser uma lista de modelos' });
+            } else {
+                const seen = new Set();
+                compatibilidade.forEach(item => {
+                    const key = modeloKey(item);
+                    if (item.includes('/')) {
+                        errors.push({ field: 'compatibilidade', message: `"${item}" não pode conter "/"` });
+                    } else if (item.length > MAX_MODELO_LENGTH) {
+                        errors.push({ field: 'compatibilidade', message: `"${item.slice(0, 30)}..." é longo demais` });
+                    } else if (seen.has(key)) {
+                        errors.push({ field: 'compatibilidade', message: `"${item}" está repetido` });
+                    }
+                    seen.add(key);
+                });
+
+                if (compatibilidade.length > MAX_COMPATIBILIDADE_ITEMS) {
+                    errors.push({
+                        field: 'compatibilidade',
+                        message: `Compatibilidade aceita no máximo ${MAX_COMPATIBILIDADE_ITEMS} modelos`
+                    });
+                }
+
+                values.compatibilidade = compatibilidade;
+            }
+        }
+
+        if (body.html_content !== undefined || !partial) {
+            if (body.html_content !== undefined && body.html_content !== null && typeof body.html_content !== 'string') {
+                errors.push({ field: 'html_content', message: 'HTML deve ser texto' });
+            } else {
+                const sanitized = this.htmlSanitizer.sanitize(body.html_content ? body.html_content.trim() : null);
+                values.html_content = sanitized.html;
+                htmlRemoved = sanitized.removed;
+            }
+        }
+
+        // Regras que dependem da combinação dos campos
+        const currentPlain = current ? current.get({ plain: true }) : {};
+        const vip = values.vip !== undefined ? values.vip : Boolean(currentPlain.vip);
+        let compatibilidade = values.compatibilidade !== undefined
+            ? values.compatibilidade
+            : (currentPlain.compatibilidade || []);
+
+        if (vip) {
+            // Modelos VIP não exibem compatibilidade
+            compatibilidade = [];
+            if (values.compatibilidade !== undefined || values.vip !== undefined) {
+                values.compatibilidade = [];
+            }
+        } else if ((values.vip !== undefined || values.compatibilidade !== undefined) &&
+            compatibilidade.length === 0 &&
+            !errors.some(e => e.field === 'compatibilidade')) {
+            errors.push({
+                field: 'compatibilidade',
+                message: 'Informe ao menos um modelo compatível ou marque o modelo como VIP'
+            });
+        }
+
+        if (values.vip !== undefined || values.compatibilidade !== undefined) {
+            values.compativel = !vip && compatibilidade.length > 0;
+        }
+
+        return { errors, values, htmlRemoved };
+    }
+
+    /**
+     * Verifica se já existe outra película do mesmo tipo para o modelo (sem diferenciar maiúsculas)
+     * @param {string} modelo - Modelo a verificar
+     * @param {string} tipo - Tipo de película
+     * @param {number|null} excludeId - Id da película sendo editada
+     * @returns {Promise<Object|null>} Película conflitante ou null
+     */
+    async findDuplicate(modelo, tipo = DEFAULT_TIPO, excludeId = null) {
+        const conditions = [
+            sequelize.where(sequelize.fn('UPPER', sequelize.col('modelo')), modeloKey(modelo)),
+            { tipo }
+        ];
+
+        if (excludeId) {
+            conditions.push({ id: { [Op.ne]: excludeId } });
+        }
+
+        return Pelicula.findOne({ where: { [Op.and]: conditions } });
+    }
+}
+
+module.exports = PeliculaValidator;
@@ -0,0 +1,135 @@
+const SearchAlias = require('../models/SearchAlias');
+const SearchNormalizer = require('./searchNormalizer');
+
+const MAX_ALIAS_LENGTH = 100;
+const MAX_TARGET_LENGTH = 255;
+
+/**
+ * Erro de regra de negócio no cadastro de apelidos
+ * Carrega o status HTTP que a rota deve devolver
+ */
+class SearchAliasError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SearchAliasError';
+        this.status = status;
+    }
+}
+
+/**
+ * Cadastro de apelidos da busca (ex.: "zap" → "moto g64")
+ * Os apelidos alimentam o SearchNormalizer usado pelas rotas de busca
+ */
+class SearchAliasManager {
+    constructor() {
+        this.normalizer = new SearchNormalizer();
+    }
+
+    /**
+     * Valida e normaliza os campos do apelido
+     * @param {Object} data - { alias, target }
+     * @returns {Object} { alias, aliasKey, target }
+     */
+    validate({ alias, target }) {
+        const cleanAlias = typeof alias === 'string' ? alias.trim() : '';
+        const cleanTarget = typeof target === 'string' ? target.trim() : '';
+        const aliasKey = this.normalizer.tokenize(cleanAlias).join(' ');
+        const targetKey = this.normalizer.tokenize(cleanTarget).join(' ');
+
+        if (!aliasKey || cleanAlias.length > MAX_ALIAS_LENGTH) {
+            throw new SearchAliasError(`Apelido deve ter de 1 a ${MAX_ALIAS_LENGTH} caracteres com letras ou números`);
+        }
+
+        if (!targetKey || cleanTarget.length > MAX_TARGET_LENGTH) {
+            throw new SearchAliasError(`Termo de destino deve ter de 1 a ${MAX_TARGET_LENGTH} caracteres com letras ou números`);
+        }
+
+        if (aliasKey === targetKey) {
+            throw new SearchAliasError('Apelido e termo de destino são equivalentes');
+        }
+
+        return { alias: cleanAlias, aliasKey, target: cleanTarget };
+    }
+
+    /**
+     * Lista os apelidos cadastrados
+     * @returns {Promise<Array>} Apelidos em ordem alfabética
+     */
+    async listAliases() {
+        return SearchAlias.findAll({ order: [['alias_key', 'ASC']] });
+    }
+
+    /**
+     * Garante que nenhum outro apelido usa a mesma forma normalizada
+     * @param {string} aliasKey - Apelido normalizado
+     * @param {number|null} excludeId - Apelido sendo editado
+     */
+    async ensureUnique(aliasKey, excludeId = null) {
+        const existing = await SearchAlias.findOne({ where: { alias_key: aliasKey } });
+        if (existing && existing.id !== excludeId) {
+            throw new SearchAliasError(`Já existe o apelido "${existing.alias}"`, 409);
+        }
+    }
+
+    /**
+     * Cadastra um apelido
+     * @param {Object} data - { alias, target }
+     * @param {Object} actor - Usuário que executa a ação
+     * @returns {Promise<Object>} Apelido criado
+     */
+    async createAlias(data, actor = null) {
+        const values = this.validate(data);
+        await this.ensureUnique(values.aliasKey);
+
+        return SearchAlias.create({
+            alias: values.alias,
+            alias_key: values.aliasKey,
+            target: values.target,
+            created_by: actor ? actor.username : null
+        });
+    }
+
+    /**
+     * Altera um apelido
+     * @param {number} id - Id do apelido
+     * @param {Object} data - { alias, target }
+     * @returns {Promise<Object>} Apelido atualizado
+     */
+    async updateAlias(id, data) {
+        const searchAlias = await SearchAlias.findByPk(id);
+        if (!searchAlias) {
+            throw new SearchAliasError('Apelido não encontrado', 404);
+        }
+
+        const values = this.validate({
+            alias: data.alias !== undefined ? data.alias : searchAlias.alias,
+            target: data.target !== undefined ? data.target : searchAlias.target
+        });
+        await this.ensureUnique(values.aliasKey, searchAlias.id);
+
+        return searchAlias.update({
+            alias: values.alias,
+            alias_key: values.aliasKey,
+            target: values.target
+        });
+    }
+
+    /**
+     * Exclui um apelido
+     * @param {number} id - Id do apelido
+     * @returns {Promise<Object>} Apelido excluído
+     */
+    async deleteAlias(id) {
+        const searchAlias = await SearchAlias.findByPk(id);
+        if (!searchAlias) {
+            throw new SearchAliasError('Apelido não encontrado', 404);
+        }
+
+        await searchAlias.destroy();
+        return searchAlias;
+    }
+}
+
+SearchAliasManager.SearchAliasError = SearchAliasError;
+
+module.exports = SearchAliasManager;
@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const SearchStat = require('../models/SearchStat');
+
+// Espera antes de gravar as buscas acumuladas em memória
+const FLUSH_DELAY_MS = 30 * 1000;
+// Buscas do mesmo visitante que continuam o termo anterior dentro deste intervalo
+// (a página busca enquanto o cliente digita) contam como uma só, com o termo final
+const TYPING_WINDOW_MS = 5 * 1000;
+// Termos diferentes guardados em memória até a gravação; o excedente é descartado
+const MAX_PENDING = 5000;
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const MAX_RESULT_LENGTH = 255;
+// Valor de tipo das buscas sem filtro de tipo de película
+const ALL_TIPOS = 'todos';
+
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+// Dias mantidos no banco (SEARCH_STATS_RETENTION_DAYS)
+const RETENTION_DAYS = parseInt(process.env.SEARCH_STATS_RETENTION_DAYS, 10) || 365;
+
+// Relatórios: nome exibido, quais termos entram e por qual contagem são ordenados
+const REPORTS = {
+    top: { label: 'Mais buscados', count: 'searches' },
+    zero: { label: 'Buscas sem resultado', count: 'zero_results' },
+    vip: { label: 'Buscas que só encontram VIP', count: 'vip_only' }
+};
+
+// Colunas do CSV exportado
+const CSV_COLUMNS = [
+    ['query', 'termo'],
+    ['tipo', 'tipo'],
+    ['searches', 'buscas'],
+    ['zero_results', 'sem_resultado'],
+    ['vip_only', 'so_vip'],
+    ['avg_results', 'media_resultados'],
+    ['clicks', 'cliques'],
+    ['top_result', 'primeiro_resultado'],
+    ['clicked_result', 'ultimo_clique'],
+    ['first_day', 'primeiro_dia'],
+    ['last_day', 'ultimo_dia']
+];
+
+/**
+ * Erro nos parâmetros dos relatórios de busca
+ * Carrega o status HTTP que a rota deve devolver
+ */
+class SearchAnalyticsError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SearchAnalyticsError';
+        this.status = status;
+    }
+}
+
+/**
+ * Dia no formato AAAA-MM-DD, no fuso do servidor
+ * @param {Date} date - Data
+ * @returns {string} Dia
+ */
+function formatDay(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Simplifica o termo buscado antes de guardá-lo
+ * Termos que parecem dados pessoais (e-mail, telefone, CPF) não são registrados
+ * @param {string} text - Termo digitado
+ * @returns {string|null} Termo simplificado ou null se não deve ser registrado
+ */
+function normalizeQuery(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    if (text.includes('@') || /\d{8,}/.test(text.replace(/[\s().-]/g, ''))) {
+        return null;
+    }
+
+    const query = text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9+ ]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_QUERY_LENGTH)
+        .trim();
+
+    return query.length >= MIN_QUERY_LENGTH ? query : null;
+}
+
+/**
+ * Estatísticas das buscas da página pública
+ * Os termos são simplificados e somados por dia, sem IP, sessão ou usuário. As buscas ficam
+ * em memória e são gravadas em lote a cada FLUSH_DELAY_MS; o visitante é identificado só
+ * em memória, por um hash com sal aleatório, para juntar as buscas feitas durante a digitação
+ */
+class SearchAnalytics {
+    constructor() {
+        this.pending = new Map();
+        this.typing = new Map();
+        this.salt = crypto.randomBytes(16).toString('hex');
+        this.flushTimer = null;
+        this.flushing = null;
+        this.lastPrune = null;
+    }
+
+    /**
+     * Identificador anônimo do visitante, válido só enquanto o processo roda
+     * @param {string} client - Dados da requisição (IP e navegador)
+     * @returns {string} Hash
+     */
+    clientId(client) {
+        return crypto.createHash('sha256').update(`${this.salt}|${client}`).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Registra uma busca
+     * @param {Object} search - { query, tipo, peliculas: resultados exibidos, total, filtered, client }
+     * filtered indica que a busca já filtrava VIP ou free (não entra em "só VIP")
+     */
+    record({ query, tipo = null, peliculas = [], total = peliculas.length, filtered = false, client = null }) {
+        const key = normalizeQuery(query);
+        if (!key) {
+            return;
+        }
+
+        const event = {
+            day: formatDay(new Date()),
+            query: key,
+            tipo: tipo || ALL_TIPOS,
+            total,
+            vipOnly: !filtered && total > 0 && peliculas.length > 0 && peliculas.every(p => p.vip),
+            topResult: peliculas[0] ? String(peliculas[0].modelo).slice(0, MAX_RESULT_LENGTH) : null,
+            at: Date.now()
+        };
+
+        if (!client) {
+            this.add(event);
+            this.scheduleFlush();
+            return;
+        }
+
+        const id = this.clientId(client);
+        const previous = this.typing.get(id);
+        const continues = previous && event.at - previous.at < TYPING_WINDOW_MS && previous.tipo === event.tipo &&
+            (event.query.startsWith(previous.query) || previous.query.startsWith(event.query));
+
+        if (previous && !continues) {
+            this.add(previous);
+        }
+        this.typing.set(id, event);
+        this.scheduleFlush();
+    }
+
+    /**
+     * Registra o clique em um resultado da busca
+     * @param {Object} click - { query, tipo, modelo }
+     */
+    recordClick({ query, tipo = null, modelo }) {
+        const key = normalizeQuery(query);
+        if (!key || !modelo) {
+            return;
+        }
+
+        const entry = this.entryFor(formatDay(new Date()), key, tipo || ALL_TIPOS);
+        if (entry) {
+            entry.clicks += 1;
+            entry.clicked_result = String(modelo).slice(0, MAX_RESULT_LENGTH);
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Contadores em memória de um termo no dia, criados se ainda não existirem
+     * @param {string} day - Dia (AAAA-MM-DD)
+     * @param {string} query - Termo simplificado
+     * @param {string} tipo - Tipo de película ou ALL_TIPOS
+     * @returns {Object|null} Contadores ou null se o limite em memória foi atingido
+     */
+    entryFor(day, query, tipo) {
+        const key = `${day}|${tipo}|${query}`;
+        let entry = this.pending.get(key);
+
+        if (!entry) {
+            if (this.pending.size >= MAX_PENDING) {
+                return null;
+            }
+            entry = { day, query, tipo, searches: 0, zero_results: 0, vip_only: 0, results_total: 0, clicks: 0, top_result: null, clicked_result: null };
+            this.pending.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Soma uma busca aos contadores em memória
+     * @param {Object} event - Busca registrada
+     */
+    add(event) {
+        const entry = this.entryFor(event.day, event.query, event.tipo);
+        if (!entry) {
+            return;
+        }
+
+        entry.searches += 1;
+        entry.results_total += event.total;
+        if (event.total === 0) {
+            entry.zero_results += 1;
+        }
+        if (event.vipOnly) {
+            entry.vip_only += 1;
+        }
+        if (event.topResult) {
+            entry.top_result = event.topResult;
+        }
+    }
+
+    /**
+     * Agenda a gravação das buscas acumuladas
+     */
+    scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(error => console.error('Erro ao gravar estatísticas de busca:', error.message));
+        }, FLUSH_DELAY_MS);
+        // Não impedir o encerramento do processo
+        this.flushTimer.unref();
+    }
+
+    /**
+     * Grava no banco as buscas acumuladas
+     * @param {Object} options - { all: inclui as buscas ainda em digitação }
+     */
+    async flush(options = {}) {
+        if (this.flushing) {
+            await this.flushing.catch(() => {});
+        }
+
+        const now = Date.now();
+        this.typing.forEach((event, id) => {
+            if (options.all || now - event.at >= TYPING_WINDOW_MS) {
+                this.add(event);
+                this.typing.delete(id);
+            }
+        });
+
+        const entries = Array.from(this.pending.values());
+        this.pending.clear();
+
+        this.flushing = this.save(entries)
+            .catch(error => {
+                // Devolver para a próxima tentativa
+                entries.forEach(entry => this.merge(entry));
+                throw error;
+            })
+            .finally(() => {
+                this.flushing = null;
+                if (this.typing.size > 0 || this.pending.size > 0) {
+                    this.scheduleFlush();
+                }
+            });
+
+        await this.flushing;
+    }
+
+    /**
+     * Devolve contadores não gravados para a memória
+     * @param {Object} saved - Contadores
+     */
+    merge(saved) {
+        const entry = this.entryFor(saved.day, saved.query, saved.tipo);
+        if (!entry) {
+            return;
+        }
+
+        ['searches', 'zero_results', 'vip_only', 'results_total', 'clicks'].forEach(field => {
+            entry[field] += saved[field];
+        });
+        entry.top_result = entry.top_result || saved.top_result;
+        entry.clicked_result = entry.clicked_result || saved.clicked_result;
+    }
+
+    /**
+     * Soma os contadores às linhas do banco, em uma transação
+     * @param {Array} entries - Contadores por dia, termo e tipo
+     */
+    async save(entries) {
+        if (entries.length > 0) {
+            await sequelize.transaction(async transaction => {
+                for (const entry of entries) {
+                    const [stat] = await SearchStat.findOrCreate({
+                        where: { day: entry.day, query: entry.query, tipo: entry.tipo },
+                        transaction
+                    });
+
+                    await stat.update({
+                        searches: stat.searches + entry.searches,
+                        zero_results: stat.zero_results + entry.zero_results,
+                        vip_only: stat.vip_only + entry.vip_only,
+                        results_total: stat.results_total + entry.results_total,
+                        clicks: stat.clicks + entry.clicks,
+                        top_result: entry.top_result || stat.top_result,
+                        clicked_result: entry.clicked_result || stat.clicked_result
+                    }, { transaction });
+                }
+            });
+        }
+
+        await this.prune();
+    }
+
+    /**
+     * Apaga, uma vez por dia, as estatísticas mais antigas que RETENTION_DAYS
+     */
+    async prune() {
+        const today = formatDay(new Date());
+        if (this.lastPrune === today) {
+            return;
+        }
+
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - RETENTION_DAYS);
+        await SearchStat.destroy({ where: { day: { [Op.lt]: formatDay(cutoff) } } });
+        this.lastPrune = today;
+    }
+
+    /**
+     * Valida um dia informado no filtro
+     * @param {string|undefined} value - Dia (AAAA-MM-DD)
+     * @returns {string|null} Dia ou null se não informado
+     */
+    parseDay(value) {
+        if (!value) {
+            return null;
+        }
+
+        const text = String(value);
+        const date = new Date(`${text}T00:00:00`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(date.getTime())) {
+            throw new SearchAnalyticsError('Datas inválidas. Use o formato AAAA-MM-DD');
+        }
+        return text;
+    }
+
+    /**
+     * Monta um relatório somando os dias do período por termo e tipo
+     * @param {string} kind - top, zero ou vip
+     * @param {Object} options - { from, to (AAAA-MM-DD, padrão: últimos 30 dias), tipo, limit, all: sem limite }
+     * @returns {Promise<Object>} { report, label, from, to, total, rows }
+     */
+    async report(kind, options = {}) {
+        const config = REPORTS[kind];
+        if (!config) {
+            throw new SearchAnalyticsError(`Relatório inválido. Use: ${Object.keys(REPORTS).join(', ')}`);
+        }
+
+        const to = this.parseDay(options.to) || formatDay(new Date());
+        let from = this.parseDay(options.from);
+        if (!from) {
+            const start = new Date(`${to}T00:00:00`);
+            start.setDate(start.getDate() - (DEFAULT_RANGE_DAYS - 1));
+            from = formatDay(start);
+        }
+        if (from > to) {
+            throw new SearchAnalyticsError('A data inicial deve ser anterior à final');
+        }
+
+        const limit = options.all ? Infinity : Math.min(parseInt(options.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+        // Incluir as buscas ainda em memória
+        await this.flush({ all: true });
+
+        const where = { day: { [Op.between]: [from, to] } };
+        if (options.tipo) {
+            where.tipo = options.tipo;
+        }
+        const stats = await SearchStat.findAll({ where, order: [['day', 'ASC']], raw: true });
+
+        const groups = new Map();
+        stats.forEach(stat => {
+            const key = `${stat.tipo}|${stat.query}`;
+            let group = groups.get(key);
+            if (!group) {
+                group = { query: stat.query, tipo: stat.tipo, searches: 0, zero_results: 0, vip_only: 0, results_total: 0, clicks: 0, top_result: null, clicked_result: null, first_day: stat.day };
+                groups.set(key, group);
+            }
+
+            ['searches', 'zero_results', 'vip_only', 'results_total', 'clicks'].forEach(field => {
+                group[field] += stat[field];
+            });
+            // Os dias vêm em ordem: vale o resultado mais recente
+            group.top_result = stat.top_result || group.top_result;
+            group.clicked_result = stat.clicked_result || group.clicked_result;
+            group.last_day = stat.day;
+        });
+
+        const rows = Array.from(groups.values())
+            .filter(group => group[config.count] > 0)
+            .map(({ results_total: resultsTotal, ...group }) => ({
+                ...group,
+                avg_results: group.searches > 0 ? Math.round((resultsTotal / group.searches) * 10) / 10 : 0
+            }))
+            .sort((a, b) => b[config.count] - a[config.count] || b.searches - a.searches || a.query.localeCompare(b.query));
+
+        return {
+            report: kind,
+            label: config.label,
+            from,
+            to,
+            total: rows.length,
+            rows: rows.slice(0, limit)
+        };
+    }
+
+    /**
+     * Gera o CSV de um relatório (com BOM, para abrir acentuado no Excel)
+     * @param {Object} result - Retorno de report()
+     * @returns {string} Conteúdo CSV
+     */
+    toCSV(result) {
+        const escape = value => {
+            const text = String(value == null ? '' : value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [
+            CSV_COLUMNS.map(([, header]) => header).join(','),
+            ...result.rows.map(row => CSV_COLUMNS.map(([field]) => escape(row[field])).join(','))
+        ];
+        return `\uFEFF${lines.join('\n')}\n`;
+    }
+}
+
+SearchAnalytics.SearchAnalyticsError = SearchAnalyticsError;
+SearchAnalytics.REPORTS = REPORTS;
+SearchAnalytics.ALL_TIPOS = ALL_TIPOS;
+SearchAnalytics.normalizeQuery = normalizeQuery;
+
+module.exports = SearchAnalytics;
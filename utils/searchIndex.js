@@ -0,0 +1,200 @@
+const Pelicula = require('../models/Pelicula');
+const SearchAlias = require('../models/SearchAlias');
+const PeliculaSearch = require('./peliculaSearch');
+const PeliculaSuggest = require('./peliculaSuggest');
+const SearchNormalizer = require('./searchNormalizer');
+const CompatibilityGraph = require('./compatibilityGraph');
+const { DEFAULT_TIPO } = require('./peliculaTipos');
+
+// Espera antes de reconstruir, para juntar alterações em sequência (ex.: edições em lote)
+const REBUILD_DELAY_MS = 100;
+
+// Latência alvo da busca (p95) com 5.000 modelos, verificada por "npm run benchmark:search"
+const TARGET_P95_MS = 5;
+
+/**
+ * Índice de busca compartilhado
+ * Carrega a tabela uma única vez e mantém em memória o PeliculaSearch, as sugestões e o grafo de
+ * compatibilidade. Qualquer alteração em películas ou apelidos invalida o índice, que é
+ * reconstruído por inteiro e trocado de uma só vez: as buscas em andamento continuam
+ * usando a versão anterior até a nova ficar pronta
+ */
+class SearchIndex {
+    constructor() {
+        this.state = null;
+        this.stale = true;
+        this.building = null;
+        this.rebuildQueued = false;
+        this.rebuildTimer = null;
+        this.rebuilds = 0;
+        this.lastInvalidation = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Registra os hooks que invalidam o índice quando películas ou apelidos mudam
+     * Dentro de transações, a invalidação só acontece após o commit
+     */
+    watch() {
+        const register = (model, reason) => {
+            const invalidate = options => {
+                if (options && options.transaction) {
+                    options.transaction.afterCommit(() => this.invalidate(reason));
+                } else {
+                    this.invalidate(reason);
+                }
+            };
+
+            ['afterCreate', 'afterUpdate', 'afterDestroy', 'afterBulkCreate'].forEach(hook => {
+                model.addHook(hook, 'searchIndex', (instance, options) => invalidate(options));
+            });
+            ['afterBulkUpdate', 'afterBulkDestroy'].forEach(hook => {
+                model.addHook(hook, 'searchIndex', options => invalidate(options));
+            });
+        };
+
+        register(Pelicula, 'peliculas');
+        register(SearchAlias, 'apelidos');
+    }
+
+    /**
+     * Marca o índice como desatualizado e agenda a reconstrução
+     * @param {string} reason - Motivo (exibido no status)
+     */
+    invalidate(reason = 'manual') {
+        this.stale = true;
+        this.lastInvalidation = { reason, at: new Date() };
+
+        if (!this.rebuildTimer) {
+            this.rebuildTimer = setTimeout(() => {
+                this.rebuildTimer = null;
+                this.build().catch(() => {});
+            }, REBUILD_DELAY_MS);
+        }
+    }
+
+    /**
+     * Reconstrói o índice; chamadas durante uma reconstrução são agrupadas na próxima
+     * @returns {Promise<Object>} Estado do índice
+     */
+    async build() {
+        if (this.building) {
+            this.rebuildQueued = true;
+            return this.building;
+        }
+
+        this.building = (async () => {
+            try {
+                do {
+                    this.rebuildQueued = false;
+                    // Alterações feitas durante a carga marcam o índice como desatualizado de novo
+                    this.stale = false;
+                    this.state = await this.load();
+                    this.rebuilds++;
+                } while (this.rebuildQueued);
+
+                this.lastError = null;
+                return this.state;
+            } catch (error) {
+                this.stale = true;
+                this.lastError = { message: error.message, at: new Date() };
+                console.error('Erro ao reconstruir índice de busca:', error);
+                throw error;
+            } finally {
+                this.building = null;
+            }
+        })();
+
+        return this.building;
+    }
+
+    /**
+     * Carrega películas e apelidos e monta um novo estado do índice
+     * @returns {Promise<Object>} { peliculas, search, suggest, normalizer, aliases, builtAt, buildMs }
+     */
+    async load() {
+        const started = Date.now();
+        const [peliculas, aliases] = await Promise.all([
+            Pelicula.findAll({ order: [['created_at', 'DESC']] }),
+            SearchAlias.findAll({ attributes: ['alias', 'target'] })
+        ]);
+
+        const plain = peliculas.map(p => p.get({ plain: true }));
+        const plainAliases = aliases.map(({ alias, target }) => ({ alias, target }));
+        const normalizer = new SearchNormalizer({ aliases: plainAliases });
+
+        return {
+            peliculas: plain,
+            search: new PeliculaSearch(plain, { normalizer }),
+            suggest: new PeliculaSuggest(plain, { aliases: plainAliases }),
+            normalizer,
+            aliases: aliases.length,
+            graphs: new Map(),
+            builtAt: new Date(),
+            buildMs: Date.now() - started
+        };
+    }
+
+    /**
+     * Estado atual do índice, reconstruindo antes se estiver desatualizado
+     * Se a reconstrução falhar, continua usando a última versão válida
+     * @returns {Promise<Object>} Estado do índice
+     */
+    async get() {
+        if (this.state && !this.stale) {
+            return this.state;
+        }
+
+        try {
+            return await this.build();
+        } catch (error) {
+            if (this.state) {
+                return this.state;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Grafo de compatibilidade de um tipo na versão atual (montado na primeira consulta)
+     * Cada tipo tem os próprios grupos: a película 3D de um modelo pode servir em
+     * outro sem que a de privacidade sirva
+     * @param {string} tipo - Tipo de película (padrão 3D)
+     * @returns {Promise<CompatibilityGraph>} Grafo
+     */
+    async getGraph(tipo = DEFAULT_TIPO) {
+        const state = await this.get();
+        if (!state.graphs.has(tipo)) {
+            const peliculas = state.peliculas.filter(pelicula => (pelicula.tipo || DEFAULT_TIPO) === tipo);
+            state.graphs.set(tipo, new CompatibilityGraph(peliculas));
+        }
+        return state.graphs.get(tipo);
+    }
+
+    /**
+     * Situação do índice para monitoramento
+     * @returns {Object} Tamanho, última reconstrução e invalidação
+     */
+    status() {
+        const state = this.state;
+
+        return {
+            ready: Boolean(state),
+            stale: this.stale,
+            building: Boolean(this.building),
+            size: state ? state.peliculas.length : 0,
+            compatibleEntries: state ? state.search.compatibleEntries.length : 0,
+            aliases: state ? state.aliases : 0,
+            builtAt: state ? state.builtAt : null,
+            buildMs: state ? state.buildMs : null,
+            rebuilds: this.rebuilds,
+            lastInvalidation: this.lastInvalidation,
+            lastError: this.lastError,
+            targetP95Ms: TARGET_P95_MS
+        };
+    }
+}
+
+SearchIndex.TARGET_P95_MS = TARGET_P95_MS;
+
+module.exports = SearchIndex;
@@ -0,0 +1,185 @@
+// Abreviações e erros de digitação comuns, trocados antes da comparação
+const ABBREVIATIONS = {
+    sam: 'samsung',
+    sansung: 'samsung',
+    samsumg: 'samsung',
+    sangsung: 'samsung',
+    moto: 'motorola',
+    motorolla: 'motorola',
+    xiomi: 'xiaomi',
+    xaomi: 'xiaomi',
+    xiami: 'xiaomi',
+    ip: 'iphone',
+    iph: 'iphone',
+    ifone: 'iphone'
+};
+
+// Palavras que identificam a marca quando aparecem no início do nome
+const BRANDS = {
+    samsung: 'samsung',
+    galaxy: 'samsung',
+    motorola: 'motorola',
+    xiaomi: 'xiaomi',
+    apple: 'apple',
+    lg: 'lg',
+    asus: 'asus',
+    realme: 'realme',
+    oppo: 'oppo',
+    vivo: 'vivo',
+    tcl: 'tcl',
+    nokia: 'nokia',
+    huawei: 'huawei',
+    oneplus: 'oneplus',
+    google: 'google',
+    infinix: 'infinix',
+    positivo: 'positivo',
+    multilaser: 'multilaser',
+    sony: 'sony',
+    lenovo: 'lenovo',
+    zte: 'zte'
+};
+
+// Linhas de produto que identificam a marca quando o modelo não traz o fabricante
+const SERIES = {
+    iphone: 'apple',
+    ipad: 'apple',
+    redmi: 'xiaomi',
+    poco: 'xiaomi',
+    mi: 'xiaomi',
+    pixel: 'google',
+    zenfone: 'asus',
+    xperia: 'sony',
+    nord: 'oneplus'
+};
+
+// Códigos curtos da Samsung escritos sem a marca ("A10", "S22", "M14")
+const SAMSUNG_CODES = ['a', 'j', 'm', 's'];
+
+/**
+ * Normalizador dos nomes de modelos e dos termos de busca
+ * Os dois lados passam pelo mesmo processo, para que "moto g64", "g 64" e
+ * "MOTOROLA MOTO G64" cheguem aos mesmos tokens ("g", "64") com a marca separada
+ */
+class SearchNormalizer {
+    /**
+     * @param {Object} options - { aliases: lista de { alias, target } cadastrada pelos administradores }
+     */
+    constructor(options = {}) {
+        // Apelidos mais longos primeiro, para que "note 13 pro" vença "note 13"
+        this.aliases = (options.aliases || [])
+            .map(({ alias, target }) => ({
+                alias: this.tokenize(alias),
+                target: this.tokenize(target)
+            }))
+            .filter(({ alias, target }) => alias.length > 0 && target.length > 0)
+            .sort((a, b) => b.alias.length - a.alias.length);
+    }
+
+    /**
+     * Quebra o texto em tokens: minúsculas, sem acentos e pontuação,
+     * com letras e números separados ("note13" → "note", "13") e abreviações expandidas
+     * @param {string} text - Texto original
+     * @returns {Array<string>} Tokens
+     */
+    tokenize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .replace(/([a-z])(?=\d)|(\d)(?=[a-z])/g, '$1$2 ')
+            .split(' ')
+            .filter(Boolean)
+            .map(token => ABBREVIATIONS[token] || token);
+    }
+
+    /**
+     * Troca os apelidos encontrados pelo termo cadastrado
+     * @param {Array<string>} tokens - Tokens do termo
+     * @returns {Array<string>} Tokens com os apelidos substituídos
+     */
+    applyAliases(tokens) {
+        let result = tokens;
+
+        this.aliases.forEach(({ alias, target }) => {
+            for (let i = 0; i + alias.length <= result.length; i++) {
+                if (alias.every((token, offset) => result[i + offset] === token)) {
+                    result = [...result.slice(0, i), ...target, ...result.slice(i + alias.length)];
+                    break;
+                }
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Separa as palavras de marca do início dos tokens
+     * @param {Array<string>} tokens - Tokens do termo
+     * @returns {Object} { brand, tokens }
+     */
+    splitBrand(tokens) {
+        let brand = null;
+        let index = 0;
+
+        while (index < tokens.length - 1 && BRANDS[tokens[index]]) {
+            brand = brand || BRANDS[tokens[index]];
+            index++;
+        }
+
+        return { brand, tokens: tokens.slice(index) };
+    }
+
+    /**
+     * Deduz a marca pelo início do texto: palavra de marca, linha de produto ("IPHONE 11",
+     * "REDMI NOTE 13") ou código curto da Samsung ("A10")
+     * @param {string} text - Nome do modelo
+     * @returns {string|null} Chave da marca em BRANDS ou null se não reconhecida
+     */
+    detectBrand(text) {
+        const [first, second] = this.tokenize(text);
+        if (!first) {
+            return null;
+        }
+
+        return BRANDS[first] || SERIES[first] ||
+            (SAMSUNG_CODES.includes(first) && /^\d+$/.test(second || '') ? 'samsung' : null);
+    }
+
+    /**
+     * Chave em BRANDS de uma marca gravada ("Motorola", "SAMSUNG")
+     * @param {string|null} marca - Marca gravada na película
+     * @returns {string|null} Chave da marca ou null se não for uma marca conhecida
+     */
+    brandKey(marca) {
+        return BRANDS[this.tokenize(marca).join('')] || null;
+    }
+
+    /**
+     * Normaliza um nome de modelo ou termo de busca
+     * @param {string} text - Texto original
+     * @param {Object} options - { aliases: aplicar os apelidos cadastrados (padrão true) }
+     * @returns {Object} { brand, tokens, key } onde key são os tokens sem a marca unidos por espaço
+     */
+    normalize(text, options = {}) {
+        let tokens = this.tokenize(text);
+
+        if (options.aliases !== false) {
+            tokens = this.applyAliases(tokens);
+        }
+
+        const split = this.splitBrand(tokens);
+
+        return {
+            brand: split.brand,
+            tokens: split.tokens,
+            key: split.tokens.join(' ')
+        };
+    }
+}
+
+SearchNormalizer.ABBREVIATIONS = ABBREVIATIONS;
+SearchNormalizer.BRANDS = BRANDS;
+SearchNormalizer.SERIES = SERIES;
+
+module.exports = SearchNormalizer;
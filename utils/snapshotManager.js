@@ -0,0 +1,213 @@
+const { Op } = require('sequelize');
+const { sequelize, syncIdSequence } = require('../config/database');
+const Pelicula = require('../models/Pelicula');
+const PeliculaSnapshot = require('../models/PeliculaSnapshot');
+const { planImport, buildDiff } = require('./peliculaDiff');
+
+// Campos da película guardados em cada versão
+const SNAPSHOT_FIELDS = ['id', 'modelo', 'tipo', 'marca', 'compatibilidade', 'html_content', 'vip', 'compativel', 'created_at', 'updated_at'];
+
+/**
+ * Gerenciador de versões (snapshots) da tabela de películas
+ * Cada importação grava uma cópia completa da tabela, permitindo
+ * listar o histórico, comparar versões e restaurar qualquer uma delas
+ */
+class SnapshotManager {
+    /**
+     * Converte as películas para o formato armazenado na versão
+     * @param {Array} peliculas - Instâncias de Pelicula
+     * @returns {Array} Objetos simples com os campos da versão
+     */
+    serializePeliculas(peliculas) {
+        return peliculas.map(pelicula => {
+            const plain = typeof pelicula.get === 'function' ? pelicula.get({ plain: true }) : pelicula;
+            const row = {};
+            SNAPSHOT_FIELDS.forEach(field => {
+                row[field] = plain[field] === undefined ? null : plain[field];
+            });
+            return row;
+        });
+    }
+
+    /**
+     * Grava uma versão com o conteúdo atual da tabela
+     * @param {Object} options - { transaction, source, mode, filename, user, counts, restoredFrom }
+     * @returns {Promise<Object>} Versão criada
+     */
+    async createSnapshot(options = {}) {
+        const { transaction, user } = options;
+        const peliculas = await Pelicula.findAll({
+            order: [['id', 'ASC']],
+            transaction
+        });
+        const data = this.serializePeliculas(peliculas);
+
+        return PeliculaSnapshot.create({
+            source: options.source || 'csv-import',
+            mode: options.mode || null,
+            filename: options.filename || null,
+            user_id: user ? user.id : null,
+            username: user ? user.username : null,
+            restored_from: options.restoredFrom || null,
+            total_models: data.length,
+            vip_models: data.filter(p => p.vip).length,
+            counts: options.counts || null,
+            data
+        }, { transaction });
+    }
+
+    /**
+     * Grava a versão inicial (estado anterior à primeira importação) se ainda não houver versões
+     * @param {Object} transaction - Transação do Sequelize
+     * @returns {Promise<Object|null>} Versão criada ou null se já existia histórico
+     */
+    async ensureBaseline(transaction) {
+        const existing = await PeliculaSnapshot.count({ transaction });
+        if (existing > 0) {
+            return null;
+        }
+
+        const total = await Pelicula.count({ transaction });
+        if (total === 0) {
+            return null;
+        }
+
+        return this.createSnapshot({ transaction, source: 'initial' });
+    }
+
+    /**
+     * Lista as versões sem o conteúdo da tabela
+     * @param {Object} options - { limit }
+     * @returns {Promise<Array>} Versões, da mais recente para a mais antiga
+     */
+    async listSnapshots(options = {}) {
+        return PeliculaSnapshot.findAll({
+            attributes: { exclude: ['data'] },
+            order: [['id', 'DESC']],
+            limit: options.limit || 50
+        });
+    }
+
+    /**
+     * Busca uma versão completa
+     * @param {number} id - Número da versão
+     * @returns {Promise<Object|null>} Versão ou null se não existir
+     */
+    async getSnapshot(id) {
+        return PeliculaSnapshot.findByPk(id);
+    }
+
+    /**
+     * Carrega o conteúdo de uma versão ou da tabela atual
+     * @param {number|string} id - Número da versão ou 'current'
+     * @returns {Promise<Array|null>} Películas da versão ou null se não existir
+     */
+    async loadData(id) {
+        if (id === 'current') {
+            return this.serializePeliculas(await Pelicula.findAll({ order: [['id', 'ASC']] }));
+        }
+
+        const snapshot = await this.getSnapshot(id);
+        return snapshot ? snapshot.data : null;
+    }
+
+    /**
+     * Compara duas versões da tabela
+     * @param {number|string} fromId - Versão de origem ou 'current' para a tabela atual
+     * @param {number|string} toId - Versão de destino ou 'current' para a tabela atual
+     * @returns {Promise<Object|null>} Diff estruturado ou null se alguma versão não existir
+     */
+    async diffSnapshots(fromId, toId) {
+        const fromData = await this.loadData(fromId);
+        const toData = await this.loadData(toId);
+
+        if (!fromData || !toData) {
+            return null;
+        }
+
+        const plan = planImport(fromData, toData, 'replace');
+        const diff = buildDiff(fromData, plan);
+        diff.from = fromId;
+        diff.to = toId;
+
+        return diff;
+    }
+
+    /**
+     * Restaura a tabela para o conteúdo de uma versão, dentro de uma transação
+     * Aplica apenas as diferenças, para que a auditoria registre somente o que mudou
+     * e as películas mantidas conservem o mesmo id
+     * @param {number} id - Número da versão
+     * @param {Object} options - { user }
+     * @returns {Promise<Object|null>} { restored, inserted, updated, removed, snapshot } ou null se a versão não existir
+     */
+    async restoreSnapshot(id, options = {}) {
+        const snapshot = await this.getSnapshot(id);
+        if (!snapshot) {
+            return null;
+        }
+
+        const rows = snapshot.data;
+        const audit = { source: 'restore', user: options.user };
+
+        const transaction = await sequelize.transaction();
+        try {
+            await this.ensureBaseline(transaction);
+
+            const existingPeliculas = await Pelicula.findAll({ transaction });
+            const plan = planImport(existingPeliculas, rows, 'replace');
+
+            if (plan.toRemove.length > 0) {
+                await Pelicula.destroy({
+                    where: { id: { [Op.in]: plan.toRemove.map(p => p.id) } },
+                    transaction,
+                    audit
+                });
+            }
+
+            for (const { existing, incoming, changes } of plan.toUpdate) {
+                if (existing.modelo !== incoming.modelo) {
+                    changes.modelo = incoming.modelo;
+                }
+                await existing.update(changes, { transaction, audit });
+            }
+
+            if (plan.toInsert.length > 0) {
+                // Reaproveitar o id original quando ele estiver livre
+                const removedIds = new Set(plan.toRemove.map(p => p.id));
+                const takenIds = new Set(existingPeliculas.map(p => p.id).filter(pid => !removedIds.has(pid)));
+                const toInsert = plan.toInsert.map(row => {
+                    const { id: rowId, ...values } = row;
+                    return takenIds.has(rowId) ? values : row;
+                });
+
+                await Pelicula.bulkCreate(toInsert, { transaction, audit, validate: true });
+                await syncIdSequence(Pelicula, { transaction });
+            }
+
+            const counts = {
+                restored: rows.length,
+                inserted: plan.toInsert.length,
+                updated: plan.toUpdate.length,
+                removed: plan.toRemove.length
+            };
+
+            const newSnapshot = await this.createSnapshot({
+                transaction,
+                source: 'restore',
+                user: options.user,
+                restoredFrom: snapshot.id,
+                counts
+            });
+
+            await transaction.commit();
+
+            return { ...counts, snapshot: newSnapshot };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+}
+
+module.exports = SnapshotManager;
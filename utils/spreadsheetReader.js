@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const XLSX = require('xlsx');
+
+// Planilhas lidas pela biblioteca xlsx (uma lista de linhas por aba)
+const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls', '.ods'];
+// Arquivos de texto separados por delimitador
+const TEXT_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+// Exportação JSON da própria tabela
+const JSON_EXTENSIONS = ['.json'];
+
+// Delimitadores testados na detecção, na ordem de preferência em caso de empate
+const DELIMITERS = [',', ';', '\t', '|'];
+// Linhas analisadas para detectar o delimitador
+const SAMPLE_LINES = 20;
+
+/**
+ * Leitor dos arquivos de importação
+ * Aceita CSV/TSV (detectando delimitador e codificação UTF-8, UTF-16 ou Latin-1) e
+ * planilhas XLSX/XLS/ODS. Devolve as linhas de cada aba como listas de textos, com o número
+ * da linha no arquivo, sem interpretar colunas: o mapeamento para os campos da película
+ * fica com o CSVParser. O JSON exportado pela tabela já é estruturado e volta como a
+ * lista de películas, sem abas
+ */
+class SpreadsheetReader {
+    /**
+     * Verifica se a extensão do arquivo é aceita na importação
+     * @param {string} filename - Nome original do arquivo
+     * @returns {boolean} True se suportado
+     */
+    isSupported(filename) {
+        const extension = path.extname(filename || '').toLowerCase();
+        return SPREADSHEET_EXTENSIONS.includes(extension) ||
+            TEXT_EXTENSIONS.includes(extension) ||
+            JSON_EXTENSIONS.includes(extension);
+    }
+
+    /**
+     * Lê o arquivo e devolve as linhas de cada aba
+     * @param {string} filePath - Caminho do arquivo enviado
+     * @param {string} filename - Nome original (define o formato pela extensão)
+     * @returns {Promise<Object>} { format, encoding, delimiter, sheets: [{ name, rows, lines }], peliculas: só no JSON }
+     */
+    async read(filePath, filename = filePath) {
+        const extension = path.extname(filename || '').toLowerCase();
+
+        if (SPREADSHEET_EXTENSIONS.includes(extension)) {
+            return this.readSpreadsheet(filePath, extension.slice(1));
+        }
+
+        if (JSON_EXTENSIONS.includes(extension)) {
+            return this.readJSON(filePath);
+        }
+
+        const buffer = await fs.promises.readFile(filePath);
+        const { text, encoding } = this.decode(buffer);
+        const delimiter = extension === '.tsv' ? '\t' : this.detectDelimiter(text);
+        const { rows, lines } = await this.parseText(text, delimiter);
+
+        return {
+            format: extension === '.tsv' || delimiter === '\t' ? 'tsv' : 'csv',
+            encoding,
+            delimiter,
+            sheets: [{ name: path.basename(filename, extension), rows, lines }]
+        };
+    }
+
+    /**
+     * Lê uma planilha XLSX, XLS ou ODS
+     * @param {string} filePath - Caminho do arquivo
+     * @param {string} format - Extensão sem o ponto
+     * @returns {Object} Mesmo formato de read()
+     */
+    readSpreadsheet(filePath, format) {
+        const workbook = XLSX.readFile(filePath, { cellHTML: false });
+
+        const sheets = workbook.SheetNames.map(name => {
+            const sheet = workbook.Sheets[name];
+            // Linhas em branco são mantidas na leitura para numerar as demais como na planilha
+            const firstRow = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s.r + 1 : 1;
+            const rows = [];
+            const lines = [];
+
+            XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true })
+                .forEach((row, index) => {
+                    const values = row.map(value => String(value));
+                    if (values.some(value => value.trim() !== '')) {
+                        rows.push(values);
+                        lines.push(firstRow + index);
+                    }
+                });
+
+            return { name, rows, lines };
+        });
+
+        return { format, encoding: null, delimiter: null, sheets };
+    }
+
+    /**
+     * Lê o JSON exportado pela tabela ({ peliculas: [...] }), sem converter em linhas de texto
+     * @param {string} filePath - Caminho do arquivo
+     * @returns {Promise<Object>} Mesmo formato de read(), com peliculas e sem abas
+     */
+    async readJSON(filePath) {
+        const { text, encoding } = this.decode(await fs.promises.readFile(filePath));
+        let data;
+
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Arquivo JSON inválido');
+        }
+
+        const peliculas = Array.isArray(data) ? data : data && data.peliculas;
+        if (!Array.isArray(peliculas)) {
+            throw new Error('O JSON deve ser o exportado pela tabela, com a lista "peliculas"');
+        }
+
+        return { format: 'json', encoding, delimiter: null, sheets: [], peliculas };
+    }
+
+    /**
+     * Decodifica o texto do arquivo
+     * Sem marca de ordem de bytes, tenta UTF-8 e, se houver bytes inválidos, usa Latin-1
+     * (arquivos salvos pelo Excel em português costumam vir em Windows-1252)
+     * @param {Buffer} buffer - Conteúdo do arquivo
+     * @returns {Object} { text, encoding }
+     */
+    decode(buffer) {
+        if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+            return { text: buffer.slice(3).toString('utf8'), encoding: 'utf-8' };
+        }
+
+        // "Texto Unicode" do Excel: UTF-16 com BOM
+        if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+            return { text: buffer.slice(2).toString('utf16le'), encoding: 'utf-16' };
+        }
+
+        try {
+            const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+            return { text, encoding: 'utf-8' };
+        } catch (error) {
+            return { text: buffer.toString('latin1'), encoding: 'latin1' };
+        }
+    }
+
+    /**
+     * Detecta o delimitador pelas primeiras linhas do arquivo
+     * Escolhe o candidato que aparece com a mesma quantidade no maior número de linhas,
+     * ignorando o que estiver entre aspas
+     * @param {string} text - Conteúdo do arquivo
+     * @returns {string} Delimitador
+     */
+    detectDelimiter(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, SAMPLE_LINES);
+        let best = { delimiter: DELIMITERS[0], score: 0 };
+
+        DELIMITERS.forEach(delimiter => {
+            const counts = lines.map(line => this.countOutsideQuotes(line, delimiter)).filter(count => count > 0);
+            if (counts.length === 0) {
+                return;
+            }
+
+            // Quantidade mais frequente por linha e em quantas linhas ela se repete
+            const frequency = new Map();
+            counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+            const score = Math.max(...frequency.values());
+
+            if (score > best.score) {
+                best = { delimiter, score };
+            }
+        });
+
+        return best.delimiter;
+    }
+
+    /**
+     * Conta as ocorrências de um caractere fora de aspas
+     * @param {string} line - Linha do arquivo
+     * @param {string} character - Caractere procurado
+     * @returns {number} Ocorrências
+     */
+    countOutsideQuotes(line, character) {
+        let count = 0;
+        let quoted = false;
+
+        for (const current of line) {
+            if (current === '"') {
+                quoted = !quoted;
+            } else if (current === character && !quoted) {
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Separa o texto em linhas e colunas
+     * @param {string} text - Conteúdo decodificado
+     * @param {string} delimiter - Delimitador das colunas
+     * @returns {Promise<Object>} { rows: linhas não vazias, lines: número de cada linha no arquivo }
+     */
+    parseText(text, delimiter) {
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            const lines = [];
+            let line = 1;
+
+            Readable.from([text])
+                .pipe(csv({
+                    headers: false,
+                    separator: delimiter
+                }))
+                .on('data', row => {
+                    const values = Object.values(row).map(value => String(value));
+                    if (values.some(value => value.trim() !== '')) {
+                        rows.push(values);
+                        lines.push(line);
+                    }
+                    // Células entre aspas podem ocupar mais de uma linha do arquivo
+                    line += 1 + values.reduce((total, value) => total + (value.match(/\n/g) || []).length, 0);
+                })
+                .on('end', () => resolve({ rows, lines }))
+                .on('error', reject);
+        });
+    }
+}
+
+SpreadsheetReader.EXTENSIONS = [...TEXT_EXTENSIONS, ...SPREADSHEET_EXTENSIONS, ...JSON_EXTENSIONS];
+
+module.exports = SpreadsheetReader;
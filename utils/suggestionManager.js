@@ -0,0 +1,424 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Pelicula = require('../models/Pelicula');
+const CompatibilitySuggestion = require('../models/CompatibilitySuggestion');
+const PeliculaValidator = require('./peliculaValidator');
+const { modeloKey } = require('./peliculaDiff');
+
+// Tipos de sugestão aceitos pela página pública
+const KINDS = {
+    compatibilidade: 'Outro aparelho usa a película',
+    modelo: 'Modelo que falta na tabela'
+};
+const STATUSES = ['pendente', 'aprovada', 'rejeitada'];
+
+const MAX_MODELO_LENGTH = 255;
+const MAX_COMMENT_LENGTH = 500;
+const MAX_NOTE_LENGTH = 255;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Envios aceitos por visitante dentro da janela
+const RATE_LIMIT = 5;
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+// Visitantes lembrados pelo limite; acima disso os mais antigos são esquecidos
+const MAX_TRACKED_CLIENTS = 10000;
+
+// Campo escondido do formulário: pessoas não o veem, robôs costumam preenchê-lo
+const HONEYPOT_FIELD = 'website';
+// Links no texto são o sinal mais comum de spam
+const LINK_PATTERN = /https?:\/\/|www\.|\b[\w-]+\.(com|net|org|br|ru|xyz|info|top)\b/i;
+
+/**
+ * Erro de regra de negócio nas sugestões
+ * Carrega o status HTTP que a rota deve devolver
+ */
+class SuggestionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SuggestionError';
+        this.status = status;
+    }
+}
+
+/**
+ * Texto opcional: aparado, vazio vira null
+ * @param {*} value - Valor recebido
+ * @returns {string|null|undefined} Texto, null ou undefined se não for texto
+ */
+function optionalText(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'string') {
+        return undefined;
+    }
+    return value.trim() || null;
+}
+
+/**
+ * Visitante de uma requisição para o limite de envios: somente o IP. O navegador não entra,
+ * pois trocar o User-Agent bastaria para zerar o limite. Atrás de proxy reverso, o IP real
+ * depende da opção "trust proxy" do Express (TRUST_PROXY)
+ * @param {Object} req - Requisição do Express
+ * @returns {string|null} IP do visitante
+ */
+function requestClient(req) {
+    return req.ip || null;
+}
+
+/**
+ * Sugestões de compatibilidade enviadas pelos clientes e revendedores
+ * A página pública envia "esta película também serve no aparelho X" ou "falta o modelo X";
+ * as sugestões entram numa fila que os editores aprovam (o aparelho entra na compatibilidade
+ * da película escolhida) ou rejeitam. Cada IP envia no máximo RATE_LIMIT sugestões
+ * por RATE_WINDOW_MS; o limite fica em memória, com o IP trocado por um hash
+ * com sal aleatório
+ */
+class SuggestionManager {
+    constructor() {
+        this.validator = new PeliculaValidator();
+        this.attempts = new Map();
+        this.salt = crypto.randomBytes(16).toString('hex');
+    }
+
+    /**
+     * Identificador anônimo do visitante, válido só enquanto o processo roda
+     * @param {string} client - IP do visitante
+     * @returns {string} Hash
+     */
+    clientId(client) {
+        return crypto.createHash('sha256').update(`${this.salt}|${client}`).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Conta um envio do visitante, recusando quem passou do limite
+     * @param {string|null} client - IP do visitante (requestClient)
+     */
+    consumeRate(client) {
+        if (!client) {
+            return;
+        }
+
+        const id = this.clientId(client);
+        const now = Date.now();
+        const recent = (this.attempts.get(id) || []).filter(at => now - at < RATE_WINDOW_MS);
+
+        if (recent.length >= RATE_LIMIT) {
+            throw new SuggestionError('Você enviou muitas sugestões. Tente novamente mais tarde.', 429);
+        }
+
+        // Reinsere no fim do Map, que fica em ordem do envio mais recente
+        this.attempts.delete(id);
+        this.attempts.set(id, [...recent, now]);
+
+        if (this.attempts.size > MAX_TRACKED_CLIENTS) {
+            this.attempts.delete(this.attempts.keys().next().value);
+        }
+    }
+
+    /**
+     * Indica se o envio parece spam: campo escondido preenchido ou links no texto
+     * @param {Object} input - Corpo da requisição
+     * @returns {boolean} True se for spam
+     */
+    isSpam(input) {
+        if (input[HONEYPOT_FIELD]) {
+            return true;
+        }
+
+        return [input.modelo, input.comment].some(value => typeof value === 'string' && LINK_PATTERN.test(value));
+    }
+
+    /**
+     * Valida o nome do aparelho com as mesmas regras da lista de compatibilidade
+     * @param {*} value - Valor recebido
+     * @returns {string} Nome aparado
+     */
+    validateModelo(value) {
+        const modelo = typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+
+        if (!/[\p{L}\p{N}]/u.test(modelo)) {
+            throw new SuggestionError('Informe o modelo do aparelho');
+        }
+        if (modelo.length > MAX_MODELO_LENGTH) {
+            throw new SuggestionError(`Modelo deve ter no máximo ${MAX_MODELO_LENGTH} caracteres`);
+        }
+        if (modelo.includes('/')) {
+            throw new SuggestionError('Informe um aparelho por sugestão (sem "/")');
+        }
+
+        return modelo;
+    }
+
+    /**
+     * Valida os campos enviados pela página pública
+     * @param {Object} input - { kind, pelicula_id, modelo, comment }
+     * @returns {Object} { kind, peliculaId, modelo, comment }
+     */
+    validate(input) {
+        const kind = input.kind || 'compatibilidade';
+        if (!KINDS[kind]) {
+            throw new SuggestionError(`Tipo de sugestão inválido. Use: ${Object.keys(KINDS).join(', ')}`);
+        }
+
+        let peliculaId = null;
+        if (input.pelicula_id !== undefined && input.pelicula_id !== null && input.pelicula_id !== '') {
+            peliculaId = parseInt(input.pelicula_id, 10);
+            if (!Number.isInteger(peliculaId) || peliculaId <= 0) {
+                throw new SuggestionError('Película inválida');
+            }
+        }
+        if (kind === 'compatibilidade' && !peliculaId) {
+            throw new SuggestionError('Informe a película que serve no aparelho');
+        }
+
+        const comment = optionalText(input.comment);
+        if (comment === undefined || (comment && comment.length > MAX_COMMENT_LENGTH)) {
+            throw new SuggestionError(`Observação deve ter no máximo ${MAX_COMMENT_LENGTH} caracteres`);
+        }
+
+        return { kind, peliculaId, modelo: this.validateModelo(input.modelo), comment };
+    }
+
+    /**
+     * Indica se o aparelho já é o modelo da película ou já está na compatibilidade dela
+     * @param {Object} pelicula - Película
+     * @param {string} modelo - Aparelho
+     * @returns {boolean} True se já consta
+     */
+    alreadyListed(pelicula, modelo) {
+        const key = modeloKey(modelo);
+        return modeloKey(pelicula.modelo) === key || pelicula.compatibilidade.some(item => modeloKey(item) === key);
+    }
+
+    /**
+     * Recebe uma sugestão da página pública
+     * Envios que parecem spam são descartados sem aviso, para não ensinar o robô
+     * @param {Object} input - Corpo da requisição
+     * @param {Object} options - { client: IP do visitante, usado no limite de envios }
+     * @returns {Promise<Object|null>} Sugestão criada ou null se descartada como spam
+     */
+    async submit(input, options = {}) {
+        const body = input || {};
+        this.consumeRate(options.client || null);
+
+        if (this.isSpam(body)) {
+            return null;
+        }
+
+        const values = this.validate(body);
+        let pelicula = null;
+
+        if (values.peliculaId) {
+            pelicula = await Pelicula.findByPk(values.peliculaId);
+            if (!pelicula) {
+                throw new SuggestionError('Película não encontrada', 404);
+            }
+            if (values.kind === 'compatibilidade' && pelicula.vip) {
+                throw new SuggestionError('A compatibilidade de modelos VIP não é exibida na tabela');
+            }
+            if (this.alreadyListed(pelicula, values.modelo)) {
+                throw new SuggestionError('Este aparelho já consta nesta película', 409);
+            }
+        }
+
+        if (values.kind === 'modelo') {
+            const existing = await Pelicula.findOne({
+                where: sequelize.where(sequelize.fn('UPPER', sequelize.col('modelo')), modeloKey(values.modelo))
+            });
+            if (existing) {
+                throw new SuggestionError(`O modelo "${existing.modelo}" já está na tabela`, 409);
+            }
+        }
+
+        const duplicate = await CompatibilitySuggestion.findOne({
+            where: {
+                [Op.and]: [
+                    { status: 'pendente', kind: values.kind, pelicula_id: values.peliculaId },
+                    sequelize.where(sequelize.fn('UPPER', sequelize.col('modelo')), modeloKey(values.modelo))
+                ]
+            }
+        });
+        if (duplicate) {
+            throw new SuggestionError('Esta sugestão já está aguardando revisão', 409);
+        }
+
+        return CompatibilitySuggestion.create({
+            kind: values.kind,
+            pelicula_id: values.peliculaId,
+            pelicula_modelo: pelicula ? pelicula.modelo : null,
+            modelo: values.modelo,
+            comment: values.comment
+        });
+    }
+
+    /**
+     * Lista a fila de sugestões
+     * @param {Object} filters - { status (padrão pendente; "todas" lista todas), limit, offset }
+     * @returns {Promise<Object>} { rows: sugestões com a película atual, total, counts: total por situação }
+     */
+    async list(filters = {}) {
+        const status = filters.status || 'pendente';
+        if (status !== 'todas' && !STATUSES.includes(status)) {
+            throw new SuggestionError(`Situação inválida. Use: ${STATUSES.join(', ')} ou todas`);
+        }
+
+        const limit = Math.min(parseInt(filters.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+        const where = status === 'todas' ? {} : { status };
+
+        const { rows, count } = await CompatibilitySuggestion.findAndCountAll({
+            where,
+            // Pendentes: as mais antigas primeiro, na ordem de chegada; revisadas: as mais recentes
+            order: [['created_at', status === 'pendente' ? 'ASC' : 'DESC'], ['id', 'ASC']],
+            limit,
+            offset
+        });
+
+        const ids = Array.from(new Set(rows.map(row => row.pelicula_id).filter(Boolean)));
+        const peliculas = ids.length > 0
+            ? await Pelicula.findAll({ where: { id: ids }, attributes: ['id', 'modelo', 'tipo', 'vip', 'compatibilidade'] })
+            : [];
+        const byId = new Map(peliculas.map(pelicula => [pelicula.id, pelicula]));
+
+        const grouped = await CompatibilitySuggestion.findAll({
+            attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+            group: ['status'],
+            raw: true
+        });
+        const counts = Object.fromEntries(STATUSES.map(name => [name, 0]));
+        grouped.forEach(row => {
+            counts[row.status] = Number(row.total);
+        });
+
+        return {
+            rows: rows.map(row => {
+                const pelicula = byId.get(row.pelicula_id);
+                return {
+                    ...row.get({ plain: true }),
+                    pelicula: pelicula ? pelicula.get({ plain: true }) : null
+                };
+            }),
+            total: count,
+            counts
+        };
+    }
+
+    /**
+     * Busca uma sugestão ainda pendente
+     * @param {number} id - Id da sugestão
+     * @param {Object} transaction - Transação do Sequelize
+     * @returns {Promise<Object>} Sugestão
+     */
+    async findPending(id, transaction) {
+        const suggestion = await CompatibilitySuggestion.findByPk(id, { transaction });
+        if (!suggestion) {
+            throw new SuggestionError('Sugestão não encontrada', 404);
+        }
+        if (suggestion.status !== 'pendente') {
+            throw new SuggestionError(`Sugestão já ${suggestion.status}`, 409);
+        }
+        return suggestion;
+    }
+
+    /**
+     * Valida a observação da revisão
+     * @param {*} value - Valor recebido
+     * @returns {string|null} Observação
+     */
+    validateNote(value) {
+        const note = optionalText(value);
+        if (note === undefined || (note && note.length > MAX_NOTE_LENGTH)) {
+            throw new SuggestionError(`Observação deve ter no máximo ${MAX_NOTE_LENGTH} caracteres`);
+        }
+        return note;
+    }
+
+    /**
+     * Aprova uma sugestão, incluindo o aparelho na compatibilidade da película
+     * O editor pode corrigir o nome do aparelho e escolher outra película (obrigatório
+     * quando o visitante não indicou nenhuma). Se o aparelho já consta, só a sugestão muda
+     * @param {number} id - Id da sugestão
+     * @param {Object} data - { pelicula_id, modelo, note }
+     * @param {Object} actor - Usuário que aprova
+     * @returns {Promise<Object>} { suggestion, pelicula, merged: se a compatibilidade mudou }
+     */
+    async approve(id, data = {}, actor = null) {
+        const note = this.validateNote(data.note);
+        const modelo = data.modelo !== undefined && data.modelo !== null && data.modelo !== ''
+            ? this.validateModelo(data.modelo)
+            : null;
+
+        return sequelize.transaction(async transaction => {
+            const suggestion = await this.findPending(id, transaction);
+            const peliculaId = data.pelicula_id ? parseInt(data.pelicula_id, 10) : suggestion.pelicula_id;
+            if (!peliculaId) {
+                throw new SuggestionError('Escolha a película que recebe o aparelho');
+            }
+
+            const pelicula = await Pelicula.findByPk(peliculaId, { transaction });
+            if (!pelicula) {
+                throw new SuggestionError('Película não encontrada', 404);
+            }
+
+            const device = modelo || suggestion.modelo;
+            const merged = !this.alreadyListed(pelicula, device);
+
+            if (merged) {
+                if (pelicula.vip) {
+                    throw new SuggestionError('Modelos VIP não exibem compatibilidade; escolha uma película free', 409);
+                }
+
+                const { errors, values } = this.validator.validate(
+                    { compatibilidade: [...pelicula.compatibilidade, device] },
+                    { partial: true, current: pelicula }
+                );
+                if (errors.length > 0) {
+                    throw new SuggestionError(errors[0].message);
+                }
+
+                await pelicula.update(values, { audit: { source: 'sugestao', user: actor }, transaction });
+            }
+
+            await suggestion.update({
+                status: 'aprovada',
+                pelicula_id: pelicula.id,
+                pelicula_modelo: pelicula.modelo,
+                modelo: device,
+                reviewed_by: actor ? actor.username : null,
+                reviewed_at: new Date(),
+                review_note: note
+            }, { transaction });
+
+            return { suggestion, pelicula, merged };
+        });
+    }
+
+    /**
+     * Rejeita uma sugestão
+     * @param {number} id - Id da sugestão
+     * @param {Object} data - { note: motivo }
+     * @param {Object} actor - Usuário que rejeita
+     * @returns {Promise<Object>} Sugestão rejeitada
+     */
+    async reject(id, data = {}, actor = null) {
+        const note = this.validateNote(data.note);
+        const suggestion = await this.findPending(id);
+
+        return suggestion.update({
+            status: 'rejeitada',
+            reviewed_by: actor ? actor.username : null,
+            reviewed_at: new Date(),
+            review_note: note
+        });
+    }
+}
+
+SuggestionManager.SuggestionError = SuggestionError;
+SuggestionManager.KINDS = KINDS;
+SuggestionManager.STATUSES = STATUSES;
+SuggestionManager.requestClient = requestClient;
+
+module.exports = SuggestionManager;
@@ -0,0 +1,216 @@
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const { ROLES } = require('./auth');
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,50}$/;
+
+/**
+ * Erro de regra de negócio no gerenciamento de usuários
+ * Carrega o status HTTP que a rota deve devolver
+ */
+class UserManagerError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UserManagerError';
+        this.status = status;
+    }
+}
+
+/**
+ * Gerenciamento de usuários administrativos
+ * Usado pelas rotas /api/users e pela criação do administrador inicial
+ */
+class UserManager {
+    /**
+     * Converte o usuário para o formato público (sem senha)
+     * @param {Object} user - Instância de User
+     * @returns {Object} Dados do usuário
+     */
+    toPublic(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            isActive: user.isActive,
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt
+        };
+    }
+
+    /**
+     * Valida o tamanho mínimo da senha
+     * @param {string} password - Senha em texto puro
+     */
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new UserManagerError(`A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`);
+        }
+    }
+
+    /**
+     * Valida se o papel existe
+     * @param {string} role - Papel informado
+     */
+    validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new UserManagerError(`Papel inválido. Use: ${ROLES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Lista todos os usuários
+     * @returns {Promise<Array>} Usuários sem senha
+     */
+    async listUsers() {
+        const users = await User.findAll({ order: [['username', 'ASC']] });
+        return users.map(user => this.toPublic(user));
+    }
+
+    /**
+     * Cria um usuário
+     * @param {Object} data - { username, password, role }
+     * @returns {Promise<Object>} Usuário criado
+     */
+    async createUser({ username, password, role = 'viewer' }) {
+        const cleanUsername = typeof username === 'string' ? username.trim() : '';
+
+        if (!USERNAME_PATTERN.test(cleanUsername)) {
+            throw new UserManagerError('Usuário deve ter de 3 a 50 caracteres (letras, números, ponto, hífen ou sublinhado)');
+        }
+        this.validatePassword(password);
+        this.validateRole(role);
+
+        const existing = await User.findOne({ where: { username: cleanUsername } });
+        if (existing) {
+            throw new UserManagerError('Já existe um usuário com esse nome', 409);
+        }
+
+        const user = await User.create({
+            username: cleanUsername,
+            password: await bcrypt.hash(password, BCRYPT_ROUNDS),
+            role,
+            isActive: true
+        });
+
+        return this.toPublic(user);
+    }
+
+    /**
+     * Conta os administradores ativos, opcionalmente ignorando um usuário
+     * @param {number|null} excludeId - Usuário a ignorar
+     * @returns {Promise<number>} Quantidade de administradores ativos
+     */
+    async countActiveAdmins(excludeId = null) {
+        const where = { role: 'admin', isActive: true };
+        if (excludeId) {
+            where.id = { [Op.ne]: excludeId };
+        }
+        return User.count({ where });
+    }
+
+    /**
+     * Atualiza papel, status ou senha de um usuário
+     * @param {number} id - Id do usuário
+     * @param {Object} changes - { role, isActive, password }
+     * @param {Object} actor - Usuário que executa a ação
+     * @returns {Promise<Object>} Usuário atualizado
+     */
+    async updateUser(id, changes, actor = null) {
+        const user = await User.findByPk(id);
+        if (!user) {
+            throw new UserManagerError('Usuário não encontrado', 404);
+        }
+
+        const values = {};
+
+        if (changes.role !== undefined) {
+            this.validateRole(changes.role);
+            values.role = changes.role;
+        }
+
+        if (changes.isActive !== undefined) {
+            if (typeof changes.isActive !== 'boolean') {
+                throw new UserManagerError('isActive deve ser verdadeiro ou falso');
+            }
+            values.isActive = changes.isActive;
+        }
+
+        if (changes.password !== undefined) {
+            this.validatePassword(changes.password);
+            values.password = await bcrypt.hash(changes.password, BCRYPT_ROUNDS);
+        }
+
+        const losesAdmin = user.role === 'admin' && user.isActive &&
+            ((values.role && values.role !== 'admin') || values.isActive === false);
+
+        if (losesAdmin && actor && actor.id === user.id) {
+            throw new UserManagerError('Você não pode remover o seu próprio acesso de administrador');
+        }
+
+        if (losesAdmin && await this.countActiveAdmins(user.id) === 0) {
+            throw new UserManagerError('É necessário manter pelo menos um administrador ativo');
+        }
+
+        await user.update(values);
+        return this.toPublic(user);
+    }
+
+    /**
+     * Exclui um usuário
+     * @param {number} id - Id do usuário
+     * @param {Object} actor - Usuário que executa a ação
+     * @returns {Promise<Object>} Usuário excluído
+     */
+    async deleteUser(id, actor = null) {
+        const user = await User.findByPk(id);
+        if (!user) {
+            throw new UserManagerError('Usuário não encontrado', 404);
+        }
+
+        if (actor && actor.id === user.id) {
+            throw new UserManagerError('Você não pode excluir o seu próprio usuário');
+        }
+
+        if (user.role === 'admin' && user.isActive && await this.countActiveAdmins(user.id) === 0) {
+            throw new UserManagerError('É necessário manter pelo menos um administrador ativo');
+        }
+
+        const data = this.toPublic(user);
+        await user.destroy();
+        return data;
+    }
+
+    /**
+     * Cria o administrador inicial a partir de ADMIN_USERNAME e ADMIN_PASSWORD
+     * quando ainda não existe nenhum administrador
+     * @returns {Promise<Object|null>} Administrador criado ou null
+     */
+    async ensureBootstrapAdmin() {
+        const admins = await User.count({ where: { role: 'admin' } });
+        if (admins > 0) {
+            return null;
+        }
+
+        const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+        if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+            console.warn('⚠️  Nenhum administrador cadastrado. Defina ADMIN_USERNAME e ADMIN_PASSWORD ou use "npm run create-admin".');
+            return null;
+        }
+
+        const existing = await User.findOne({ where: { username: ADMIN_USERNAME } });
+        if (existing) {
+            // Promover o usuário existente em vez de duplicar
+            await existing.update({ role: 'admin', isActive: true });
+            return this.toPublic(existing);
+        }
+
+        return this.createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+    }
+}
+
+UserManager.UserManagerError = UserManagerError;
+
+module.exports = UserManager;
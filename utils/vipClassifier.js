@@ -0,0 +1,139 @@
+// Tipos de regra → nome exibido
+const RULE_KINDS = {
+    frase: 'Frase exata',
+    regex: 'Expressão regular',
+    padrao: 'Padrão'
+};
+
+// Texto usado na planilha para indicar modelos disponíveis apenas na tabela VIP
+const VIP_TEXT = 'Este Modelo já está disponível na tabela VIP';
+
+// Regras usadas sem as do banco (as mesmas que a migração da tabela de regras cria)
+const DEFAULT_RULES = [
+    { id: null, kind: 'frase', pattern: VIP_TEXT, vip: true },
+    { id: null, kind: 'padrao', pattern: null, vip: false }
+];
+
+// Valores aceitos na coluna VIP, já simplificados (sem acentos, minúsculos)
+const COLUMN_VALUES = {
+    vip: true,
+    sim: true,
+    s: true,
+    x: true,
+    true: true,
+    1: true,
+    free: false,
+    gratis: false,
+    nao: false,
+    n: false,
+    false: false,
+    0: false
+};
+
+/**
+ * Remove as tags HTML do texto da compatibilidade
+ * @param {string} text - Texto da célula
+ * @returns {string} Texto sem tags
+ */
+function stripTags(text) {
+    return String(text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Forma usada para comparar frases: sem tags, acentos, maiúsculas, espaços repetidos
+ * nem pontuação final ("Este modelo já está disponível na tabela VIP." casa com a frase)
+ * @param {string} text - Texto
+ * @returns {string} Frase simplificada
+ */
+function phraseKey(text) {
+    return stripTags(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[\s.!;:,]+$/, '');
+}
+
+/**
+ * Classificação VIP/free das linhas importadas
+ * Cada linha é VIP ou free pela coluna VIP do arquivo, quando houver, ou pelas regras
+ * cadastradas, aplicadas em ordem sobre o texto da compatibilidade: frases exatas e
+ * expressões regulares. A primeira que casar decide; sem nenhuma, vale a regra padrão
+ */
+class VipClassifier {
+    /**
+     * @param {Array} rules - Regras { id, kind, pattern, vip } na ordem de aplicação
+     */
+    constructor(rules = DEFAULT_RULES) {
+        this.rules = rules
+            .filter(rule => rule.kind !== 'padrao')
+            .map(rule => ({
+                ...rule,
+                test: rule.kind === 'regex'
+                    ? new RegExp(rule.pattern, 'i')
+                    : phraseKey(rule.pattern)
+            }));
+        this.fallback = rules.find(rule => rule.kind === 'padrao') ||
+            DEFAULT_RULES.find(rule => rule.kind === 'padrao');
+    }
+
+    /**
+     * Classifica o texto da compatibilidade pelas regras
+     * @param {string} compatibilidade - Texto da célula
+     * @returns {Object} { vip, rule: { id, kind, pattern, label } }
+     */
+    classify(compatibilidade) {
+        const text = stripTags(compatibilidade);
+        const key = phraseKey(compatibilidade);
+
+        const rule = this.rules.find(candidate => candidate.kind === 'regex'
+            ? candidate.test.test(text)
+            : candidate.test === key) || this.fallback;
+
+        return { vip: Boolean(rule.vip), rule: this.describe(rule) };
+    }
+
+    /**
+     * Lê o valor da coluna VIP do arquivo
+     * @param {string} value - Texto da célula
+     * @returns {boolean|null|undefined} true/false, null se vazia, undefined se não reconhecido
+     */
+    parseColumn(value) {
+        const text = String(value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim();
+
+        if (!text) {
+            return null;
+        }
+        return Object.prototype.hasOwnProperty.call(COLUMN_VALUES, text) ? COLUMN_VALUES[text] : undefined;
+    }
+
+    /**
+     * Resumo da regra exibido na prévia da importação
+     * @param {Object} rule - Regra aplicada
+     * @returns {Object} { id, kind, pattern, label }
+     */
+    describe(rule) {
+        let label;
+        if (rule.kind === 'coluna') {
+            label = 'Coluna VIP do arquivo';
+        } else if (rule.kind === 'padrao') {
+            label = `Padrão (${rule.vip ? 'VIP' : 'free'})`;
+        } else if (rule.kind === 'regex') {
+            label = `Expressão /${rule.pattern}/`;
+        } else {
+            label = `Frase "${rule.pattern}"`;
+        }
+
+        return { id: rule.id || null, kind: rule.kind, pattern: rule.pattern || null, label };
+    }
+}
+
+VipClassifier.RULE_KINDS = RULE_KINDS;
+VipClassifier.DEFAULT_RULES = DEFAULT_RULES;
+VipClassifier.VIP_TEXT = VIP_TEXT;
+VipClassifier.phraseKey = phraseKey;
+
+module.exports = VipClassifier;
@@ -0,0 +1,204 @@
+const VipRule = require('../models/VipRule');
+const VipClassifier = require('./vipClassifier');
+
+const MAX_PATTERN_LENGTH = 255;
+
+// Tipos de regra cadastráveis (a regra padrão é única e só muda a classificação)
+const EDITABLE_KINDS = ['frase', 'regex'];
+
+/**
+ * Erro de regra de negócio no cadastro de regras VIP
+ * Carrega o status HTTP que a rota deve devolver
+ */
+class VipRuleError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'VipRuleError';
+        this.status = status;
+    }
+}
+
+/**
+ * Cadastro das regras de classificação VIP/free usadas na importação
+ * As regras são aplicadas na ordem de position; a regra padrão fica sempre por último
+ */
+class VipRuleManager {
+    /**
+     * Lista as regras na ordem de aplicação
+     * @returns {Promise<Array>} Regras, com a padrão no fim
+     */
+    async listRules() {
+        const rules = await VipRule.findAll({ order: [['position', 'ASC'], ['id', 'ASC']] });
+        return [
+            ...rules.filter(rule => rule.kind !== 'padrao'),
+            ...rules.filter(rule => rule.kind === 'padrao')
+        ];
+    }
+
+    /**
+     * Carrega as regras para o CSVParser
+     * @returns {Promise<Array>} Regras como objetos simples
+     */
+    async loadRules() {
+        const rules = await this.listRules();
+        return rules.map(rule => rule.get({ plain: true }));
+    }
+
+    /**
+     * Monta o classificador com as regras atuais
+     * @returns {Promise<VipClassifier>} Classificador
+     */
+    async loadClassifier() {
+        return new VipClassifier(await this.loadRules());
+    }
+
+    /**
+     * Valida e normaliza os campos da regra
+     * @param {Object} data - { kind, pattern, vip }
+     * @returns {Object} { kind, pattern, vip }
+     */
+    validate({ kind, pattern, vip }) {
+        if (!EDITABLE_KINDS.includes(kind)) {
+            throw new VipRuleError(`Tipo de regra inválido. Use: ${EDITABLE_KINDS.join(', ')}`);
+        }
+
+        const cleanPattern = typeof pattern === 'string' ? pattern.trim() : '';
+        if (!cleanPattern || cleanPattern.length > MAX_PATTERN_LENGTH) {
+            throw new VipRuleError(`${kind === 'regex' ? 'Expressão' : 'Frase'} deve ter de 1 a ${MAX_PATTERN_LENGTH} caracteres`);
+        }
+
+        if (kind === 'frase' && !VipClassifier.phraseKey(cleanPattern)) {
+            throw new VipRuleError('Frase deve ter letras ou números');
+        }
+
+        if (kind === 'regex') {
+            try {
+                new RegExp(cleanPattern, 'i');
+            } catch (error) {
+                throw new VipRuleError(`Expressão regular inválida: ${error.message}`);
+            }
+        }
+
+        if (typeof vip !== 'boolean') {
+            throw new VipRuleError('Classificação deve ser VIP (true) ou free (false)');
+        }
+
+        return { kind, pattern: cleanPattern, vip };
+    }
+
+    /**
+     * Garante que não há outra regra igual (mesmo tipo e mesma frase ou expressão)
+     * @param {Object} values - Regra validada
+     * @param {number|null} excludeId - Regra sendo editada
+     */
+    async ensureUnique(values, excludeId = null) {
+        const rules = await VipRule.findAll({ where: { kind: values.kind } });
+        const key = values.kind === 'frase' ? VipClassifier.phraseKey(values.pattern) : values.pattern;
+        const existing = rules.find(rule => rule.id !== excludeId &&
+            (values.kind === 'frase' ? VipClassifier.phraseKey(rule.pattern) : rule.pattern) === key);
+
+        if (existing) {
+            throw new VipRuleError(`Já existe a regra "${existing.pattern}"`, 409);
+        }
+    }
+
+    /**
+     * Cadastra uma regra no fim da lista (antes da padrão)
+     * @param {Object} data - { kind, pattern, vip }
+     * @param {Object} actor - Usuário que executa a ação
+     * @returns {Promise<Object>} Regra criada
+     */
+    async createRule(data, actor = null) {
+        const values = this.validate(data);
+        await this.ensureUnique(values);
+
+        const last = await VipRule.max('position');
+        return VipRule.create({
+            ...values,
+            position: (Number.isFinite(last) ? last : 0) + 1,
+            created_by: actor ? actor.username : null
+        });
+    }
+
+    /**
+     * Altera uma regra
+     * Na regra padrão só a classificação pode mudar. Informar position move a regra para
+     * esse lugar da lista (0 = primeira)
+     * @param {number} id - Id da regra
+     * @param {Object} data - { kind, pattern, vip, position }
+     * @returns {Promise<Object>} Regra atualizada
+     */
+    async updateRule(id, data) {
+        const rule = await VipRule.findByPk(id);
+        if (!rule) {
+            throw new VipRuleError('Regra não encontrada', 404);
+        }
+
+        if (rule.kind === 'padrao') {
+            if (typeof data.vip !== 'boolean') {
+                throw new VipRuleError('Na regra padrão só a classificação (VIP ou free) pode ser alterada');
+            }
+            return rule.update({ vip: data.vip });
+        }
+
+        const values = this.validate({
+            kind: data.kind !== undefined ? data.kind : rule.kind,
+            pattern: data.pattern !== undefined ? data.pattern : rule.pattern,
+            vip: data.vip !== undefined ? data.vip : rule.vip
+        });
+        await this.ensureUnique(values, rule.id);
+        await rule.update(values);
+
+        if (data.position !== undefined) {
+            await this.moveRule(rule, data.position);
+        }
+
+        return rule;
+    }
+
+    /**
+     * Move uma regra na ordem de aplicação e renumera as demais
+     * @param {Object} rule - Regra
+     * @param {number} position - Novo índice na lista
+     */
+    async moveRule(rule, position) {
+        const index = Number(position);
+        const rules = (await this.listRules()).filter(item => item.kind !== 'padrao');
+
+        if (!Number.isInteger(index) || index < 0 || index >= rules.length) {
+            throw new VipRuleError(`Posição deve ser de 0 a ${rules.length - 1}`);
+        }
+
+        const ordered = rules.filter(item => item.id !== rule.id);
+        ordered.splice(index, 0, rule);
+
+        for (const [newPosition, item] of ordered.entries()) {
+            if (item.position !== newPosition) {
+                await item.update({ position: newPosition });
+            }
+        }
+    }
+
+    /**
+     * Exclui uma regra (a regra padrão não pode ser excluída)
+     * @param {number} id - Id da regra
+     * @returns {Promise<Object>} Regra excluída
+     */
+    async deleteRule(id) {
+        const rule = await VipRule.findByPk(id);
+        if (!rule) {
+            throw new VipRuleError('Regra não encontrada', 404);
+        }
+
+        if (rule.kind === 'padrao') {
+            throw new VipRuleError('A regra padrão não pode ser excluída');
+        }
+
+        await rule.destroy();
+        return rule;
+    }
+}
+
+VipRuleManager.VipRuleError = VipRuleError;
+
+module.exports = VipRuleManager;